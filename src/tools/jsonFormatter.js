@@ -1,10 +1,51 @@
 /**
  * DevToyNative - JSON Formatter Tool
- * Features: Beautify, Minify, Tree View, Validation
+ * Features: Beautify, Minify, Tree View, Validation, JSONPath/jq Query,
+ *           JSON Schema Validation, Structural Compare, JSONC/JSON5 Parsing,
+ *           Error Diagnostics & Repair, Lossless Big Numbers,
+ *           Virtualized Tree for Large Documents, YAML/TOML/XML/CSV Conversion,
+ *           TypeScript/Zod/Go/JSON Schema Generation, Tree Path Copy,
+ *           Tree Search & Filter, Formatting Options (Sort Keys, RFC 8785),
+ *           Inline Tree Editing with Undo/Redo, NDJSON / JSON Lines,
+ *           Table View with CSV/TSV Export, Embedded JSON Unescape/Stringify,
+ *           Size & Structure Statistics
  */
 
 import toast from '../utils/toast.js';
-import { history } from '../utils/storage.js';
+import { history, preferences } from '../utils/storage.js';
+import { parseJson, stringifyJson, canonicalizeJson, getErrorSnippet, PARSE_MODES } from '../utils/jsonParser.js';
+import { repairJson } from '../utils/jsonRepair.js';
+import { FORMATS, parseInput, convertOutput, isJsonMode } from '../utils/jsonConvert.js';
+import { evaluateQuery } from '../utils/jsonQuery.js';
+import { validateJsonSchema } from '../utils/jsonSchema.js';
+import { diffJson, previewValue } from '../utils/jsonDiff.js';
+import { generateTypes, GENERATORS } from '../utils/jsonTypegen.js';
+import { JsonTreeView } from '../utils/jsonTreeView.js';
+import { applyEdit } from '../utils/jsonEdit.js';
+import { unescapeEmbedded, rawNumbersBelow, stringifyEmbedded } from '../utils/embeddedJson.js';
+import { JsonTableView, isTabular, findTable } from '../utils/jsonTableView.js';
+import { getAtPointer, pointerToAccessor, joinPointer } from '../utils/jsonUtils.js';
+import { analyzeJson, utf8Length, formatBytes, gzipSize } from '../utils/jsonStats.js';
+
+// Inputs above this size are parsed in a worker and shown as a collapsed tree
+const LARGE_INPUT = 1024 * 1024;
+const LARGE_TREE_DEPTH = 2;
+
+// Tree edits kept for undo
+const MAX_UNDO = 100;
+
+// NDJSON records listed in the output (the tree view shows all of them)
+const MAX_RECORD_ROWS = 1000;
+const MAX_RECORD_PREVIEW = 300;
+
+// Beautify indentation choices ('tab' indents with a tab character)
+const INDENT_OPTIONS = [
+  { value: '2', label: '2 spaces' },
+  { value: '3', label: '3 spaces' },
+  { value: '4', label: '4 spaces' },
+  { value: '8', label: '8 spaces' },
+  { value: 'tab', label: 'Tab' }
+];
 
 /**
  * JSON Formatter Tool
@@ -12,9 +53,56 @@ import { history } from '../utils/storage.js';
 export class JsonFormatter {
   constructor(container) {
     this.container = container;
+    this.mode = 'format';
     this.currentJson = null;
-    this.indent = 2;
+    // Original literals of numbers that lose precision, keyed by JSON Pointer
+    this.rawNumbers = new Map();
+    this.currentMarkers = new Map();
+    this.isLargeDocument = false;
+    this.queryResult = undefined;
+    // Original number literals inside the query result, and whether some could not be traced
+    this.queryRawNumbers = new Map();
+    this.queryLossy = false;
+    this.repaired = null;
+    // Tree expand depth chosen by the user (null: automatic)
+    this.treeDepth = null;
+    this.worker = null;
+    this.workerBusy = false;
+    this.parseRequest = 0;
+    this.formatOptions = {
+      indent: preferences.get('jsonIndent') ?? 2,
+      sortKeys: preferences.get('jsonSortKeys'),
+      compactArrays: preferences.get('jsonCompactArrays'),
+      escapeUnicode: preferences.get('jsonEscapeUnicode'),
+      canonical: preferences.get('jsonCanonical')
+    };
+    this.parseMode = preferences.get('jsonParseMode') || 'strict';
+    this.outputFormat = preferences.get('jsonOutputFormat') || 'json';
+    this.generateTarget = preferences.get('jsonGenerateTarget') || 'typescript';
+    // Lossy-conversion notes from reading the input (YAML, TOML, XML, CSV)
+    this.inputWarnings = [];
+    // NDJSON input: what each non-blank line became ({line, index} or {line, error})
+    this.ndjsonLines = null;
+    // Format found in JSON input that isn't JSON (NDJSON), for this document only
+    this.detectedFormat = null;
     this.render();
+    this.treeView = new JsonTreeView(this.container.querySelector('#jsonTree'), {
+      onSelect: (selection) => this.showTreePath(selection),
+      onEdit: (edit) => this.applyTreeEdit(edit)
+    });
+    this.treeMatchIndex = -1;
+    // Input texts before/after tree edits, and the node to select once an edit re-renders
+    this.undoStack = [];
+    this.redoStack = [];
+    this.pendingTreeState = null;
+    this.tableView = new JsonTableView(this.container.querySelector('#jsonTree'));
+    // Array shown in table view, picked from the tree (null: found automatically)
+    this.tablePointer = null;
+    // Array the table shows: {pointer, path, picked}, or null
+    this.tableSource = null;
+    // Latest statistics render, so a slow gzip estimate does not overwrite a newer one
+    this.statsRequest = 0;
+    this.diffTreeView = new JsonTreeView(this.container.querySelector('#jsonDiffTree'));
     this.attachEvents();
   }
   
@@ -23,6 +111,12 @@ export class JsonFormatter {
    */
   render() {
     this.container.innerHTML = `
+      <div class="tabs" id="jsonModeTabs" style="max-width: 320px;">
+        <button class="tab active" data-mode="format">Format</button>
+        <button class="tab" data-mode="compare">Compare</button>
+      </div>
+      
+      <div id="jsonFormatView">
       <div class="panel-header">
         <div class="panel-actions">
           <button class="btn btn-secondary" id="jsonBeautify">
@@ -38,6 +132,55 @@ export class JsonFormatter {
             </svg>
             Minify
           </button>
+          <button class="btn btn-secondary" id="jsonUnescape" title="Parse JSON stored in string values into nested objects, recursively">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M8 3H7a2 2 0 0 0-2 2v5a2 2 0 0 1-2 2 2 2 0 0 1 2 2v5c0 1.1.9 2 2 2h1"/>
+              <path d="M16 21h1a2 2 0 0 0 2-2v-5c0-1.1.9-2 2-2a2 2 0 0 1-2-2V5a2 2 0 0 0-2-2h-1"/>
+            </svg>
+            Unescape
+          </button>
+          <button class="btn btn-secondary" id="jsonStringify" title="Turn the document into an escaped JSON string literal">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M6 4v6M10 4v6M14 4v6M18 4v6"/>
+              <path d="M4 20h16"/>
+            </svg>
+            Stringify
+          </button>
+          <div class="json-format-options">
+            <button class="btn btn-secondary" id="jsonFormatOptions" title="Formatting options">
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <circle cx="12" cy="12" r="3"/>
+                <path d="M19.4 15a1.65 1.65 0 0 0 .33 1.82l.06.06a2 2 0 0 1 0 2.83 2 2 0 0 1-2.83 0l-.06-.06a1.65 1.65 0 0 0-1.82-.33 1.65 1.65 0 0 0-1 1.51V21a2 2 0 0 1-2 2 2 2 0 0 1-2-2v-.09A1.65 1.65 0 0 0 9 19.4a1.65 1.65 0 0 0-1.82.33l-.06.06a2 2 0 0 1-2.83 0 2 2 0 0 1 0-2.83l.06-.06a1.65 1.65 0 0 0 .33-1.82 1.65 1.65 0 0 0-1.51-1H3a2 2 0 0 1-2-2 2 2 0 0 1 2-2h.09A1.65 1.65 0 0 0 4.6 9a1.65 1.65 0 0 0-.33-1.82l-.06-.06a2 2 0 0 1 0-2.83 2 2 0 0 1 2.83 0l.06.06a1.65 1.65 0 0 0 1.82.33H9a1.65 1.65 0 0 0 1-1.51V3a2 2 0 0 1 2-2 2 2 0 0 1 2 2v.09a1.65 1.65 0 0 0 1 1.51 1.65 1.65 0 0 0 1.82-.33l.06-.06a2 2 0 0 1 2.83 0 2 2 0 0 1 0 2.83l-.06.06a1.65 1.65 0 0 0-.33 1.82V9a1.65 1.65 0 0 0 1.51 1H21a2 2 0 0 1 2 2 2 2 0 0 1-2 2h-.09a1.65 1.65 0 0 0-1.51 1z"/>
+              </svg>
+              Options
+            </button>
+            <div class="json-options-popover" id="jsonOptionsPopover" style="display: none;">
+              <label class="json-option">
+                Indent
+                <select class="json-select" id="jsonIndent">
+                  ${INDENT_OPTIONS.map(({ value, label }) => `
+                    <option value="${value}" ${value === String(this.formatOptions.indent) ? 'selected' : ''}>${label}</option>
+                  `).join('')}
+                </select>
+              </label>
+              <label class="json-option">
+                <input type="checkbox" data-option="sortKeys" ${this.formatOptions.sortKeys ? 'checked' : ''}>
+                Sort keys
+              </label>
+              <label class="json-option">
+                <input type="checkbox" data-option="compactArrays" ${this.formatOptions.compactArrays ? 'checked' : ''}>
+                Arrays of primitives on one line
+              </label>
+              <label class="json-option">
+                <input type="checkbox" data-option="escapeUnicode" ${this.formatOptions.escapeUnicode ? 'checked' : ''}>
+                Escape non-ASCII as \\uXXXX
+              </label>
+              <label class="json-option" title="RFC 8785 (JCS): sorted keys, no whitespace, numbers as IEEE doubles. For signing and hashing">
+                <input type="checkbox" data-option="canonical" ${this.formatOptions.canonical ? 'checked' : ''}>
+                Canonical JSON (RFC 8785)
+              </label>
+            </div>
+          </div>
           <button class="btn btn-secondary" id="jsonCopy">
             <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
               <rect width="14" height="14" x="8" y="8" rx="2" ry="2"/>
@@ -52,9 +195,51 @@ export class JsonFormatter {
             Clear
           </button>
         </div>
-        <div class="toggle-group">
-          <span class="toggle-label">Tree View</span>
-          <div class="toggle" id="jsonTreeToggle"></div>
+        <div style="display: flex; gap: 20px; align-items: center;">
+          <div class="toggle-group">
+            <span class="toggle-label">Input</span>
+            <select class="json-select" id="jsonParseMode" title="Input syntax accepted by the parser">
+              <optgroup label="JSON">
+                ${Object.entries(PARSE_MODES).map(([mode, { label }]) => `
+                  <option value="${mode}" ${mode === this.parseMode ? 'selected' : ''}>${label}</option>
+                `).join('')}
+              </optgroup>
+              <optgroup label="Convert from">
+                ${Object.entries(FORMATS).map(([format, { label }]) => `
+                  <option value="${format}" ${format === this.parseMode ? 'selected' : ''}>${label}</option>
+                `).join('')}
+              </optgroup>
+            </select>
+          </div>
+          <div class="toggle-group">
+            <span class="toggle-label">Output</span>
+            <select class="json-select" id="jsonOutputFormat" title="Format of the output and of Copy">
+              <option value="json">JSON</option>
+              ${Object.entries(FORMATS).map(([format, { label }]) => `
+                <option value="${format}" ${format === this.outputFormat ? 'selected' : ''}>${label}</option>
+              `).join('')}
+            </select>
+          </div>
+          <div class="toggle-group">
+            <span class="toggle-label">Schema</span>
+            <div class="toggle" id="jsonSchemaToggle"></div>
+          </div>
+          <div class="toggle-group">
+            <span class="toggle-label">Generate</span>
+            <div class="toggle" id="jsonGenerateToggle"></div>
+          </div>
+          <div class="toggle-group">
+            <span class="toggle-label">Stats</span>
+            <div class="toggle" id="jsonStatsToggle"></div>
+          </div>
+          <div class="toggle-group">
+            <span class="toggle-label">Tree View</span>
+            <div class="toggle" id="jsonTreeToggle"></div>
+          </div>
+          <div class="toggle-group">
+            <span class="toggle-label">Table View</span>
+            <div class="toggle" id="jsonTableToggle"></div>
+          </div>
         </div>
       </div>
       
@@ -92,11 +277,181 @@ export class JsonFormatter {
               <span class="status-badge" id="jsonStatus" style="display: none;"></span>
             </div>
           </div>
+          <div class="json-query-bar">
+            <input 
+              type="text" 
+              class="input-field" 
+              id="jsonQuery" 
+              placeholder="Query: $.items[*].id  or  .items[] | select(.active) | .id"
+              spellcheck="false"
+            />
+          </div>
+          <div class="json-convert-warnings" id="jsonConvertWarnings" style="display: none;"></div>
+          <div class="json-tree-controls" id="jsonTreeControls" style="display: none;">
+            <button class="code-editor-btn" id="jsonExpandAll">Expand All</button>
+            <button class="code-editor-btn" id="jsonCollapseAll">Collapse All</button>
+            <button class="code-editor-btn" id="jsonTreeUndo" title="Undo tree edit (Ctrl+Z)" disabled>Undo</button>
+            <button class="code-editor-btn" id="jsonTreeRedo" title="Redo tree edit (Ctrl+Shift+Z)" disabled>Redo</button>
+            <label class="json-tree-depth">
+              Depth
+              <input type="number" class="input-field" id="jsonTreeDepth" min="1" max="99" placeholder="N" />
+            </label>
+            <input type="text" class="input-field json-tree-search" id="jsonTreeSearch" placeholder="Search keys and values" spellcheck="false" title="Enter jumps to the next match" />
+            <span class="json-tree-matches" id="jsonTreeMatches"></span>
+            <button class="code-editor-btn" id="jsonTreeFilter" title="Hide branches without matches">Filter</button>
+          </div>
+          <div class="json-tree-path" id="jsonTreePath" style="display: none;">
+            <code id="jsonTreePathText"></code>
+            <button class="code-editor-btn" id="jsonTreePathCopy">Copy Path</button>
+            <button class="code-editor-btn" id="jsonTreePathTable" style="display: none;" title="Show this array in table view">View as Table</button>
+          </div>
+          <div class="json-tree-controls" id="jsonTableControls" style="display: none;">
+            <span class="json-table-source" id="jsonTableSource"></span>
+            <button class="code-editor-btn" id="jsonTableWhole" style="display: none;" title="Go back to the first array of objects in the document">Whole Document</button>
+            <input type="text" class="input-field json-tree-search" id="jsonTableFilter" placeholder="Filter rows" spellcheck="false" />
+            <button class="code-editor-btn" id="jsonTableCsv" title="Download the visible rows as CSV">Export CSV</button>
+            <button class="code-editor-btn" id="jsonTableTsv" title="Download the visible rows as TSV">Export TSV</button>
+          </div>
           <div class="code-content" id="jsonOutput">
             <pre class="json-tree" id="jsonTree"></pre>
           </div>
         </div>
       </div>
+      
+      <div class="split-view json-schema-panel" id="jsonSchemaPanel" style="display: none;">
+        <div class="code-editor">
+          <div class="code-editor-header">
+            <span class="code-editor-title">JSON Schema</span>
+          </div>
+          <div class="code-content">
+            <textarea 
+              class="input-field" 
+              id="jsonSchemaInput" 
+              placeholder="Paste a JSON Schema (draft-07 or 2020-12) to validate the input against..."
+              spellcheck="false"
+            ></textarea>
+          </div>
+        </div>
+        
+        <div class="code-editor">
+          <div class="code-editor-header">
+            <span class="code-editor-title">Schema Violations</span>
+            <div class="code-editor-actions">
+              <span class="status-badge" id="jsonSchemaStatus" style="display: none;"></span>
+            </div>
+          </div>
+          <div class="code-content" id="jsonSchemaResults"></div>
+        </div>
+      </div>
+      
+      <div class="json-generate-panel" id="jsonGeneratePanel" style="display: none;">
+        <div class="code-editor">
+          <div class="code-editor-header">
+            <span class="code-editor-title">Generated Types</span>
+            <div class="code-editor-actions">
+              <select class="json-select" id="jsonGenerateTarget" title="Output language">
+                ${Object.entries(GENERATORS).map(([target, { label }]) => `
+                  <option value="${target}" ${target === this.generateTarget ? 'selected' : ''}>${label}</option>
+                `).join('')}
+              </select>
+              <input type="text" class="input-field json-generate-name" id="jsonGenerateRoot" value="Root" title="Name of the top-level type" spellcheck="false" />
+              <button class="code-editor-btn" id="jsonGenerateCopy">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                  <rect width="14" height="14" x="8" y="8" rx="2" ry="2"/>
+                  <path d="M4 16c-1.1 0-2-.9-2-2V4c0-1.1.9-2 2-2h10c1.1 0 2 .9 2 2"/>
+                </svg>
+                Copy
+              </button>
+            </div>
+          </div>
+          <div class="code-content">
+            <pre class="json-tree" id="jsonGenerateOutput"></pre>
+          </div>
+        </div>
+      </div>
+      
+      <div class="json-stats-panel" id="jsonStatsPanel" style="display: none;">
+        <div class="code-editor">
+          <div class="code-editor-header">
+            <span class="code-editor-title">Document Statistics</span>
+          </div>
+          <div class="code-content" id="jsonStatsOutput"></div>
+        </div>
+      </div>
+      </div>
+      
+      <div id="jsonCompareView" style="display: none;">
+        <div class="panel-header">
+          <div class="panel-actions">
+            <button class="btn btn-secondary" id="jsonCompareSwap">
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="m17 3 4 4-4 4"/>
+                <path d="m7 21-4-4 4-4"/>
+                <path d="M21 7H3M3 17h18"/>
+              </svg>
+              Swap
+            </button>
+            <button class="btn btn-secondary" id="jsonCompareClear">
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M3 6h18M19 6v14c0 1-1 2-2 2H7c-1 0-2-1-2-2V6M8 6V4c0-1 1-2 2-2h4c1 0 2 1 2 2v2"/>
+              </svg>
+              Clear
+            </button>
+          </div>
+          <div class="diff-summary" id="jsonDiffSummary"></div>
+        </div>
+        
+        <div class="split-view">
+          <div class="code-editor">
+            <div class="code-editor-header">
+              <span class="code-editor-title">Original</span>
+            </div>
+            <div class="code-content">
+              <textarea 
+                class="input-field" 
+                id="jsonCompareLeft" 
+                placeholder="Paste the original JSON (e.g. staging response)..."
+                spellcheck="false"
+              ></textarea>
+            </div>
+          </div>
+          
+          <div class="code-editor">
+            <div class="code-editor-header">
+              <span class="code-editor-title">Modified</span>
+            </div>
+            <div class="code-content">
+              <textarea 
+                class="input-field" 
+                id="jsonCompareRight" 
+                placeholder="Paste the modified JSON (e.g. production response)..."
+                spellcheck="false"
+              ></textarea>
+            </div>
+          </div>
+        </div>
+        
+        <div class="split-view" style="margin-top: 20px;">
+          <div class="code-editor">
+            <div class="code-editor-header">
+              <span class="code-editor-title">Structural Diff</span>
+              <div class="code-editor-actions">
+                <span class="status-badge" id="jsonDiffStatus" style="display: none;"></span>
+              </div>
+            </div>
+            <div class="code-content">
+              <pre class="json-tree" id="jsonDiffTree"><span style="color: var(--text-tertiary)">Paste two documents to compare...</span></pre>
+            </div>
+          </div>
+          
+          <div class="code-editor">
+            <div class="code-editor-header">
+              <span class="code-editor-title">Changes</span>
+            </div>
+            <div class="code-content" id="jsonDiffChanges"></div>
+          </div>
+        </div>
+      </div>
     `;
   }
   
@@ -107,11 +462,66 @@ export class JsonFormatter {
     const input = this.container.querySelector('#jsonInput');
     const beautifyBtn = this.container.querySelector('#jsonBeautify');
     const minifyBtn = this.container.querySelector('#jsonMinify');
+    const unescapeBtn = this.container.querySelector('#jsonUnescape');
+    const stringifyBtn = this.container.querySelector('#jsonStringify');
     const copyBtn = this.container.querySelector('#jsonCopy');
     const clearBtn = this.container.querySelector('#jsonClear');
     const pasteBtn = this.container.querySelector('#jsonPaste');
     const sampleBtn = this.container.querySelector('#jsonSample');
+    const output = this.container.querySelector('#jsonOutput');
     const treeToggle = this.container.querySelector('#jsonTreeToggle');
+    const expandAllBtn = this.container.querySelector('#jsonExpandAll');
+    const collapseAllBtn = this.container.querySelector('#jsonCollapseAll');
+    const treeDepthInput = this.container.querySelector('#jsonTreeDepth');
+    const optionsBtn = this.container.querySelector('#jsonFormatOptions');
+    const optionsPopover = this.container.querySelector('#jsonOptionsPopover');
+    const indentSelect = this.container.querySelector('#jsonIndent');
+    const treeSearchInput = this.container.querySelector('#jsonTreeSearch');
+    const treeFilterBtn = this.container.querySelector('#jsonTreeFilter');
+    const treePathCopyBtn = this.container.querySelector('#jsonTreePathCopy');
+    const treeUndoBtn = this.container.querySelector('#jsonTreeUndo');
+    const treeRedoBtn = this.container.querySelector('#jsonTreeRedo');
+    const treePathTableBtn = this.container.querySelector('#jsonTreePathTable');
+    const tableToggle = this.container.querySelector('#jsonTableToggle');
+    const tableWholeBtn = this.container.querySelector('#jsonTableWhole');
+    const tableFilterInput = this.container.querySelector('#jsonTableFilter');
+    const parseModeSelect = this.container.querySelector('#jsonParseMode');
+    const outputFormatSelect = this.container.querySelector('#jsonOutputFormat');
+    const queryInput = this.container.querySelector('#jsonQuery');
+    const schemaToggle = this.container.querySelector('#jsonSchemaToggle');
+    const schemaInput = this.container.querySelector('#jsonSchemaInput');
+    const schemaResults = this.container.querySelector('#jsonSchemaResults');
+    const generateToggle = this.container.querySelector('#jsonGenerateToggle');
+    const generateTarget = this.container.querySelector('#jsonGenerateTarget');
+    const generateRoot = this.container.querySelector('#jsonGenerateRoot');
+    const generateCopyBtn = this.container.querySelector('#jsonGenerateCopy');
+    const statsToggle = this.container.querySelector('#jsonStatsToggle');
+    const modeTabs = this.container.querySelectorAll('#jsonModeTabs .tab');
+    const compareLeft = this.container.querySelector('#jsonCompareLeft');
+    const compareRight = this.container.querySelector('#jsonCompareRight');
+    const compareSwapBtn = this.container.querySelector('#jsonCompareSwap');
+    const compareClearBtn = this.container.querySelector('#jsonCompareClear');
+    const diffChanges = this.container.querySelector('#jsonDiffChanges');
+    
+    // Mode tabs
+    modeTabs.forEach(tab => {
+      tab.addEventListener('click', () => {
+        modeTabs.forEach(t => t.classList.remove('active'));
+        tab.classList.add('active');
+        this.mode = tab.dataset.mode;
+        this.container.querySelector('#jsonFormatView').style.display = this.mode === 'format' ? 'block' : 'none';
+        this.container.querySelector('#jsonCompareView').style.display = this.mode === 'compare' ? 'block' : 'none';
+        
+        // Start a comparison from the document being formatted
+        if (this.mode === 'compare' && !compareLeft.value.trim() && this.currentJson !== null) {
+          const inputMode = this.getInputMode();
+          compareLeft.value = isJsonMode(inputMode)
+            ? this.formatJson(this.currentJson, this.rawNumbers)
+            : convertOutput(this.currentJson, inputMode, this.rawNumbers).text;
+          this.processCompare();
+        }
+      });
+    });
     
     // Input change with debounce
     let debounceTimer;
@@ -120,196 +530,1407 @@ export class JsonFormatter {
       debounceTimer = setTimeout(() => this.processInput(), 300);
     });
     
+    // Query change with debounce
+    let queryTimer;
+    queryInput.addEventListener('input', () => {
+      clearTimeout(queryTimer);
+      queryTimer = setTimeout(() => this.refreshOutput(), 300);
+    });
+    
     // Button actions
     beautifyBtn.addEventListener('click', () => this.beautify());
     minifyBtn.addEventListener('click', () => this.minify());
+    
+    // Embedded JSON: the whole document (single nodes are handled in the tree)
+    unescapeBtn.addEventListener('click', () => this.editDocument('unescape'));
+    stringifyBtn.addEventListener('click', () => this.editDocument('stringify'));
+    
+    // Formatting options popover; closes on outside clicks and Escape
+    optionsBtn.addEventListener('click', () => {
+      optionsPopover.style.display = optionsPopover.style.display === 'none' ? 'flex' : 'none';
+    });
+    
+    this.onDocumentClick = (e) => {
+      if (!e.target.closest('.json-format-options')) {
+        optionsPopover.style.display = 'none';
+      }
+    };
+    document.addEventListener('click', this.onDocumentClick);
+    
+    optionsPopover.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        optionsPopover.style.display = 'none';
+        optionsBtn.focus();
+      }
+    });
+    
+    indentSelect.addEventListener('change', () => {
+      const indent = indentSelect.value === 'tab' ? 'tab' : Number(indentSelect.value);
+      this.setFormatOption('indent', indent);
+    });
+    
+    optionsPopover.querySelectorAll('input[data-option]').forEach(checkbox => {
+      checkbox.addEventListener('change', () => {
+        this.setFormatOption(checkbox.dataset.option, checkbox.checked);
+      });
+    });
+    this.updateFormatOptions();
+    
     copyBtn.addEventListener('click', () => this.copyOutput());
     clearBtn.addEventListener('click', () => this.clear());
     pasteBtn.addEventListener('click', () => this.pasteFromClipboard());
     sampleBtn.addEventListener('click', () => this.loadSample());
     
+    // Repair button shown with parse errors
+    output.addEventListener('click', (e) => {
+      if (e.target.closest('#jsonRepair')) {
+        this.repairInput();
+      } else if (e.target.closest('#jsonRecordsToArray')) {
+        this.replaceWithJson(false);
+      } else if (e.target.closest('.json-record')) {
+        this.selectInputLine(Number(e.target.closest('.json-record').dataset.line));
+      }
+    });
+    
+    // Parser mode
+    parseModeSelect.addEventListener('change', () => {
+      this.setParseMode(parseModeSelect.value);
+      this.processInput();
+      this.processCompare();
+    });
+    
+    // Output format
+    outputFormatSelect.addEventListener('change', () => {
+      this.outputFormat = outputFormatSelect.value;
+      preferences.set('jsonOutputFormat', this.outputFormat);
+      this.refreshOutput();
+    });
+    
     // Tree view toggle
     treeToggle.addEventListener('click', () => {
       treeToggle.classList.toggle('active');
-      this.processInput();
+      tableToggle.classList.remove('active');
+      this.updateTreeControls();
+      this.refreshOutput();
+    });
+    
+    // Table view toggle (tree and table share the output)
+    tableToggle.addEventListener('click', () => {
+      tableToggle.classList.toggle('active');
+      treeToggle.classList.remove('active');
+      this.updateTreeControls();
+      this.refreshOutput();
+    });
+    
+    treePathTableBtn.addEventListener('click', () => {
+      this.tablePointer = this.treeView.selectedPath;
+      tableToggle.classList.add('active');
+      treeToggle.classList.remove('active');
+      this.updateTreeControls();
+      this.refreshOutput();
+    });
+    
+    tableWholeBtn.addEventListener('click', () => {
+      this.tablePointer = null;
+      this.refreshOutput();
+    });
+    
+    // Table filter with debounce
+    let tableFilterTimer;
+    tableFilterInput.addEventListener('input', () => {
+      clearTimeout(tableFilterTimer);
+      tableFilterTimer = setTimeout(() => {
+        this.tableView.setFilter(tableFilterInput.value);
+        this.updateTableSource();
+      }, 300);
+    });
+    
+    this.container.querySelector('#jsonTableCsv').addEventListener('click', () => this.exportTable(','));
+    this.container.querySelector('#jsonTableTsv').addEventListener('click', () => this.exportTable('\t'));
+    
+    // Tree expand/collapse controls
+    expandAllBtn.addEventListener('click', () => {
+      this.treeDepth = Infinity;
+      this.treeView.expandAll();
+    });
+    
+    collapseAllBtn.addEventListener('click', () => {
+      this.treeDepth = 1;
+      this.treeView.collapseAll();
+    });
+    
+    treeDepthInput.addEventListener('change', () => {
+      const depth = parseInt(treeDepthInput.value, 10);
+      if (depth >= 1) {
+        this.treeDepth = depth;
+        this.treeView.expandToDepth(depth);
+      }
+    });
+    
+    // Tree search with debounce; Enter jumps to the next match
+    let treeSearchTimer;
+    treeSearchInput.addEventListener('input', () => {
+      clearTimeout(treeSearchTimer);
+      treeSearchTimer = setTimeout(() => this.searchTree(), 300);
+    });
+    
+    treeSearchInput.addEventListener('keydown', (e) => {
+      if (e.key !== 'Enter') return;
+      e.preventDefault();
+      clearTimeout(treeSearchTimer);
+      if (this.treeView.query !== treeSearchInput.value) this.searchTree();
+      this.nextTreeMatch(e.shiftKey ? -1 : 1);
+    });
+    
+    // Tree edit undo/redo (the textarea keeps its own undo)
+    treeUndoBtn.addEventListener('click', () => this.undoTreeEdit());
+    treeRedoBtn.addEventListener('click', () => this.redoTreeEdit());
+    
+    output.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.target.closest('input, textarea')) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        this.undoTreeEdit();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        this.redoTreeEdit();
+      }
+    });
+    
+    treeFilterBtn.addEventListener('click', () => {
+      treeFilterBtn.classList.toggle('active');
+      this.searchTree();
+    });
+    
+    treePathCopyBtn.addEventListener('click', async () => {
+      try {
+        await navigator.clipboard.writeText(this.container.querySelector('#jsonTreePathText').textContent);
+        toast.success('Path copied to clipboard');
+      } catch {
+        toast.error('Failed to copy');
+      }
+    });
+    
+    // Schema panel toggle
+    schemaToggle.addEventListener('click', () => {
+      schemaToggle.classList.toggle('active');
+      const active = schemaToggle.classList.contains('active');
+      this.container.querySelector('#jsonSchemaPanel').style.display = active ? 'grid' : 'none';
+      this.refreshOutput();
+    });
+    
+    // Schema change with debounce
+    let schemaTimer;
+    schemaInput.addEventListener('input', () => {
+      clearTimeout(schemaTimer);
+      schemaTimer = setTimeout(() => this.refreshOutput(), 300);
+    });
+    
+    // Jump to the offending node when a violation is clicked
+    schemaResults.addEventListener('click', (e) => {
+      const row = e.target.closest('.schema-error');
+      if (row) {
+        this.revealPath(row.dataset.path);
+      }
+    });
+    
+    // Type generation panel
+    generateToggle.addEventListener('click', () => {
+      generateToggle.classList.toggle('active');
+      const active = generateToggle.classList.contains('active');
+      this.container.querySelector('#jsonGeneratePanel').style.display = active ? 'block' : 'none';
+      this.renderGenerated();
+    });
+    
+    generateTarget.addEventListener('change', () => {
+      this.generateTarget = generateTarget.value;
+      preferences.set('jsonGenerateTarget', this.generateTarget);
+      this.renderGenerated();
+    });
+    
+    let generateTimer;
+    generateRoot.addEventListener('input', () => {
+      clearTimeout(generateTimer);
+      generateTimer = setTimeout(() => this.renderGenerated(), 300);
+    });
+    
+    generateCopyBtn.addEventListener('click', () => this.copyGenerated());
+    
+    // Statistics panel; paths jump to their node in the tree
+    statsToggle.addEventListener('click', () => {
+      statsToggle.classList.toggle('active');
+      const active = statsToggle.classList.contains('active');
+      this.container.querySelector('#jsonStatsPanel').style.display = active ? 'block' : 'none';
+      this.renderStats();
+    });
+    
+    this.container.querySelector('#jsonStatsOutput').addEventListener('click', (e) => {
+      const path = e.target.closest('.json-stats-path');
+      if (path) {
+        this.revealPath(path.dataset.pointer);
+      }
+    });
+    
+    // Compare inputs with debounce
+    let compareTimer;
+    [compareLeft, compareRight].forEach(el => {
+      el.addEventListener('input', () => {
+        clearTimeout(compareTimer);
+        compareTimer = setTimeout(() => this.processCompare(), 300);
+      });
+    });
+    
+    compareSwapBtn.addEventListener('click', () => {
+      [compareLeft.value, compareRight.value] = [compareRight.value, compareLeft.value];
+      this.processCompare();
+    });
+    
+    compareClearBtn.addEventListener('click', () => {
+      compareLeft.value = '';
+      compareRight.value = '';
+      this.processCompare();
+    });
+    
+    // Jump to the changed node when a change is clicked
+    diffChanges.addEventListener('click', (e) => {
+      const row = e.target.closest('.diff-change');
+      if (row) {
+        this.diffTreeView.reveal(row.dataset.path);
+      }
     });
   }
   
   /**
    * Process JSON input
+   * @returns {Promise} - Resolves once the output is rendered
    */
   processInput() {
     const input = this.container.querySelector('#jsonInput');
     const output = this.container.querySelector('#jsonTree');
     const status = this.container.querySelector('#jsonStatus');
-    const treeToggle = this.container.querySelector('#jsonTreeToggle');
     
     const content = input.value.trim();
+    const requestId = ++this.parseRequest;
+    this.queryResult = undefined;
+    this.repaired = null;
+    this.inputWarnings = [];
+    this.ndjsonLines = null;
     
     if (!content) {
       output.innerHTML = '<span style="color: var(--text-tertiary)">Output will appear here...</span>';
       status.style.display = 'none';
       this.currentJson = null;
-      return;
+      this.detectedFormat = null;
+      this.rawNumbers = new Map();
+      this.showWarnings();
+      this.validateAgainstSchema(undefined);
+      this.renderGenerated();
+      this.renderStats();
+      return Promise.resolve();
     }
     
-    try {
-      const parsed = JSON.parse(content);
-      this.currentJson = parsed;
-      
-      // Show success status
-      status.style.display = 'inline-flex';
-      status.className = 'status-badge valid';
-      status.innerHTML = `
-        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-          <path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/>
-          <path d="M22 4 12 14.01l-3-3"/>
-        </svg>
-        Valid JSON
-      `;
-      
-      // Render output
-      if (treeToggle.classList.contains('active')) {
-        output.innerHTML = this.renderTree(parsed);
-        this.attachTreeEvents();
-      } else {
-        output.innerHTML = `<pre>${this.syntaxHighlight(JSON.stringify(parsed, null, this.indent))}</pre>`;
-      }
-      
-      // Save to history
-      history.add('json', { input: content.substring(0, 200) });
-      
-    } catch (error) {
-      this.currentJson = null;
-      
-      // Show error status
-      status.style.display = 'inline-flex';
-      status.className = 'status-badge invalid';
-      status.innerHTML = `
-        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-          <circle cx="12" cy="12" r="10"/>
-          <path d="m15 9-6 6M9 9l6 6"/>
-        </svg>
-        Invalid JSON
-      `;
+    // Parse the untrimmed text so error lines match the editor
+    const text = input.value;
+    
+    if (text.length >= LARGE_INPUT && typeof Worker !== 'undefined') {
+      status.style.display = 'none';
+      output.innerHTML = `<span style="color: var(--text-tertiary)">Parsing ${(text.length / 1048576).toFixed(1)} MB...</span>`;
       
-      // Try to show error location
-      const errorMatch = error.message.match(/position (\d+)/);
-      if (errorMatch) {
-        const position = parseInt(errorMatch[1]);
-        const lines = content.substring(0, position).split('\n');
-        const line = lines.length;
-        const column = lines[lines.length - 1].length;
-        output.innerHTML = `<span style="color: var(--accent-red)">Error at line ${line}, column ${column}:\n${error.message}</span>`;
-      } else {
-        output.innerHTML = `<span style="color: var(--accent-red)">${error.message}</span>`;
-      }
+      return this.parseInWorker(text, requestId)
+        .then(result => {
+          // A newer input superseded this one
+          if (requestId !== this.parseRequest) return;
+          
+          if (result.error) {
+            this.showParseError(text, Object.assign(new Error(result.error.message), result.error), result.repaired);
+          } else {
+            this.showDocument(result, new Map(result.rawNumbers), content);
+          }
+        })
+        .catch(() => {
+          // Workers unavailable (e.g. file://): parse on the main thread
+          if (requestId === this.parseRequest) this.parseOnMainThread(text, content);
+        });
     }
+    
+    this.parseOnMainThread(text, content);
+    return Promise.resolve();
   }
   
   /**
-   * Syntax highlight JSON string
+   * Parse synchronously and show the document or the error
    */
-  syntaxHighlight(json) {
-    // Escape HTML
-    json = json.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  parseOnMainThread(text, content) {
+    const rawNumbers = new Map();
+    let parsed;
     
-    return json.replace(/("(\\u[a-zA-Z0-9]{4}|\\[^u]|[^\\"])*"(\s*:)?|\b(true|false|null)\b|-?\d+(?:\.\d*)?(?:[eE][+\-]?\d+)?)/g, (match) => {
-      let cls = 'number';
-      if (/^"/.test(match)) {
-        if (/:$/.test(match)) {
-          cls = 'key';
-        } else {
-          cls = 'string';
+    try {
+      parsed = parseInput(text, this.parseMode, rawNumbers);
+    } catch (error) {
+      // Offer a repair if the fixed text is valid JSON
+      let repaired = null;
+      if (isJsonMode(this.parseMode)) {
+        repaired = repairJson(text);
+        try {
+          if (repaired) JSON.parse(repaired.text);
+        } catch {
+          repaired = null;
         }
-      } else if (/true|false/.test(match)) {
-        cls = 'boolean';
-      } else if (/null/.test(match)) {
-        cls = 'null';
       }
-      return `<span class="${cls}">${match}</span>`;
-    });
+      
+      this.showParseError(text, error, repaired);
+      return;
+    }
+    
+    this.showDocument(parsed, rawNumbers, content);
   }
   
   /**
-   * Render collapsible tree view
+   * Parse in a background worker so large inputs don't block the page
+   * @returns {Promise<{value?: *, rawNumbers?: Array, warnings?: string[], error?: Object, repaired?: Object}>}
    */
-  renderTree(obj, depth = 0) {
-    const indent = '  '.repeat(depth);
-    let html = '';
+  parseInWorker(text, requestId) {
+    // Abandon a parse still running for an older input
+    if (this.worker && this.workerBusy) {
+      this.worker.terminate();
+      this.worker = null;
+    }
     
-    if (Array.isArray(obj)) {
-      if (obj.length === 0) {
-        return '<span class="bracket">[]</span>';
-      }
-      html += '<span class="bracket">[</span>\n';
-      obj.forEach((item, index) => {
-        html += `${indent}  ${this.renderTree(item, depth + 1)}`;
-        if (index < obj.length - 1) html += ',';
-        html += '\n';
-      });
-      html += `${indent}<span class="bracket">]</span>`;
-    } else if (obj !== null && typeof obj === 'object') {
-      const keys = Object.keys(obj);
-      if (keys.length === 0) {
-        return '<span class="bracket">{}</span>';
+    return new Promise((resolve, reject) => {
+      // Construction throws where workers can't load (e.g. file://, CSP)
+      if (!this.worker) {
+        this.worker = new Worker(new URL('../workers/jsonParse.worker.js', import.meta.url), { type: 'module' });
       }
       
-      const id = `tree-${depth}-${Math.random().toString(36).substr(2, 9)}`;
-      html += `<span class="collapsible" data-target="${id}"><span class="bracket">{</span></span>\n`;
-      html += `<div class="json-content" id="${id}">`;
-      keys.forEach((key, index) => {
-        html += `${indent}  <span class="key">"${this.escapeHtml(key)}"</span>: ${this.renderTree(obj[key], depth + 1)}`;
-        if (index < keys.length - 1) html += ',';
-        html += '\n';
-      });
-      html += `</div>${indent}<span class="bracket">}</span>`;
-    } else if (typeof obj === 'string') {
-      html += `<span class="string">"${this.escapeHtml(obj)}"</span>`;
-    } else if (typeof obj === 'number') {
-      html += `<span class="number">${obj}</span>`;
-    } else if (typeof obj === 'boolean') {
-      html += `<span class="boolean">${obj}</span>`;
-    } else if (obj === null) {
-      html += '<span class="null">null</span>';
+      const worker = this.worker;
+      this.workerBusy = true;
+      
+      const onMessage = (e) => {
+        if (e.data.id !== requestId) return;
+        worker.removeEventListener('message', onMessage);
+        worker.removeEventListener('error', onError);
+        this.workerBusy = false;
+        resolve(e.data);
+      };
+      const onError = (e) => {
+        worker.removeEventListener('message', onMessage);
+        // A worker that failed to load stays dead; start afresh next time
+        worker.terminate();
+        if (this.worker === worker) this.worker = null;
+        this.workerBusy = false;
+        reject(e);
+      };
+      worker.addEventListener('message', onMessage);
+      worker.addEventListener('error', onError, { once: true });
+      worker.postMessage({ id: requestId, text, mode: this.parseMode });
+    });
+  }
+  
+  /**
+   * Show a successfully parsed document
+   * @param {{value: *, warnings?: string[], lines?: Array, detected?: string}} parsed - Result of parseInput
+   * @param {Map<string, string>} rawNumbers - Original literals of imprecise numbers
+   * @param {string} content - Trimmed input, for history
+   */
+  showDocument(parsed, rawNumbers, content) {
+    this.currentJson = parsed.value;
+    this.rawNumbers = rawNumbers;
+    this.inputWarnings = parsed.warnings || [];
+    this.ndjsonLines = parsed.lines || null;
+    this.isLargeDocument = content.length >= LARGE_INPUT;
+    
+    // JSON input that is really one value per line; re-checked on every input,
+    // so the selected mode is left alone
+    const detected = parsed.detected || null;
+    const newlyDetected = detected && detected !== this.detectedFormat;
+    this.detectedFormat = detected;
+    if (newlyDetected) {
+      toast.info(`Detected ${this.getFormatLabel()}: each line is parsed as its own JSON value`);
     }
     
-    return html;
+    // Large documents are only navigable in the virtualized tree
+    const treeToggle = this.container.querySelector('#jsonTreeToggle');
+    const tableToggle = this.container.querySelector('#jsonTableToggle');
+    if (this.isLargeDocument && !treeToggle.classList.contains('active') && !tableToggle.classList.contains('active')) {
+      treeToggle.classList.add('active');
+      this.updateTreeControls();
+      toast.info('Large document: switched to tree view');
+    }
+    
+    this.refreshOutput();
+    
+    // Save to history
+    history.add('json', { input: content.substring(0, 200) });
   }
   
   /**
-   * Attach tree collapse/expand events
+   * Show a parse error
+   * @param {string} text - Source text
+   * @param {Error} error - Error thrown by parseInput
+   * @param {{text: string, fixes: string[]}|null} repaired - Valid repaired text, if any
    */
-  attachTreeEvents() {
-    const collapsibles = this.container.querySelectorAll('.collapsible');
-    collapsibles.forEach(el => {
-      el.addEventListener('click', () => {
-        el.classList.toggle('collapsed');
-      });
-    });
+  showParseError(text, error, repaired) {
+    const output = this.container.querySelector('#jsonTree');
+    
+    this.currentJson = null;
+    this.rawNumbers = new Map();
+    this.detectedFormat = null;
+    this.repaired = repaired;
+    
+    // Show error status
+    this.showStatus(false, `Invalid ${this.getFormatLabel()}`);
+    this.showWarnings();
+    this.validateAgainstSchema(undefined);
+    this.renderGenerated();
+    this.renderStats();
+    this.showTreePath(null);
+    
+    output.innerHTML = this.renderParseError(text, error);
   }
   
   /**
-   * Escape HTML characters
+   * Re-render the current document (status, schema, query and output)
+   * without parsing it again
    */
-  escapeHtml(str) {
-    return str
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;');
+  refreshOutput() {
+    if (this.currentJson === null) {
+      this.validateAgainstSchema(undefined);
+      return;
+    }
+    
+    this.queryResult = undefined;
+    
+    // Show success status
+    const bigNumbers = this.rawNumbers.size;
+    // Canonical JSON (RFC 8785) writes every number as a double
+    const bigNumbersNote = this.formatOptions.canonical ? 'rounded in canonical JSON' : 'kept exact';
+    this.showStatus(true, bigNumbers
+      ? `Valid ${this.getFormatLabel()} · ${bigNumbers} big number${bigNumbers === 1 ? '' : 's'} ${bigNumbersNote}`
+      : `Valid ${this.getFormatLabel()}`);
+    
+    // Validate against the schema, if one is provided
+    this.currentMarkers = this.validateAgainstSchema(this.currentJson);
+    this.renderGenerated();
+    this.renderStats();
+    
+    // Render output (or the query result, if a query is entered)
+    if (!this.runQuery(this.currentJson)) {
+      this.renderOutput(this.currentJson, this.currentMarkers, this.rawNumbers);
+    }
   }
   
   /**
-   * Beautify JSON
+   * Show the tree controls only in tree view, and the table controls only in table view
    */
-  beautify() {
+  updateTreeControls() {
+    const treeToggle = this.container.querySelector('#jsonTreeToggle');
+    const tableToggle = this.container.querySelector('#jsonTableToggle');
+    this.container.querySelector('#jsonTreeControls').style.display =
+      treeToggle.classList.contains('active') ? 'flex' : 'none';
+    this.container.querySelector('#jsonTableControls').style.display =
+      tableToggle.classList.contains('active') ? 'flex' : 'none';
+    if (!treeToggle.classList.contains('active')) {
+      this.showTreePath(null);
+    }
+  }
+  
+  /**
+   * Apply the tree search box and filter button to the tree
+   */
+  searchTree() {
+    const query = this.container.querySelector('#jsonTreeSearch').value;
+    const filter = this.container.querySelector('#jsonTreeFilter').classList.contains('active');
+    this.treeView.search(query, { filter });
+    this.treeMatchIndex = -1;
+    this.updateTreeMatches();
+  }
+  
+  /**
+   * Scroll to the next (or previous) search match
+   * @param {number} step - 1 for next, -1 for previous
+   */
+  nextTreeMatch(step) {
+    const count = this.treeView.matches.length;
+    if (!count) return;
+    this.treeMatchIndex = (this.treeMatchIndex + step + count) % count;
+    this.treeView.revealMatch(this.treeMatchIndex);
+    this.updateTreeMatches();
+  }
+  
+  /**
+   * Show the match count ("3 of 12" while stepping through matches)
+   */
+  updateTreeMatches() {
+    const label = this.container.querySelector('#jsonTreeMatches');
+    const count = this.treeView.matches.length;
+    if (!this.treeView.query) {
+      label.textContent = '';
+    } else if (this.treeMatchIndex >= 0 && count) {
+      label.textContent = `${this.treeMatchIndex + 1} of ${count}`;
+    } else {
+      label.textContent = `${count} match${count === 1 ? '' : 'es'}`;
+    }
+  }
+  
+  /**
+   * Apply an edit made in the tree to the document and write it to the input
+   * @param {Object} edit - Edit from the tree view; 'set' carries the typed text,
+   *   'unescape' and 'stringify' convert a node from or to embedded JSON text
+   * @returns {boolean} - Whether the document changed
+   */
+  applyTreeEdit(edit) {
+    if (this.currentJson === null) return false;
+    
+    let change = edit;
+    if (edit.type === 'unescape') {
+      // Literals already inside the node are kept alongside the ones parsed from its strings
+      const rawNumbers = rawNumbersBelow(this.rawNumbers, edit.pointer);
+      const { value, count } = unescapeEmbedded(getAtPointer(this.currentJson, edit.pointer), rawNumbers);
+      if (!count) {
+        toast.info('No embedded JSON found');
+        return false;
+      }
+      change = { type: 'set', pointer: edit.pointer, value, rawNumbers };
+    } else if (edit.type === 'stringify') {
+      const value = stringifyEmbedded(getAtPointer(this.currentJson, edit.pointer), this.rawNumbers, edit.pointer);
+      change = { type: 'set', pointer: edit.pointer, value, rawNumbers: new Map() };
+    } else if (edit.type === 'set') {
+      // Typed text is a JSON literal if it parses, otherwise a string
+      const rawNumbers = new Map();
+      let value;
+      try {
+        value = parseJson(edit.text, 'strict', rawNumbers);
+      } catch {
+        value = edit.text;
+        rawNumbers.clear();
+      }
+      change = { type: 'set', pointer: edit.pointer, value, rawNumbers };
+    }
+    
+    let result;
+    try {
+      result = applyEdit(this.currentJson, change, this.rawNumbers);
+    } catch (error) {
+      toast.error(error.message);
+      return false;
+    }
+    
+    this.pushUndo();
+    this.redoStack = [];
+    this.pendingTreeState = { pointer: result.pointer, edit: edit.type === 'insert' || edit.type === 'append' };
+    
+    // NDJSON stays one record per line; other converted input (YAML, TOML, XML, CSV) is rewritten as JSON
+    if (this.getInputMode() === 'ndjson' && Array.isArray(result.value)) {
+      if (this.ndjsonLines.some(entry => entry.error)) {
+        toast.info('Invalid NDJSON lines were dropped');
+      }
+      this.setInputText(convertOutput(result.value, 'ndjson', this.rawNumbers).text, this.parseMode);
+      return true;
+    }
+    if (!isJsonMode(this.parseMode)) {
+      toast.info(`${this.getFormatLabel()} input was rewritten as JSON`);
+    }
+    this.setInputText(this.formatJson(result.value, this.rawNumbers), isJsonMode(this.parseMode) ? this.parseMode : 'strict');
+    return true;
+  }
+  
+  /**
+   * Record the current input for undo
+   */
+  pushUndo() {
     const input = this.container.querySelector('#jsonInput');
-    if (this.currentJson !== null) {
-      input.value = JSON.stringify(this.currentJson, null, this.indent);
-      toast.success('JSON beautified');
+    this.undoStack.push({ text: input.value, mode: this.parseMode });
+    if (this.undoStack.length > MAX_UNDO) {
+      this.undoStack.shift();
+    }
+  }
+  
+  /**
+   * Replace the input text (and parser mode) and re-parse
+   */
+  setInputText(text, mode) {
+    const input = this.container.querySelector('#jsonInput');
+    input.value = text;
+    if (mode !== this.parseMode) {
+      this.setParseMode(mode);
+    }
+    this.updateUndoButtons();
+    this.processInput();
+  }
+  
+  /**
+   * Undo the last tree edit
+   */
+  undoTreeEdit() {
+    if (!this.undoStack.length) return;
+    const input = this.container.querySelector('#jsonInput');
+    this.redoStack.push({ text: input.value, mode: this.parseMode });
+    const state = this.undoStack.pop();
+    this.pendingTreeState = { pointer: null };
+    this.setInputText(state.text, state.mode);
+  }
+  
+  /**
+   * Redo the last undone tree edit
+   */
+  redoTreeEdit() {
+    if (!this.redoStack.length) return;
+    this.pushUndo();
+    const state = this.redoStack.pop();
+    this.pendingTreeState = { pointer: null };
+    this.setInputText(state.text, state.mode);
+  }
+  
+  /**
+   * Enable the undo/redo buttons when there is something to undo/redo
+   */
+  updateUndoButtons() {
+    this.container.querySelector('#jsonTreeUndo').disabled = !this.undoStack.length;
+    this.container.querySelector('#jsonTreeRedo').disabled = !this.redoStack.length;
+  }
+  
+  /**
+   * Show the path of the selected tree node above the tree
+   * @param {{pointer: string, path: string}|null} selection - Selected node, or null to hide
+   */
+  showTreePath(selection) {
+    const bar = this.container.querySelector('#jsonTreePath');
+    bar.style.display = selection ? 'flex' : 'none';
+    this.container.querySelector('#jsonTreePathText').textContent = selection ? selection.path : '';
+    this.container.querySelector('#jsonTreePathTable').style.display =
+      selection && isTabular(getAtPointer(this.treeView.value, selection.pointer)) ? '' : 'none';
+  }
+  
+  /**
+   * Render a parse error with its location, a caret snippet and the repair action
+   * @param {string} text - Source text
+   * @param {Error} error - Error thrown by parseInput
+   * @returns {string} - HTML
+   */
+  renderParseError(text, error) {
+    let html = `<span class="json-error-message">${this.escapeHtml(this.formatParseError(error))}</span>`;
+    
+    if (error.line !== undefined) {
+      html += `<span class="json-error-snippet">${this.escapeHtml(getErrorSnippet(text, error.line, error.column))}</span>`;
+    }
+    
+    if (this.repaired) {
+      // Kept on one line: the output is a <pre>
+      const fixes = this.repaired.fixes.map(f => this.escapeHtml(f)).join('<br>');
+      html += `<span class="json-error-repair"><button class="btn btn-secondary" id="jsonRepair"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M14.7 6.3a1 1 0 0 0 0 1.4l1.6 1.6a1 1 0 0 0 1.4 0l3.77-3.77a6 6 0 0 1-7.94 7.94l-6.91 6.91a2.12 2.12 0 0 1-3-3l6.91-6.91a6 6 0 0 1 7.94-7.94l-3.76 3.76z"/></svg>Repair</button><span class="json-error-fixes">${fixes}</span></span>`;
+    }
+    
+    return html;
+  }
+  
+  /**
+   * Prefix a parse error message with its location, if known
+   */
+  formatParseError(error) {
+    return error.line !== undefined
+      ? `Line ${error.line}, column ${error.column}: ${error.message}`
+      : error.message;
+  }
+  
+  /**
+   * Replace the input with its repaired version
+   */
+  repairInput() {
+    if (!this.repaired) return;
+    
+    const count = this.repaired.fixes.length;
+    this.pushUndo();
+    this.redoStack = [];
+    this.setInputText(this.repaired.text, this.parseMode);
+    toast.success(`Repaired JSON (${count} fix${count === 1 ? '' : 'es'})`);
+  }
+  
+  /**
+   * Parser mode the current document was read with: the selected mode,
+   * or the format detected in it
+   */
+  getInputMode() {
+    return this.detectedFormat || this.parseMode;
+  }
+  
+  /**
+   * Name of the input syntax the current document was read as
+   */
+  getFormatLabel() {
+    const mode = this.getInputMode();
+    if (mode === 'strict') return 'JSON';
+    return (PARSE_MODES[mode] || FORMATS[mode]).label;
+  }
+  
+  /**
+   * Show the lossy-conversion notes for the input and the output
+   * @param {string[]} outputWarnings - Notes from converting the output
+   */
+  showWarnings(outputWarnings = []) {
+    const box = this.container.querySelector('#jsonConvertWarnings');
+    const notes = [
+      ...this.inputWarnings.map(w => `${this.getFormatLabel()} → JSON: ${w}`),
+      ...outputWarnings.map(w => `JSON → ${FORMATS[this.outputFormat].label}: ${w}`)
+    ];
+    
+    box.style.display = notes.length ? 'block' : 'none';
+    box.innerHTML = notes.map(note => `<div class="json-convert-warning">${this.escapeHtml(note)}</div>`).join('');
+  }
+  
+  /**
+   * Text of the output in the selected output format
+   * @param {*} value - Value to serialize
+   * @param {Map<string, string>} rawNumbers - Original number literals keyed by JSON Pointer
+   * @returns {{text: string, warnings: string[]}}
+   * @throws {Error} - If the value has no representation in the output format
+   */
+  getOutputText(value, rawNumbers = new Map()) {
+    if (this.outputFormat === 'json') {
+      return { text: this.formatJson(value, rawNumbers), warnings: [] };
+    }
+    return convertOutput(value, this.outputFormat, rawNumbers);
+  }
+  
+  /**
+   * Render a value as highlighted JSON, converted text or tree, depending
+   * on the toggle and the output format
+   * @param {*} value - Value to render
+   * @param {Map<string, {className: string, title: string}>} markers - Tree node markers keyed by JSON Pointer
+   * @param {Map<string, string>} rawNumbers - Original number literals keyed by JSON Pointer
+   */
+  renderOutput(value, markers = new Map(), rawNumbers = new Map()) {
+    const output = this.container.querySelector('#jsonTree');
+    const treeToggle = this.container.querySelector('#jsonTreeToggle');
+    
+    // Node to select after a tree edit (pointer null: just keep the tree's state)
+    const state = this.pendingTreeState;
+    this.pendingTreeState = null;
+    
+    if (treeToggle.classList.contains('active')) {
+      const expandDepth = this.treeDepth ?? (this.isLargeDocument ? LARGE_TREE_DEPTH : Infinity);
+      this.showWarnings();
+      this.treeView.setData(value, {
+        markers,
+        rawNumbers,
+        expandDepth,
+        // Query results are not the document, so only the document is editable
+        editable: value === this.currentJson,
+        preserveState: state !== null
+      });
+      this.treeMatchIndex = -1;
+      this.updateTreeMatches();
+      
+      if (state && state.pointer !== null) {
+        if (state.edit) {
+          this.treeView.edit(state.pointer);
+        } else {
+          this.treeView.selectPath(state.pointer);
+        }
+      } else if (!state) {
+        this.showTreePath(null);
+      }
+      return;
+    }
+    
+    if (this.container.querySelector('#jsonTableToggle').classList.contains('active')) {
+      this.showWarnings();
+      this.renderTable(value, rawNumbers, output);
+      return;
+    }
+    
+    if (this.ndjsonLines && this.outputFormat === 'json' && value === this.currentJson && !this.isLargeDocument) {
+      this.showWarnings();
+      this.renderRecords(output);
+      return;
+    }
+    
+    if (this.outputFormat !== 'json') {
+      let converted;
+      try {
+        converted = this.getOutputText(value, rawNumbers);
+      } catch (error) {
+        this.showWarnings();
+        output.innerHTML = `<span style="color: var(--accent-red)">Cannot convert to ${FORMATS[this.outputFormat].label}: ${this.escapeHtml(error.message)}</span>`;
+        return;
+      }
+      this.showWarnings(converted.warnings);
+      output.innerHTML = `<pre>${this.escapeHtml(converted.text)}</pre>`;
+      return;
+    }
+    
+    this.showWarnings();
+    if (this.isLargeDocument) {
+      // Highlighting markup for multi-megabyte output would freeze the page
+      output.textContent = this.formatJson(value, rawNumbers);
     } else {
+      output.innerHTML = `<pre>${this.syntaxHighlight(this.formatJson(value, rawNumbers))}</pre>`;
+    }
+  }
+  
+  /**
+   * Render the array picked from the tree, the value itself or the first
+   * array of objects inside it as a table
+   * @param {*} value - Value to render
+   * @param {Map<string, string>} rawNumbers - Original number literals keyed by JSON Pointer
+   * @param {HTMLElement} output - Output element
+   */
+  renderTable(value, rawNumbers, output) {
+    let pointer = this.tablePointer;
+    if (pointer === null || !isTabular(getAtPointer(value, pointer))) {
+      pointer = findTable(value);
+    }
+    
+    this.tableSource = pointer === null ? null : {
+      pointer,
+      path: pointerToAccessor(value, pointer),
+      picked: pointer === this.tablePointer
+    };
+    
+    if (pointer === null) {
+      this.updateTableSource();
+      output.innerHTML = '<span style="color: var(--text-tertiary)">Table view needs an array of objects, e.g. [{"id": 1}, {"id": 2}]. None was found in this document.</span>';
+      return;
+    }
+    
+    // Same array as before (e.g. after an edit): keep sorting and expanded cells
+    const preserveState = this.tableView.pointer === pointer && output.querySelector('.json-table') !== null;
+    this.tableView.setData(getAtPointer(value, pointer), { pointer, rawNumbers, preserveState });
+    this.updateTableSource();
+  }
+  
+  /**
+   * Show which array the table shows and how many rows pass the filter
+   */
+  updateTableSource() {
+    const label = this.container.querySelector('#jsonTableSource');
+    const source = this.tableSource;
+    this.container.querySelector('#jsonTableWhole').style.display = source && source.picked ? '' : 'none';
+    if (!source) {
+      label.textContent = '';
+      return;
+    }
+    
+    const total = this.tableView.items.length;
+    const shown = this.tableView.query ? this.tableView.getRows().length : total;
+    label.textContent = `${source.path} · ${shown === total ? '' : `${shown} of `}${total} row${total === 1 ? '' : 's'}`;
+  }
+  
+  /**
+   * Download the filtered, sorted table rows
+   * @param {string} delimiter - ',' for CSV, '\t' for TSV
+   */
+  exportTable(delimiter) {
+    if (!this.tableSource) {
+      toast.error('Nothing to export');
+      return;
+    }
+    
+    const extension = delimiter === ',' ? 'csv' : 'tsv';
+    const blob = new Blob([this.tableView.toDelimited(delimiter)], {
+      type: delimiter === ',' ? 'text/csv' : 'text/tab-separated-values'
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `table.${extension}`;
+    link.click();
+    URL.revokeObjectURL(url);
+    toast.success(`Exported ${extension.toUpperCase()}`);
+  }
+  
+  /**
+   * Render NDJSON input as a list of its lines: one-line records and the
+   * errors of lines that were skipped. Clicking a line selects it in the input
+   * @param {HTMLElement} output - Output element
+   */
+  renderRecords(output) {
+    const texts = convertOutput(this.currentJson, 'ndjson', this.rawNumbers).text.split('\n');
+    const invalid = this.ndjsonLines.filter(entry => entry.error).length;
+    const count = this.currentJson.length;
+    
+    const rows = this.ndjsonLines.slice(0, MAX_RECORD_ROWS).map(entry => {
+      if (entry.error) {
+        return `<div class="json-record error" data-line="${entry.line}" title="Select line ${entry.line} in the input"><span class="json-record-line">${entry.line}</span><span class="json-record-error">${this.escapeHtml(entry.error)}</span></div>`;
+      }
+      const text = texts[entry.index];
+      const preview = text.length > MAX_RECORD_PREVIEW
+        ? `${this.escapeHtml(text.slice(0, MAX_RECORD_PREVIEW))}...`
+        : this.syntaxHighlight(text);
+      return `<div class="json-record" data-line="${entry.line}" title="Select line ${entry.line} in the input"><span class="json-record-line">${entry.line}</span><span class="json-record-text">${preview}</span></div>`;
+    });
+    
+    const hidden = this.ndjsonLines.length - rows.length;
+    output.innerHTML = `
+      <div class="json-records-header">
+        <span>${count} record${count === 1 ? '' : 's'}${invalid ? ` · <span style="color: var(--accent-red)">${invalid} invalid line${invalid === 1 ? '' : 's'}</span>` : ''}</span>
+        <button class="code-editor-btn" id="jsonRecordsToArray" title="Replace the input with a JSON array of the records">Convert to JSON Array</button>
+      </div>
+      ${rows.join('')}
+      ${hidden ? `<div class="json-records-more">${hidden} more line${hidden === 1 ? '' : 's'}: use Tree View to browse every record</div>` : ''}
+    `;
+  }
+  
+  /**
+   * Select a line of the input (1-based)
+   */
+  selectInputLine(line) {
+    const input = this.container.querySelector('#jsonInput');
+    const lines = input.value.split('\n');
+    if (line < 1 || line > lines.length) return;
+    
+    const start = lines.slice(0, line - 1).reduce((sum, text) => sum + text.length + 1, 0);
+    input.focus();
+    input.setSelectionRange(start, start + lines[line - 1].length);
+    // Scroll the line into view (the textarea has no API for it)
+    const lineHeight = input.scrollHeight / lines.length;
+    input.scrollTop = Math.max(0, (line - 1) * lineHeight - input.clientHeight / 2);
+  }
+  
+  /**
+   * Show a status badge
+   * @param {boolean} valid - Success or error styling
+   * @param {string} label - Badge text
+   * @param {string} badgeId - Badge element id
+   */
+  showStatus(valid, label, badgeId = 'jsonStatus') {
+    const status = this.container.querySelector(`#${badgeId}`);
+    
+    status.style.display = 'inline-flex';
+    status.className = `status-badge ${valid ? 'valid' : 'invalid'}`;
+    status.innerHTML = valid ? `
+      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/>
+        <path d="M22 4 12 14.01l-3-3"/>
+      </svg>
+      ${this.escapeHtml(label)}
+    ` : `
+      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <circle cx="12" cy="12" r="10"/>
+        <path d="m15 9-6 6M9 9l6 6"/>
+      </svg>
+      ${this.escapeHtml(label)}
+    `;
+  }
+  
+  /**
+   * Run the JSONPath/jq query (if any) against the parsed document
+   * @returns {boolean} - True if a query was entered and its output rendered
+   */
+  runQuery(parsed) {
+    const queryInput = this.container.querySelector('#jsonQuery');
+    const output = this.container.querySelector('#jsonTree');
+    const query = queryInput.value.trim();
+    
+    if (!query) {
+      return false;
+    }
+    
+    try {
+      const { language, results } = evaluateQuery(query, parsed);
+      
+      // JSONPath always yields a node list; a single jq output is shown as-is
+      const value = language === 'jq' && results.length === 1 ? results[0] : results;
+      this.queryResult = value;
+      this.traceQueryNumbers(value, value === results ? results : null);
+      
+      this.showStatus(true, `${language}: ${results.length} result${results.length === 1 ? '' : 's'}`);
+      this.renderOutput(value, new Map(), this.queryRawNumbers);
+    } catch (error) {
+      this.showStatus(false, `Query error: ${error.message}`);
+      output.innerHTML = `<span style="color: var(--accent-red)">${this.escapeHtml(error.message)}</span>`;
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Carry the document's original number literals over to query results that are
+   * nodes of the document. Numbers in values the query built or picked out on their
+   * own can't be traced back, so copying them keeps only JavaScript precision
+   * @param {*} value - Query output
+   * @param {Array|null} results - The node list, when the output is one
+   */
+  traceQueryNumbers(value, results) {
+    this.queryRawNumbers = new Map();
+    this.queryLossy = false;
+    if (!this.rawNumbers.size) return;
+    
+    // Containers are shared with the document, so they can be found by identity
+    const pointers = new Map();
+    const walk = (node, pointer) => {
+      if (node === null || typeof node !== 'object') return;
+      pointers.set(node, pointer);
+      Object.keys(node).forEach(key => walk(node[key], joinPointer(pointer, key)));
+    };
+    walk(this.currentJson, '');
+    
+    const containsNumber = (node) => typeof node === 'number' ||
+      (node !== null && typeof node === 'object' && Object.values(node).some(containsNumber));
+    const place = (node, prefix) => {
+      const pointer = pointers.get(node);
+      if (pointer !== undefined) {
+        rawNumbersBelow(this.rawNumbers, pointer).forEach((literal, path) => this.queryRawNumbers.set(prefix + path, literal));
+      } else if (containsNumber(node)) {
+        this.queryLossy = true;
+      }
+    };
+    
+    if (results) {
+      results.forEach((node, i) => place(node, `/${i}`));
+    } else {
+      place(value, '');
+    }
+  }
+  
+  /**
+   * Validate the document against the pasted JSON Schema
+   * @param {*} parsed - Parsed document, or undefined if the input is empty/invalid
+   * @returns {Map<string, {className: string, title: string}>} - Tree markers for violating nodes
+   */
+  validateAgainstSchema(parsed) {
+    const schemaToggle = this.container.querySelector('#jsonSchemaToggle');
+    const schemaInput = this.container.querySelector('#jsonSchemaInput');
+    const results = this.container.querySelector('#jsonSchemaResults');
+    const status = this.container.querySelector('#jsonSchemaStatus');
+    const markers = new Map();
+    
+    if (!schemaToggle.classList.contains('active')) {
+      return markers;
+    }
+    
+    const schemaText = schemaInput.value.trim();
+    if (!schemaText || parsed === undefined) {
+      status.style.display = 'none';
+      results.innerHTML = `<span style="color: var(--text-tertiary)">${schemaText ? 'Enter valid JSON to validate' : 'Violations will appear here...'}</span>`;
+      return markers;
+    }
+    
+    let report;
+    try {
+      report = validateJsonSchema(parsed, JSON.parse(schemaText));
+    } catch (error) {
+      this.showStatus(false, 'Invalid Schema', 'jsonSchemaStatus');
+      results.innerHTML = `<span style="color: var(--accent-red)">${this.escapeHtml(error.message)}</span>`;
+      return markers;
+    }
+    
+    const { draft, errors } = report;
+    if (errors.length === 0) {
+      this.showStatus(true, `Valid (${draft})`, 'jsonSchemaStatus');
+      results.innerHTML = '<span style="color: var(--accent-green)">No schema violations</span>';
+      return markers;
+    }
+    
+    this.showStatus(false, `${errors.length} violation${errors.length === 1 ? '' : 's'} (${draft})`, 'jsonSchemaStatus');
+    results.innerHTML = errors.map(error => `
+      <div class="schema-error" data-path="${this.escapeHtml(error.instancePath)}" title="${this.escapeHtml(error.schemaPath)}">
+        <code class="schema-error-path">${this.escapeHtml(error.instancePath || '(root)')}</code>
+        <span class="schema-error-keyword">${this.escapeHtml(error.keyword)}</span>
+        <span class="schema-error-message">${this.escapeHtml(error.message)}</span>
+      </div>
+    `).join('');
+    
+    errors.forEach(error => {
+      const existing = markers.get(error.instancePath);
+      const title = existing ? `${existing.title}\n${error.message}` : error.message;
+      markers.set(error.instancePath, { className: 'error', title });
+    });
+    
+    return markers;
+  }
+  
+  /**
+   * Generate types for the current document in the Generate panel
+   */
+  renderGenerated() {
+    const generateToggle = this.container.querySelector('#jsonGenerateToggle');
+    const output = this.container.querySelector('#jsonGenerateOutput');
+    
+    if (!generateToggle.classList.contains('active')) {
+      return;
+    }
+    
+    if (this.currentJson === null) {
+      output.innerHTML = '<span style="color: var(--text-tertiary)">Enter valid JSON to generate types...</span>';
+      return;
+    }
+    
+    output.textContent = this.getGeneratedText();
+  }
+  
+  /**
+   * Render the statistics panel: sizes, shape, and the subtrees and keys
+   * that weigh most. The gzip size is filled in when compression finishes
+   */
+  renderStats() {
+    const statsToggle = this.container.querySelector('#jsonStatsToggle');
+    const output = this.container.querySelector('#jsonStatsOutput');
+    
+    if (!statsToggle.classList.contains('active')) {
+      return;
+    }
+    
+    const request = ++this.statsRequest;
+    if (this.currentJson === null) {
+      output.innerHTML = '<span style="color: var(--text-tertiary)">Enter valid JSON to see its statistics...</span>';
+      return;
+    }
+    
+    const stats = analyzeJson(this.currentJson, this.rawNumbers);
+    const pretty = utf8Length(this.formatJson(this.currentJson, this.rawNumbers));
+    const percent = (part, whole) => `${whole ? Math.round((part / whole) * 1000) / 10 : 0}%`;
+    const bar = (part, whole) => `<span class="json-stats-bar"><span style="width: ${whole ? (part / whole) * 100 : 0}%"></span></span>`;
+    
+    const cards = [
+      [formatBytes(pretty), 'Beautified'],
+      [formatBytes(stats.bytes), `Minified (${percent(pretty - stats.bytes, pretty)} smaller)`],
+      ['<span id="jsonStatsGzip">...</span>', 'Gzip of minified (estimate)'],
+      [stats.maxDepth, 'Max depth'],
+      [`${stats.keys} <small>(${stats.uniqueKeys} unique)</small>`, 'Keys'],
+      [stats.nodes, 'Values']
+    ].map(([value, label]) => `<div class="json-stat"><div class="json-stat-value">${value}</div><div class="json-stat-label">${label}</div></div>`).join('');
+    
+    const types = Object.entries(stats.types).map(([type, count]) => (
+      `<div class="json-stats-row"><span class="json-stats-name">${type}</span>${bar(count, stats.nodes)}<span class="json-stats-num">${count}</span><span class="json-stats-num">${percent(count, stats.nodes)}</span></div>`
+    )).join('');
+    
+    const pathLink = (pointer) => `<button class="json-stats-path" data-pointer="${this.escapeHtml(pointer)}" title="Show in tree">${this.escapeHtml(pointerToAccessor(this.currentJson, pointer))}</button>`;
+    
+    const subtrees = stats.largestSubtrees.map(({ pointer, bytes, children }) => (
+      `<div class="json-stats-row">${pathLink(pointer)}${bar(bytes, stats.bytes)}<span class="json-stats-num">${formatBytes(bytes)}</span><span class="json-stats-num">${percent(bytes, stats.bytes)}</span><span class="json-stats-note">${children} ${Array.isArray(getAtPointer(this.currentJson, pointer)) ? 'item' : 'key'}${children === 1 ? '' : 's'}</span></div>`
+    )).join('');
+    
+    const keys = stats.heaviestKeys.map(({ key, bytes, count }) => (
+      `<div class="json-stats-row"><span class="json-stats-name">"${this.escapeHtml(key)}"</span>${bar(bytes, stats.bytes)}<span class="json-stats-num">${formatBytes(bytes)}</span><span class="json-stats-num">${percent(bytes, stats.bytes)}</span><span class="json-stats-note">${count}\u00D7</span></div>`
+    )).join('');
+    
+    const section = (title, rows) => (rows ? `<div class="json-stats-section"><div class="json-stats-title">${title}</div>${rows}</div>` : '');
+    
+    output.innerHTML = `
+      <div class="json-stats-cards">${cards}</div>
+      ${stats.maxDepth ? `<div class="json-stats-note">Deepest value: ${pathLink(stats.deepestPointer)}</div>` : ''}
+      ${section('Types', types)}
+      ${section('Largest subtrees (minified size)', subtrees)}
+      ${section('Heaviest keys (every member with that key)', keys)}
+    `;
+    
+    const showGzip = (text) => {
+      if (request === this.statsRequest) {
+        this.container.querySelector('#jsonStatsGzip').textContent = text;
+      }
+    };
+    gzipSize(stringifyJson(this.currentJson, 0, this.rawNumbers))
+      .then(bytes => showGzip(bytes === null ? 'n/a' : formatBytes(bytes)))
+      .catch(() => showGzip('n/a'));
+  }
+  
+  /**
+   * Source generated from the current document
+   */
+  getGeneratedText() {
+    const rootName = this.container.querySelector('#jsonGenerateRoot').value.trim() || 'Root';
+    return generateTypes(this.currentJson, this.generateTarget, rootName);
+  }
+  
+  /**
+   * Copy the generated types to the clipboard
+   */
+  async copyGenerated() {
+    if (this.currentJson === null) {
+      toast.error('Nothing to copy');
+      return;
+    }
+    
+    try {
+      await navigator.clipboard.writeText(this.getGeneratedText());
+      toast.success(`${GENERATORS[this.generateTarget].label} copied to clipboard`);
+    } catch {
+      toast.error('Failed to copy');
+    }
+  }
+  
+  /**
+   * Switch to tree view and scroll to the node at a JSON Pointer
+   */
+  revealPath(pointer) {
+    const treeToggle = this.container.querySelector('#jsonTreeToggle');
+    if (!treeToggle.classList.contains('active')) {
+      treeToggle.classList.add('active');
+      this.updateTreeControls();
+      this.refreshOutput();
+    }
+    
+    this.treeView.reveal(pointer);
+  }
+  
+  /**
+   * Compare the two documents in Compare mode
+   */
+  processCompare() {
+    const leftInput = this.container.querySelector('#jsonCompareLeft');
+    const rightInput = this.container.querySelector('#jsonCompareRight');
+    const tree = this.container.querySelector('#jsonDiffTree');
+    const changesList = this.container.querySelector('#jsonDiffChanges');
+    const summary = this.container.querySelector('#jsonDiffSummary');
+    const status = this.container.querySelector('#jsonDiffStatus');
+    
+    const leftText = leftInput.value.trim();
+    const rightText = rightInput.value.trim();
+    
+    summary.innerHTML = '';
+    changesList.innerHTML = '';
+    
+    if (!leftText || !rightText) {
+      status.style.display = 'none';
+      tree.innerHTML = '<span style="color: var(--text-tertiary)">Paste two documents to compare...</span>';
+      return;
+    }
+    
+    let left;
+    let right;
+    try {
+      left = parseInput(leftText, this.parseMode).value;
+    } catch (error) {
+      this.showStatus(false, 'Original is invalid', 'jsonDiffStatus');
+      tree.innerHTML = `<span style="color: var(--accent-red)">Original: ${this.escapeHtml(this.formatParseError(error))}</span>`;
+      return;
+    }
+    try {
+      right = parseInput(rightText, this.parseMode).value;
+    } catch (error) {
+      this.showStatus(false, 'Modified is invalid', 'jsonDiffStatus');
+      tree.innerHTML = `<span style="color: var(--accent-red)">Modified: ${this.escapeHtml(this.formatParseError(error))}</span>`;
+      return;
+    }
+    
+    const diff = diffJson(left, right);
+    
+    if (diff.changes.length === 0) {
+      this.showStatus(true, 'Identical', 'jsonDiffStatus');
+    } else {
+      this.showStatus(false, `${diff.changes.length} change${diff.changes.length === 1 ? '' : 's'}`, 'jsonDiffStatus');
+    }
+    
+    summary.innerHTML = ['added', 'removed', 'changed', 'moved']
+      .map(type => `<span class="diff-count diff-${type}">${diff.summary[type]} ${type}</span>`)
+      .join('');
+    
+    // Render the merged document with inline change markers
+    this.diffTreeView.setData(diff.merged, { markers: diff.markers });
+    
+    changesList.innerHTML = diff.changes.length === 0
+      ? '<span style="color: var(--accent-green)">No structural differences (key order is ignored)</span>'
+      : diff.changes.map(change => {
+        let detail = '';
+        if (change.type === 'changed') {
+          detail = `${previewValue(change.oldValue)} → ${previewValue(change.newValue)}`;
+        } else if (change.type === 'moved') {
+          detail = `from ${change.from}`;
+        } else {
+          detail = previewValue(change.type === 'added' ? change.newValue : change.oldValue);
+        }
+        return `
+          <div class="diff-change" data-path="${this.escapeHtml(change.mergedPath)}">
+            <span class="diff-count diff-${change.type}">${change.type}</span>
+            <code class="schema-error-path">${this.escapeHtml(change.path || '(root)')}</code>
+            <span class="schema-error-message">${this.escapeHtml(detail)}</span>
+          </div>
+        `;
+      }).join('');
+  }
+  
+  /**
+   * Syntax highlight JSON string
+   */
+  syntaxHighlight(json) {
+    // Escape HTML
+    json = json.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    
+    return json.replace(/("(\\u[a-zA-Z0-9]{4}|\\[^u]|[^\\"])*"(\s*:)?|\b(true|false|null)\b|-?\d+(?:\.\d*)?(?:[eE][+\-]?\d+)?)/g, (match) => {
+      let cls = 'number';
+      if (/^"/.test(match)) {
+        if (/:$/.test(match)) {
+          cls = 'key';
+        } else {
+          cls = 'string';
+        }
+      } else if (/true|false/.test(match)) {
+        cls = 'boolean';
+      } else if (/null/.test(match)) {
+        cls = 'null';
+      }
+      return `<span class="${cls}">${match}</span>`;
+    });
+  }
+  
+  /**
+   * Escape HTML characters
+   */
+  escapeHtml(str) {
+    return str
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+  
+  /**
+   * Serialize JSON with the formatting options
+   * @param {*} value - Value to serialize
+   * @param {Map<string, string>} rawNumbers - Original number literals keyed by JSON Pointer
+   * @param {boolean} minified - Ignore the indentation options (Minify)
+   * @returns {string} - JSON text
+   */
+  formatJson(value, rawNumbers = new Map(), minified = false) {
+    const { indent, sortKeys, compactArrays, escapeUnicode, canonical } = this.formatOptions;
+    if (canonical) {
+      return canonicalizeJson(value);
+    }
+    return stringifyJson(value, minified ? 0 : (indent === 'tab' ? '\t' : indent), rawNumbers, {
+      sortKeys,
+      compactArrays: compactArrays && !minified,
+      escapeUnicode
+    });
+  }
+  
+  /**
+   * Change a formatting option, remember it and redraw the output
+   * @param {string} option - Key of this.formatOptions
+   * @param {*} value - New value
+   */
+  setFormatOption(option, value) {
+    this.formatOptions[option] = value;
+    const key = `json${option[0].toUpperCase()}${option.slice(1)}`;
+    preferences.set(key, value);
+    this.updateFormatOptions();
+    this.refreshOutput();
+  }
+  
+  /**
+   * Disable the options that canonical JSON overrides
+   */
+  updateFormatOptions() {
+    const popover = this.container.querySelector('#jsonOptionsPopover');
+    const canonical = Boolean(this.formatOptions.canonical);
+    popover.querySelectorAll('#jsonIndent, input[data-option]:not([data-option="canonical"])').forEach(control => {
+      control.disabled = canonical;
+      control.closest('.json-option').classList.toggle('disabled', canonical);
+    });
+  }
+  
+  /**
+   * Beautify JSON
+   */
+  beautify() {
+    const input = this.container.querySelector('#jsonInput');
+    if (this.currentJson === null) {
       toast.error('Please enter valid JSON first');
+    } else if (!isJsonMode(this.getInputMode())) {
+      this.replaceWithJson(false);
+    } else {
+      input.value = this.formatJson(this.currentJson, this.rawNumbers);
+      toast.success(this.formatOptions.canonical ? 'JSON canonicalized (RFC 8785)' : 'JSON beautified');
     }
   }
   
@@ -318,22 +1939,75 @@ export class JsonFormatter {
    */
   minify() {
     const input = this.container.querySelector('#jsonInput');
-    if (this.currentJson !== null) {
-      input.value = JSON.stringify(this.currentJson);
-      toast.success('JSON minified');
+    if (this.currentJson === null) {
+      toast.error('Please enter valid JSON first');
+    } else if (!isJsonMode(this.getInputMode())) {
+      this.replaceWithJson(true);
     } else {
+      input.value = this.formatJson(this.currentJson, this.rawNumbers, true);
+      toast.success('JSON minified');
+    }
+  }
+  
+  /**
+   * Unescape the embedded JSON of the whole document, or stringify it
+   * (undoable like tree edits)
+   * @param {string} type - 'unescape' or 'stringify'
+   */
+  editDocument(type) {
+    if (this.currentJson === null) {
       toast.error('Please enter valid JSON first');
+    } else if (this.applyTreeEdit({ type, pointer: '' })) {
+      toast.success(type === 'unescape' ? 'Embedded JSON unescaped' : 'Document stringified');
     }
   }
   
+  /**
+   * Replace converted (YAML, TOML, XML, CSV) input with its JSON and
+   * switch the parser to strict JSON
+   * @param {boolean} minified - Write minified instead of beautified JSON
+   */
+  replaceWithJson(minified) {
+    const input = this.container.querySelector('#jsonInput');
+    const label = this.getFormatLabel();
+    
+    input.value = this.formatJson(this.currentJson, this.rawNumbers, minified);
+    this.setParseMode('strict');
+    this.processInput();
+    toast.success(`Converted ${label} to JSON`);
+  }
+  
+  /**
+   * Change the parser mode and remember it
+   */
+  setParseMode(mode) {
+    this.parseMode = mode;
+    this.container.querySelector('#jsonParseMode').value = mode;
+    preferences.set('jsonParseMode', mode);
+  }
+  
   /**
    * Copy output to clipboard
    */
   async copyOutput() {
     if (this.currentJson !== null) {
+      // Copy the query result when a query is active
+      let text;
+      try {
+        text = this.queryResult !== undefined
+          ? this.getOutputText(this.queryResult, this.queryRawNumbers).text
+          : this.getOutputText(this.currentJson, this.rawNumbers).text;
+      } catch (error) {
+        toast.error(error.message);
+        return;
+      }
       try {
-        await navigator.clipboard.writeText(JSON.stringify(this.currentJson, null, this.indent));
-        toast.success('Copied to clipboard');
+        await navigator.clipboard.writeText(text);
+        if (this.queryResult !== undefined && this.queryLossy) {
+          toast.info('Copied. Numbers the query picked out or computed use JavaScript precision, so big or long literals may be rounded');
+        } else {
+          toast.success('Copied to clipboard');
+        }
       } catch {
         toast.error('Failed to copy');
       }
@@ -354,6 +2028,22 @@ export class JsonFormatter {
     output.innerHTML = '<span style="color: var(--text-tertiary)">Output will appear here...</span>';
     status.style.display = 'none';
     this.currentJson = null;
+    this.rawNumbers = new Map();
+    this.isLargeDocument = false;
+    this.queryResult = undefined;
+    this.repaired = null;
+    this.inputWarnings = [];
+    this.ndjsonLines = null;
+    this.detectedFormat = null;
+    this.parseRequest++;
+    this.showWarnings();
+    this.validateAgainstSchema(undefined);
+    this.renderGenerated();
+    this.renderStats();
+    this.showTreePath(null);
+    this.undoStack = [];
+    this.redoStack = [];
+    this.updateUndoButtons();
   }
   
   /**
@@ -396,6 +2086,11 @@ export class JsonFormatter {
       }
     };
     
+    // The sample is JSON, whatever the input format
+    if (!isJsonMode(this.parseMode)) {
+      this.setParseMode('strict');
+    }
+    
     const input = this.container.querySelector('#jsonInput');
     input.value = JSON.stringify(sample, null, 2);
     this.processInput();
@@ -414,6 +2109,13 @@ export class JsonFormatter {
    * Cleanup
    */
   destroy() {
+    if (this.worker) {
+      this.worker.terminate();
+    }
+    document.removeEventListener('click', this.onDocumentClick);
+    this.treeView.destroy();
+    this.tableView.destroy();
+    this.diffTreeView.destroy();
     this.container.innerHTML = '';
   }
 }
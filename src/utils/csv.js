@@ -0,0 +1,218 @@
+/**
+ * DevToyNative - CSV Converter
+ * RFC 4180 parsing (delimiter auto-detection, header row) and
+ * serialization of arrays of flat objects
+ */
+
+import { getLineColumn } from './jsonParser.js';
+
+const DELIMITERS = [',', '\t', ';', '|'];
+const NUMBER = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/;
+
+/**
+ * Guess the delimiter from the first line (ignoring quoted text)
+ */
+function detectDelimiter(text) {
+  const firstLine = text.split('\n', 1)[0].replace(/"[^"]*"/g, '');
+  let best = ',';
+  let bestCount = 0;
+
+  DELIMITERS.forEach(delimiter => {
+    const count = firstLine.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Split CSV text into rows of fields
+ */
+function readRows(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let pos = 0;
+
+  const fail = (message, position) => {
+    const { line, column } = getLineColumn(text, position);
+    const error = new Error(message);
+    error.position = position;
+    error.line = line;
+    error.column = column;
+    throw error;
+  };
+
+  while (pos <= text.length) {
+    const ch = text[pos];
+
+    if (ch === '"' && field === '' && !quoted) {
+      const start = pos++;
+      for (;;) {
+        if (pos >= text.length) fail('Unterminated quoted field', start);
+        if (text[pos] === '"') {
+          if (text[pos + 1] !== '"') break;
+          field += '"';
+          pos += 2;
+        } else {
+          field += text[pos++];
+        }
+      }
+      pos++;
+      quoted = true;
+      continue;
+    }
+
+    if (ch === delimiter) {
+      row.push(field);
+      field = '';
+      quoted = false;
+      pos++;
+      continue;
+    }
+
+    if (ch === '\n' || ch === '\r' || ch === undefined) {
+      row.push(field);
+      // Skip blank lines
+      if (row.length > 1 || field !== '' || quoted) rows.push(row);
+      row = [];
+      field = '';
+      quoted = false;
+      pos += ch === '\r' && text[pos + 1] === '\n' ? 2 : 1;
+      continue;
+    }
+
+    if (quoted) {
+      fail(`Unexpected '${ch}' after a closing quote`, pos);
+    }
+    field += ch;
+    pos++;
+  }
+
+  return rows;
+}
+
+/**
+ * Parse CSV with a header row into an array of objects
+ * @param {string} text - CSV (or TSV, semicolon- or pipe-separated) text
+ * @returns {{value: Object[], warnings: string[]}}
+ * @throws {Error} - Syntax error with `position`, `line` and `column`
+ */
+export function parseCsv(text) {
+  const warnings = new Set();
+  const source = text.replace(/^\ufeff/, '');
+  const delimiter = detectDelimiter(source);
+  const rows = readRows(source, delimiter);
+
+  if (!rows.length) {
+    return { value: [], warnings: [] };
+  }
+
+  // Headers: fill blanks and de-duplicate
+  const seen = new Map();
+  const headers = rows[0].map((name, i) => {
+    let header = name.trim() || `column${i + 1}`;
+    if (seen.has(header)) {
+      const count = seen.get(header) + 1;
+      seen.set(header, count);
+      warnings.add(`Duplicate column '${header}' was renamed to '${header}_${count}'`);
+      header = `${header}_${count}`;
+    }
+    seen.set(header, seen.get(header) || 1);
+    return header;
+  });
+
+  const typed = (cell) => {
+    if (NUMBER.test(cell) && (!/^-?\d+$/.test(cell) || Number.isSafeInteger(Number(cell)))) {
+      warnings.add('Cell types were inferred: numeric and true/false cells became numbers and booleans');
+      return Number(cell);
+    }
+    if (cell === 'true' || cell === 'false') {
+      warnings.add('Cell types were inferred: numeric and true/false cells became numbers and booleans');
+      return cell === 'true';
+    }
+    return cell;
+  };
+
+  const value = rows.slice(1).map((row, index) => {
+    if (row.length !== headers.length) {
+      warnings.add(`Row ${index + 2} has ${row.length} fields but the header has ${headers.length}`);
+    }
+    const record = {};
+    headers.forEach((header, i) => {
+      record[header] = i < row.length ? typed(row[i]) : null;
+    });
+    return record;
+  });
+
+  return { value, warnings: [...warnings] };
+}
+
+/**
+ * Serialize an array of flat objects (or of arrays) as CSV
+ * @param {Array} value - Rows
+ * @returns {{text: string, warnings: string[]}}
+ * @throws {Error} - If the value is not an array of rows
+ */
+export function stringifyCsv(value) {
+  if (!Array.isArray(value)) {
+    throw new Error('CSV needs an array of objects (one per row) or an array of arrays');
+  }
+
+  const warnings = new Set();
+  const isRecord = (item) => item !== null && typeof item === 'object' && !Array.isArray(item);
+
+  const cell = (v) => {
+    if (v === null || v === undefined) {
+      if (v === null) warnings.add('null values were written as empty cells');
+      return '';
+    }
+    if (typeof v === 'object') {
+      warnings.add('Nested objects and arrays were written as JSON text');
+      return JSON.stringify(v);
+    }
+    if (typeof v === 'string' && (NUMBER.test(v) || v === 'true' || v === 'false')) {
+      warnings.add(`Strings that look like numbers or booleans (e.g. "${v}") read back as numbers or booleans`);
+    }
+    return String(v);
+  };
+
+  let header;
+  let rows;
+
+  if (value.every(isRecord)) {
+    const keys = new Set();
+    value.forEach(item => Object.keys(item).forEach(key => keys.add(key)));
+    header = [...keys];
+    rows = value.map(item => header.map(key => cell(item[key])));
+  } else if (value.every(Array.isArray)) {
+    header = null;
+    rows = value.map(item => item.map(cell));
+  } else if (value.every(item => item === null || typeof item !== 'object')) {
+    header = ['value'];
+    rows = value.map(item => [cell(item)]);
+  } else {
+    throw new Error('CSV needs every row to be of the same kind: all objects, all arrays or all plain values');
+  }
+
+  return { text: formatCsvRows(header ? [header, ...rows] : rows), warnings: [...warnings] };
+}
+
+/**
+ * Join rows of cell text into delimited text, quoting cells that need it
+ * @param {string[][]} rows - Cell text, header row included
+ * @param {string} delimiter - Field separator (',' for CSV, '\t' for TSV)
+ * @returns {string}
+ */
+export function formatCsvRows(rows, delimiter = ',') {
+  const quote = (str) => (
+    str.includes(delimiter) || /["\r\n]|^\s|\s$/.test(str) ? `"${str.replace(/"/g, '""')}"` : str
+  );
+  return rows.length ? `${rows.map(row => row.map(quote).join(delimiter)).join('\n')}\n` : '';
+}
+
+export default { parseCsv, stringifyCsv, formatCsvRows };
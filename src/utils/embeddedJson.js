@@ -0,0 +1,113 @@
+/**
+ * DevToyNative - Embedded JSON
+ * JSON documents stored as string values (queue messages, log `message`
+ * fields): detection, recursive unescaping into nested values, and the reverse
+ */
+
+import { parseJson, stringifyJson } from './jsonParser.js';
+import { joinPointer } from './jsonUtils.js';
+
+// Longer strings are not checked while rendering (unescaping still parses them)
+const MAX_DETECT_LENGTH = 1024 * 1024;
+
+// Strings quoted more times than this are left alone
+const MAX_QUOTING = 8;
+
+/**
+ * Parse a string holding a JSON object or array, also when that JSON was
+ * itself stringified again ("\"{\\\"a\\\": 1}\"")
+ * @param {string} text - String value
+ * @returns {{value: Object|Array, rawNumbers: Map<string, string>}|null} - Parsed
+ *   value and its imprecise number literals, or null if the string is not embedded JSON
+ */
+export function parseEmbedded(text) {
+  let current = text;
+
+  for (let quoting = 0; typeof current === 'string' && quoting < MAX_QUOTING; quoting++) {
+    const trimmed = current.trim();
+    const first = trimmed[0];
+    const last = trimmed[trimmed.length - 1];
+    if (trimmed.length < 2 || !((first === '{' && last === '}') || (first === '[' && last === ']') || (first === '"' && last === '"'))) {
+      return null;
+    }
+
+    const rawNumbers = new Map();
+    try {
+      current = parseJson(trimmed, 'strict', rawNumbers);
+    } catch {
+      return null;
+    }
+    if (current !== null && typeof current === 'object') {
+      return { value: current, rawNumbers };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Whether a string value holds a JSON object or array
+ * @param {string} text - String value
+ * @returns {boolean}
+ */
+export function isEmbeddedJson(text) {
+  return typeof text === 'string' && text.length <= MAX_DETECT_LENGTH && parseEmbedded(text) !== null;
+}
+
+/**
+ * Replace every string holding JSON with the parsed value, recursively
+ * (embedded JSON inside embedded JSON is unescaped too)
+ * @param {*} value - Value to unescape (containers are modified in place)
+ * @param {Map<string, string>} rawNumbers - Receives the literals of imprecise numbers found, keyed by JSON Pointer
+ * @param {string} pointer - JSON Pointer of the value in its document
+ * @returns {{value: *, count: number}} - Unescaped value and the number of strings parsed
+ */
+export function unescapeEmbedded(value, rawNumbers = new Map(), pointer = '') {
+  if (typeof value === 'string') {
+    const embedded = parseEmbedded(value);
+    if (!embedded) return { value, count: 0 };
+
+    embedded.rawNumbers.forEach((literal, inner) => rawNumbers.set(`${pointer}${inner}`, literal));
+    const nested = unescapeEmbedded(embedded.value, rawNumbers, pointer);
+    return { value: nested.value, count: nested.count + 1 };
+  }
+
+  let count = 0;
+  if (value !== null && typeof value === 'object') {
+    Object.keys(value).forEach(key => {
+      const result = unescapeEmbedded(value[key], rawNumbers, joinPointer(pointer, key));
+      value[key] = result.value;
+      count += result.count;
+    });
+  }
+  return { value, count };
+}
+
+/**
+ * The number literals inside a node, keyed relative to it
+ * @param {Map<string, string>} rawNumbers - Original number literals of the document, keyed by JSON Pointer
+ * @param {string} pointer - JSON Pointer of the node
+ * @returns {Map<string, string>}
+ */
+export function rawNumbersBelow(rawNumbers, pointer) {
+  const inner = new Map();
+  rawNumbers.forEach((literal, path) => {
+    if (path === pointer || path.startsWith(`${pointer}/`)) {
+      inner.set(path.slice(pointer.length), literal);
+    }
+  });
+  return inner;
+}
+
+/**
+ * Compact JSON text of a node, for storing it as a string value
+ * @param {*} value - Node
+ * @param {Map<string, string>} rawNumbers - Original number literals of the document, keyed by JSON Pointer
+ * @param {string} pointer - JSON Pointer of the node in its document
+ * @returns {string}
+ */
+export function stringifyEmbedded(value, rawNumbers = new Map(), pointer = '') {
+  return stringifyJson(value, 0, rawNumbersBelow(rawNumbers, pointer));
+}
+
+export default { parseEmbedded, isEmbeddedJson, unescapeEmbedded, rawNumbersBelow, stringifyEmbedded };
@@ -0,0 +1,66 @@
+/**
+ * DevToyNative - JSON Conversion
+ * Registry of the formats the JSON Formatter converts from and to
+ */
+
+import { parseJson, PARSE_MODES } from './jsonParser.js';
+import { parseYaml, stringifyYaml } from './yaml.js';
+import { parseToml, stringifyToml } from './toml.js';
+import { parseXml, stringifyXml } from './xml.js';
+import { parseCsv, stringifyCsv } from './csv.js';
+import { looksLikeNdjson, parseNdjson, stringifyNdjson } from './ndjson.js';
+
+// parse(text, rawNumbers) -> {value, warnings}; stringify(value, rawNumbers) -> {text, warnings}
+// (rawNumbers is only used by the JSON-based formats)
+export const FORMATS = {
+  ndjson: { label: 'NDJSON', parse: parseNdjson, stringify: stringifyNdjson },
+  yaml: { label: 'YAML', parse: parseYaml, stringify: stringifyYaml },
+  toml: { label: 'TOML', parse: parseToml, stringify: stringifyToml },
+  xml: { label: 'XML', parse: parseXml, stringify: stringifyXml },
+  csv: { label: 'CSV', parse: parseCsv, stringify: stringifyCsv }
+};
+
+/**
+ * Parse input in a JSON parser mode or a conversion format
+ * @param {string} text - Source text
+ * @param {string} mode - A PARSE_MODES or FORMATS key
+ * @param {Map<string, string>} [rawNumbers] - Receives imprecise number literals (JSON and NDJSON)
+ * @returns {{value: *, warnings: string[], lines?: Array, detected?: string}} - Parsed value and notes
+ *   about lossy conversions; NDJSON adds its per-line results, and `detected` is set when JSON
+ *   input turned out to be NDJSON
+ * @throws {Error} - Syntax error with `position`, `line` and `column`
+ */
+export function parseInput(text, mode, rawNumbers = null) {
+  if (mode in FORMATS) {
+    return FORMATS[mode].parse(text, rawNumbers);
+  }
+
+  try {
+    return { value: parseJson(text, mode, rawNumbers), warnings: [] };
+  } catch (error) {
+    if (!looksLikeNdjson(text)) throw error;
+    if (rawNumbers) rawNumbers.clear();
+    return { ...parseNdjson(text, rawNumbers), detected: 'ndjson' };
+  }
+}
+
+/**
+ * Serialize a value in a conversion format
+ * @param {*} value - JSON value
+ * @param {string} format - A FORMATS key
+ * @param {Map<string, string>} [rawNumbers] - Original number literals keyed by JSON Pointer
+ * @returns {{text: string, warnings: string[]}}
+ * @throws {Error} - If the value has no representation in the format
+ */
+export function convertOutput(value, format, rawNumbers = new Map()) {
+  return FORMATS[format].stringify(value, rawNumbers);
+}
+
+/**
+ * Whether a mode is one of the JSON parser modes (not a conversion)
+ */
+export function isJsonMode(mode) {
+  return mode in PARSE_MODES;
+}
+
+export default { FORMATS, parseInput, convertOutput, isJsonMode };
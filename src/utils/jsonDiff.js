@@ -0,0 +1,310 @@
+/**
+ * DevToyNative - Structural JSON Diff
+ * Semantic comparison of two JSON documents, ignoring object key order
+ */
+
+import { typeOf, deepEqual, joinPointer } from './jsonUtils.js';
+
+// Keys used to pair up array elements that are "the same record" with edits
+const IDENTITY_KEYS = ['id', '_id', 'uuid', 'key', 'name'];
+
+// Above this many cells, fall back from LCS to a greedy alignment
+const MAX_LCS_CELLS = 4000000;
+
+/**
+ * Compare two JSON documents
+ * @param {*} left - Original document
+ * @param {*} right - Modified document
+ * @returns {{merged: *, changes: Array, markers: Map, summary: Object}}
+ *   merged  - right document with removed entries re-inserted, for inline rendering
+ *   changes - list of {type, path, mergedPath, oldValue?, newValue?, from?}
+ *   markers - tree markers keyed by JSON Pointer into `merged`
+ *   summary - counts per change type
+ */
+export function diffJson(left, right) {
+  const ctx = { changes: [], markers: new Map() };
+  const merged = diffValues(left, right, { left: '', right: '', merged: '' }, ctx);
+
+  const summary = { added: 0, removed: 0, changed: 0, moved: 0 };
+  ctx.changes.forEach(change => summary[change.type]++);
+
+  return { merged, changes: ctx.changes, markers: ctx.markers, summary };
+}
+
+/**
+ * Short single-line preview of a value for tooltips
+ */
+export function previewValue(value) {
+  const text = JSON.stringify(value);
+  if (text === undefined) return 'undefined';
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+/**
+ * Record a change and its tree marker
+ */
+function record(ctx, type, paths, details = {}) {
+  const path = type === 'removed' ? paths.left : paths.right;
+  ctx.changes.push({ type, path, mergedPath: paths.merged, ...details });
+
+  let title = type;
+  if (type === 'changed') title = `changed: ${previewValue(details.oldValue)} → ${previewValue(details.newValue)}`;
+  if (type === 'moved') title = `moved from ${details.from || '/'}`;
+  ctx.markers.set(paths.merged, { className: `diff-${type}`, title });
+}
+
+/**
+ * Child paths for a key present in left/right/merged
+ */
+function childPaths(paths, leftKey, rightKey, mergedKey) {
+  return {
+    left: leftKey === null ? paths.left : joinPointer(paths.left, leftKey),
+    right: rightKey === null ? paths.right : joinPointer(paths.right, rightKey),
+    merged: joinPointer(paths.merged, mergedKey)
+  };
+}
+
+/**
+ * Diff two values, returning the merged value
+ */
+function diffValues(left, right, paths, ctx) {
+  if (deepEqual(left, right)) {
+    return right;
+  }
+
+  const leftType = typeOf(left);
+  const rightType = typeOf(right);
+
+  if (leftType === 'object' && rightType === 'object') {
+    return diffObjects(left, right, paths, ctx);
+  }
+
+  if (leftType === 'array' && rightType === 'array') {
+    return diffArrays(left, right, paths, ctx);
+  }
+
+  record(ctx, 'changed', paths, { oldValue: left, newValue: right });
+  return right;
+}
+
+/**
+ * Diff two objects key by key; left-only keys are appended as removed
+ */
+function diffObjects(left, right, paths, ctx) {
+  const merged = {};
+
+  Object.keys(right).forEach(key => {
+    if (Object.prototype.hasOwnProperty.call(left, key)) {
+      merged[key] = diffValues(left[key], right[key], childPaths(paths, key, key, key), ctx);
+    } else {
+      record(ctx, 'added', childPaths(paths, null, key, key), { newValue: right[key] });
+      merged[key] = right[key];
+    }
+  });
+
+  Object.keys(left).forEach(key => {
+    if (!Object.prototype.hasOwnProperty.call(right, key)) {
+      record(ctx, 'removed', childPaths(paths, key, null, key), { oldValue: left[key] });
+      merged[key] = left[key];
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * Stable hash of a JSON value (sorted keys)
+ */
+function hashValue(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(hashValue).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${hashValue(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Longest common subsequence of two key lists, as [leftIndex, rightIndex] pairs
+ */
+function alignSequences(a, b) {
+  const n = a.length;
+  const m = b.length;
+
+  if (n * m > MAX_LCS_CELLS) {
+    return alignGreedy(a, b);
+  }
+
+  const table = new Uint32Array((n + 1) * (m + 1));
+  const at = (i, j) => i * (m + 1) + j;
+
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[at(i, j)] = a[i] === b[j]
+        ? table[at(i + 1, j + 1)] + 1
+        : Math.max(table[at(i + 1, j)], table[at(i, j + 1)]);
+    }
+  }
+
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      pairs.push([i++, j++]);
+    } else if (table[at(i + 1, j)] >= table[at(i, j + 1)]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return pairs;
+}
+
+/**
+ * In-order greedy alignment for very large arrays
+ */
+function alignGreedy(a, b) {
+  const positions = new Map();
+  a.forEach((hash, i) => {
+    if (!positions.has(hash)) positions.set(hash, []);
+    positions.get(hash).push(i);
+  });
+
+  const pairs = [];
+  let lastLeft = -1;
+  b.forEach((hash, j) => {
+    const candidates = positions.get(hash);
+    if (!candidates) return;
+    while (candidates.length && candidates[0] <= lastLeft) candidates.shift();
+    if (candidates.length) {
+      lastLeft = candidates.shift();
+      pairs.push([lastLeft, j]);
+    }
+  });
+
+  return pairs;
+}
+
+/**
+ * Identity of an array element for pairing edited records, e.g. "id:42"
+ */
+function identityOf(value) {
+  if (typeOf(value) !== 'object') return null;
+  const key = IDENTITY_KEYS.find(k => Object.prototype.hasOwnProperty.call(value, k) &&
+    ['string', 'number'].includes(typeof value[k]));
+  return key ? `${key}:${JSON.stringify(value[key])}` : null;
+}
+
+/**
+ * Diff two arrays: stable runs via LCS (records aligned by identity key,
+ * everything else by value), then moves, edited records and positional
+ * edits; anything left over is added or removed.
+ */
+function diffArrays(left, right, paths, ctx) {
+  const leftHashes = left.map(hashValue);
+  const rightHashes = right.map(hashValue);
+  const anchors = alignSequences(
+    left.map((item, i) => identityOf(item) || leftHashes[i]),
+    right.map((item, j) => identityOf(item) || rightHashes[j])
+  );
+
+  // pairing[i] / rightPairing[j]: { kind: 'anchor' | 'moved' | 'paired', other }
+  const leftPairing = new Array(left.length).fill(null);
+  const rightPairing = new Array(right.length).fill(null);
+  const pair = (i, j, kind) => {
+    leftPairing[i] = { kind, other: j };
+    rightPairing[j] = { kind, other: i };
+  };
+
+  anchors.forEach(([i, j]) => pair(i, j, 'anchor'));
+
+  // Gap number = how many anchors precede an index
+  const leftGap = new Array(left.length);
+  const rightGap = new Array(right.length);
+  let gap = 0;
+  leftPairing.forEach((p, i) => {
+    if (p) gap++;
+    leftGap[i] = p ? -1 : gap;
+  });
+  gap = 0;
+  rightPairing.forEach((p, j) => {
+    if (p) gap++;
+    rightGap[j] = p ? -1 : gap;
+  });
+
+  // Identical elements at a different position are moves
+  const unmatchedByHash = new Map();
+  leftPairing.forEach((p, i) => {
+    if (p) return;
+    if (!unmatchedByHash.has(leftHashes[i])) unmatchedByHash.set(leftHashes[i], []);
+    unmatchedByHash.get(leftHashes[i]).push(i);
+  });
+  rightPairing.forEach((p, j) => {
+    const queue = !p && unmatchedByHash.get(rightHashes[j]);
+    if (queue && queue.length) pair(queue.shift(), j, 'moved');
+  });
+
+  // Records with the same identity key are edits of the same element
+  const unmatchedByIdentity = new Map();
+  leftPairing.forEach((p, i) => {
+    const identity = !p && identityOf(left[i]);
+    if (identity && !unmatchedByIdentity.has(identity)) unmatchedByIdentity.set(identity, i);
+  });
+  rightPairing.forEach((p, j) => {
+    const identity = !p && identityOf(right[j]);
+    if (identity && unmatchedByIdentity.has(identity)) {
+      pair(unmatchedByIdentity.get(identity), j, 'paired');
+      unmatchedByIdentity.delete(identity);
+    }
+  });
+
+  // Within the same gap, remaining elements are positional edits
+  for (let g = 0; g <= anchors.length; g++) {
+    const lefts = leftPairing.map((p, i) => (!p && leftGap[i] === g ? i : -1)).filter(i => i !== -1);
+    const rights = rightPairing.map((p, j) => (!p && rightGap[j] === g ? j : -1)).filter(j => j !== -1);
+    for (let k = 0; k < Math.min(lefts.length, rights.length); k++) {
+      pair(lefts[k], rights[k], 'paired');
+    }
+  }
+
+  // Emit in right order, with removed elements placed in their original gap
+  const merged = [];
+  const emitGap = (g) => {
+    leftPairing.forEach((p, i) => {
+      if (p || leftGap[i] !== g) return;
+      record(ctx, 'removed', childPaths(paths, i, null, merged.length), { oldValue: left[i] });
+      merged.push(left[i]);
+    });
+
+    rightPairing.forEach((p, j) => {
+      if (rightGap[j] !== g) return;
+      const itemPaths = childPaths(paths, p ? p.other : null, j, merged.length);
+
+      if (!p) {
+        record(ctx, 'added', itemPaths, { newValue: right[j] });
+        merged.push(right[j]);
+      } else if (p.kind === 'moved') {
+        record(ctx, 'moved', itemPaths, { from: itemPaths.left, newValue: right[j] });
+        merged.push(right[j]);
+      } else {
+        if (leftGap[p.other] !== g) {
+          record(ctx, 'moved', itemPaths, { from: itemPaths.left, newValue: right[j] });
+        }
+        merged.push(diffValues(left[p.other], right[j], itemPaths, ctx));
+      }
+    });
+  };
+
+  anchors.forEach(([i, j], index) => {
+    emitGap(index);
+    merged.push(diffValues(left[i], right[j], childPaths(paths, i, j, merged.length), ctx));
+  });
+  emitGap(anchors.length);
+
+  return merged;
+}
+
+export default { diffJson, previewValue };
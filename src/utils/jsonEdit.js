@@ -0,0 +1,210 @@
+/**
+ * DevToyNative - JSON Tree Editing
+ * Edits a parsed document in place by JSON Pointer, keeping the original
+ * literals of imprecise numbers attached to the right nodes
+ */
+
+import { joinPointer, splitPointer } from './jsonUtils.js';
+
+/**
+ * Escape a key or index as a JSON Pointer reference token
+ */
+function toToken(key) {
+  return joinPointer('', key).slice(1);
+}
+
+/**
+ * Resolve the parent container and key of a node
+ * @returns {{parent: Object|Array, key: string|number, parentPointer: string}}
+ */
+function locate(root, pointer) {
+  const tokens = splitPointer(pointer);
+  if (!tokens.length) {
+    throw new Error('The root has no parent');
+  }
+
+  let parent = root;
+  let parentPointer = '';
+  tokens.slice(0, -1).forEach(token => {
+    parent = parent[Array.isArray(parent) ? Number(token) : token];
+    parentPointer = joinPointer(parentPointer, token);
+    if (parent === null || typeof parent !== 'object') {
+      throw new Error(`No node at ${pointer}`);
+    }
+  });
+
+  const last = tokens[tokens.length - 1];
+  const key = Array.isArray(parent) ? Number(last) : last;
+  if (!Object.prototype.hasOwnProperty.call(parent, key)) {
+    throw new Error(`No node at ${pointer}`);
+  }
+  return { parent, key, parentPointer };
+}
+
+/**
+ * Rewrite the raw number pointers below a container
+ * @param {Map<string, string>} rawNumbers - Original number literals keyed by JSON Pointer
+ * @param {string} parentPointer - Container whose children moved
+ * @param {Function} mapToken - Child token -> new token, or null to drop the subtree
+ */
+function remapChildren(rawNumbers, parentPointer, mapToken) {
+  if (!rawNumbers || !rawNumbers.size) return;
+
+  const prefix = `${parentPointer}/`;
+  const moved = [...rawNumbers].filter(([pointer]) => pointer.startsWith(prefix));
+  moved.forEach(([pointer]) => rawNumbers.delete(pointer));
+
+  moved.forEach(([pointer, literal]) => {
+    const rest = pointer.slice(prefix.length);
+    const slash = rest.indexOf('/');
+    const token = mapToken(slash === -1 ? rest : rest.slice(0, slash));
+    if (token !== null) {
+      rawNumbers.set(`${prefix}${token}${slash === -1 ? '' : rest.slice(slash)}`, literal);
+    }
+  });
+}
+
+/**
+ * Shift array index tokens at or after `from` by `offset`
+ */
+function shiftIndexes(from, offset) {
+  return (token) => (Number(token) >= from ? String(Number(token) + offset) : token);
+}
+
+/**
+ * Replace the keys of an object in place, keeping its key order
+ * (defined rather than assigned, so a "__proto__" key stays a member)
+ */
+function rebuildObject(object, entries) {
+  Object.keys(object).forEach(key => delete object[key]);
+  entries.forEach(([key, value]) => {
+    Object.defineProperty(object, key, { value, writable: true, enumerable: true, configurable: true });
+  });
+}
+
+/**
+ * A key not yet used in an object: newKey, newKey2, ...
+ */
+function freeKey(object) {
+  let key = 'newKey';
+  for (let n = 2; Object.prototype.hasOwnProperty.call(object, key); n++) {
+    key = `newKey${n}`;
+  }
+  return key;
+}
+
+/**
+ * Apply an edit to a document
+ * @param {*} root - Parsed document (containers are modified in place)
+ * @param {Object} edit - One of:
+ *   {type: 'set', pointer, value, rawNumbers} - Replace a value (rawNumbers: literals inside the new value)
+ *   {type: 'rename', pointer, key} - Rename an object member
+ *   {type: 'delete', pointer} - Remove a member or array item
+ *   {type: 'insert', pointer} - Add a null sibling after a node
+ *   {type: 'append', pointer} - Add a null child at the end of a container
+ *   {type: 'move', pointer, offset} - Move an array item by offset places
+ * @param {Map<string, string>} rawNumbers - Original number literals keyed by JSON Pointer (updated)
+ * @returns {{value: *, pointer: string}} - New document root and the pointer of the edited node
+ * @throws {Error} - If the edit does not apply
+ */
+export function applyEdit(root, edit, rawNumbers = new Map()) {
+  const { type, pointer } = edit;
+
+  if (type === 'set') {
+    if (pointer === '') {
+      rawNumbers.clear();
+    } else {
+      const { parent, key, parentPointer } = locate(root, pointer);
+      parent[key] = edit.value;
+      remapChildren(rawNumbers, parentPointer, token => (token === toToken(key) ? null : token));
+    }
+    if (edit.rawNumbers) {
+      edit.rawNumbers.forEach((literal, inner) => rawNumbers.set(`${pointer}${inner}`, literal));
+    }
+    return { value: pointer === '' ? edit.value : root, pointer };
+  }
+
+  if (type === 'append') {
+    const container = pointer === '' ? root : (() => {
+      const { parent, key } = locate(root, pointer);
+      return parent[key];
+    })();
+    if (container === null || typeof container !== 'object') {
+      throw new Error('Only objects and arrays have children');
+    }
+    if (Array.isArray(container)) {
+      container.push(null);
+      return { value: root, pointer: joinPointer(pointer, container.length - 1) };
+    }
+    const key = freeKey(container);
+    container[key] = null;
+    return { value: root, pointer: joinPointer(pointer, key) };
+  }
+
+  const { parent, key, parentPointer } = locate(root, pointer);
+
+  if (type === 'rename') {
+    if (Array.isArray(parent)) {
+      throw new Error('Array items have no key to rename');
+    }
+    if (edit.key === key) {
+      return { value: root, pointer };
+    }
+    if (Object.prototype.hasOwnProperty.call(parent, edit.key)) {
+      throw new Error(`Key "${edit.key}" already exists`);
+    }
+    rebuildObject(parent, Object.entries(parent).map(([name, value]) => [name === key ? edit.key : name, value]));
+    remapChildren(rawNumbers, parentPointer, token => (token === toToken(key) ? toToken(edit.key) : token));
+    return { value: root, pointer: joinPointer(parentPointer, edit.key) };
+  }
+
+  if (type === 'delete') {
+    if (Array.isArray(parent)) {
+      parent.splice(key, 1);
+      remapChildren(rawNumbers, parentPointer, token => (Number(token) === key ? null : shiftIndexes(key + 1, -1)(token)));
+    } else {
+      delete parent[key];
+      remapChildren(rawNumbers, parentPointer, token => (token === toToken(key) ? null : token));
+    }
+    return { value: root, pointer: parentPointer };
+  }
+
+  if (type === 'insert') {
+    if (Array.isArray(parent)) {
+      remapChildren(rawNumbers, parentPointer, shiftIndexes(key + 1, 1));
+      parent.splice(key + 1, 0, null);
+      return { value: root, pointer: joinPointer(parentPointer, key + 1) };
+    }
+    const newKey = freeKey(parent);
+    const entries = Object.entries(parent);
+    const index = entries.findIndex(([name]) => name === key);
+    entries.splice(index + 1, 0, [newKey, null]);
+    rebuildObject(parent, entries);
+    return { value: root, pointer: joinPointer(parentPointer, newKey) };
+  }
+
+  if (type === 'move') {
+    if (!Array.isArray(parent)) {
+      throw new Error('Only array items can be reordered');
+    }
+    const target = key + edit.offset;
+    if (target < 0 || target >= parent.length) {
+      throw new Error('The item cannot move further');
+    }
+    const [item] = parent.splice(key, 1);
+    parent.splice(target, 0, item);
+    const low = Math.min(key, target);
+    const high = Math.max(key, target);
+    remapChildren(rawNumbers, parentPointer, token => {
+      const index = Number(token);
+      if (index === key) return String(target);
+      if (index >= low && index <= high) return String(index - Math.sign(edit.offset));
+      return token;
+    });
+    return { value: root, pointer: joinPointer(parentPointer, target) };
+  }
+
+  throw new Error(`Unknown edit: ${type}`);
+}
+
+export default { applyEdit };
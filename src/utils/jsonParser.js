@@ -0,0 +1,712 @@
+/**
+ * DevToyNative - Lenient JSON Parser
+ * Parses strict JSON, JSONC (comments, trailing commas) and JSON5 with
+ * precise, human-readable syntax errors, and keeps number literals that
+ * a JS number cannot represent exactly
+ */
+
+import { joinPointer } from './jsonUtils.js';
+
+// Syntax accepted by each parser mode
+export const PARSE_MODES = {
+  strict: { label: 'Strict' },
+  jsonc: { label: 'JSONC', comments: true, trailingCommas: true },
+  json5: {
+    label: 'JSON5',
+    comments: true,
+    trailingCommas: true,
+    singleQuotes: true,
+    unquotedKeys: true,
+    extendedNumbers: true,
+    extendedStrings: true
+  }
+};
+
+// JSON5 single-character escapes (strict JSON allows a subset)
+const ESCAPES = {
+  '"': '"',
+  '\\': '\\',
+  '/': '/',
+  b: '\b',
+  f: '\f',
+  n: '\n',
+  r: '\r',
+  t: '\t',
+  "'": "'",
+  v: '\v',
+  0: '\0'
+};
+
+const STRICT_ESCAPES = '"\\/bfnrt';
+
+// A run of 16+ digits: the only way a literal can lose precision as a double
+const LONG_NUMBER = /(?:\d\.?){16}|\d[eE][+-]?\d{3}/;
+
+// ECMAScript whitespace and line terminators allowed by JSON5
+const JSON5_WHITESPACE = /[\t\n\v\f\r \u00A0\u1680\u2000-\u200A\u2028\u2029\u202F\u205F\u3000\uFEFF]/;
+
+/**
+ * Parse JSON text in the given mode
+ * @param {string} text - Source text
+ * @param {string} mode - strict, jsonc or json5
+ * @param {Map<string, string>} [rawNumbers] - If given, receives the original
+ *   literal of every number that loses precision, keyed by JSON Pointer
+ * @returns {*} - Parsed value
+ * @throws {Error} - Syntax error with `position`, `line` and `column` (1-based)
+ *   and a human-readable message
+ */
+export function parseJson(text, mode = 'strict', rawNumbers = null) {
+  const options = PARSE_MODES[mode];
+  if (!options) {
+    throw new Error(`Unknown parser mode: ${mode}`);
+  }
+
+  // The native parser is faster, but cannot report the original literals
+  if (mode === 'strict' && !(rawNumbers && LONG_NUMBER.test(text))) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      // Re-parse to get an engine-independent diagnosis
+      new JsonParser(text, options).parse();
+      throw error;
+    }
+  }
+
+  return new JsonParser(text, options, rawNumbers).parse();
+}
+
+/**
+ * Check whether a number literal changes value when read as a JS number
+ * (integers beyond 2^53, decimals with more than ~17 significant digits)
+ * @param {string} literal - Number literal, e.g. 9007199254740993
+ * @returns {boolean} - True if precision would be lost
+ */
+export function losesPrecision(literal) {
+  const unsigned = literal.replace(/^[+-]/, '');
+  if (/^0x/i.test(unsigned)) {
+    return BigInt(unsigned) > BigInt(Number.MAX_SAFE_INTEGER);
+  }
+
+  const value = Number(unsigned);
+  if (!Number.isFinite(value)) {
+    return true;
+  }
+  return canonicalDecimal(unsigned) !== canonicalDecimal(String(value));
+}
+
+/**
+ * Reduce an unsigned decimal literal to significant digits and exponent,
+ * so "1.50", "15e-1" and "1.5" compare equal
+ */
+function canonicalDecimal(literal) {
+  const [, int, frac = '', exp = '0'] = literal.match(/^(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/);
+  let digits = `${int}${frac}`.replace(/^0+/, '');
+  let exponent = Number(exp) - frac.length;
+
+  if (!digits) return '0';
+  while (digits.endsWith('0')) {
+    digits = digits.slice(0, -1);
+    exponent++;
+  }
+  return `${digits}e${exponent}`;
+}
+
+/**
+ * Rewrite a JSON5 number literal as strict JSON, keeping every digit
+ */
+function toStrictLiteral(literal) {
+  const negative = literal.startsWith('-');
+  let unsigned = literal.replace(/^[+-]/, '');
+
+  if (/^0x/i.test(unsigned)) {
+    unsigned = BigInt(unsigned).toString();
+  } else {
+    unsigned = unsigned.replace(/^\./, '0.').replace(/\.(?=$|[eE])/, '');
+  }
+  return negative ? `-${unsigned}` : unsigned;
+}
+
+/**
+ * Write non-ASCII characters of JSON text as \uXXXX escapes
+ * (outside strings JSON text is pure ASCII, so the whole text can be scanned)
+ */
+function escapeNonAscii(text) {
+  return text.replace(/[^\x00-\x7f]/g, ch => `\\u${ch.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+/**
+ * Serialize a value like JSON.stringify, writing the original literal for
+ * numbers recorded by parseJson
+ * @param {*} value - Value to serialize
+ * @param {number|string} indent - Spaces or indent string such as '\t' (0 for compact)
+ * @param {Map<string, string>} rawNumbers - Original number literals keyed by JSON Pointer
+ * @param {Object} options
+ * @param {boolean} options.sortKeys - Sort object keys (recursively) by UTF-16 code units
+ * @param {boolean} options.compactArrays - Keep arrays of primitives on one line
+ * @param {boolean} options.escapeUnicode - Write non-ASCII characters as \uXXXX escapes
+ * @returns {string} - JSON text
+ */
+export function stringifyJson(value, indent = 0, rawNumbers = new Map(), { sortKeys = false, compactArrays = false, escapeUnicode = false } = {}) {
+  const finish = (text) => (escapeUnicode && text !== undefined ? escapeNonAscii(text) : text);
+
+  if (rawNumbers.size === 0 && !sortKeys && !compactArrays) {
+    return finish(JSON.stringify(value, null, indent));
+  }
+
+  const gap = typeof indent === 'number' ? ' '.repeat(Math.min(indent, 10)) : String(indent).slice(0, 10);
+
+  const write = (current, pointer, currentIndent) => {
+    if (typeof current === 'number' && rawNumbers.has(pointer)) {
+      return rawNumbers.get(pointer);
+    }
+
+    const innerIndent = currentIndent + gap;
+    const wrap = (open, parts, close) => {
+      if (parts.length === 0) return `${open}${close}`;
+      if (!gap) return `${open}${parts.join(',')}${close}`;
+      return `${open}\n${innerIndent}${parts.join(`,\n${innerIndent}`)}\n${currentIndent}${close}`;
+    };
+
+    if (Array.isArray(current)) {
+      const parts = current.map((item, index) => write(item, joinPointer(pointer, index), innerIndent) ?? 'null');
+      if (compactArrays && gap && current.every(item => item === null || typeof item !== 'object')) {
+        return `[${parts.join(', ')}]`;
+      }
+      return wrap('[', parts, ']');
+    }
+
+    if (current !== null && typeof current === 'object') {
+      const parts = [];
+      const keys = Object.keys(current);
+      if (sortKeys) keys.sort();
+      keys.forEach(key => {
+        const text = write(current[key], joinPointer(pointer, key), innerIndent);
+        if (text !== undefined) {
+          parts.push(`${JSON.stringify(key)}:${gap ? ' ' : ''}${text}`);
+        }
+      });
+      return wrap('{', parts, '}');
+    }
+
+    return JSON.stringify(current);
+  };
+
+  return finish(write(value, '', ''));
+}
+
+/**
+ * Serialize a value as RFC 8785 canonical JSON (JCS), for signing and hashing:
+ * keys sorted by UTF-16 code units, no whitespace, numbers written as
+ * JavaScript doubles. NaN and Infinity (JSON5) become null, as in JSON.stringify
+ * @param {*} value - Value to serialize
+ * @returns {string} - Canonical JSON text
+ */
+export function canonicalizeJson(value) {
+  const write = (current) => {
+    if (Array.isArray(current)) {
+      return `[${current.map(item => write(item) ?? 'null').join(',')}]`;
+    }
+
+    if (current !== null && typeof current === 'object') {
+      const parts = [];
+      Object.keys(current).sort().forEach(key => {
+        const text = write(current[key]);
+        if (text !== undefined) {
+          parts.push(`${JSON.stringify(key)}:${text}`);
+        }
+      });
+      return `{${parts.join(',')}}`;
+    }
+
+    return JSON.stringify(current);
+  };
+
+  return write(value);
+}
+
+/**
+ * Convert a character offset to a 1-based line and column
+ * @param {string} text - Source text
+ * @param {number} position - Character offset
+ * @returns {{line: number, column: number}}
+ */
+export function getLineColumn(text, position) {
+  const before = text.slice(0, position);
+  const lineStart = before.lastIndexOf('\n') + 1;
+  return {
+    line: before.split('\n').length,
+    column: position - lineStart + 1
+  };
+}
+
+/**
+ * Build a snippet of the offending line with a caret under the error
+ * @param {string} text - Source text
+ * @param {number} line - 1-based line
+ * @param {number} column - 1-based column
+ * @param {number} width - Maximum characters shown around the caret
+ * @returns {string} - Previous line, offending line and caret line
+ */
+export function getErrorSnippet(text, line, column, width = 60) {
+  const lines = text.split('\n');
+  const gutter = String(line).length;
+  const format = (n, content) => `${String(n).padStart(gutter)} | ${content}`;
+
+  // Keep minified documents readable by windowing long lines around the caret
+  let source = (lines[line - 1] || '').replace(/\t/g, ' ');
+  let caret = column - 1;
+  if (source.length > width) {
+    const start = Math.max(0, Math.min(caret - Math.floor(width / 2), source.length - width));
+    source = `${start > 0 ? '...' : ''}${source.slice(start, start + width)}${start + width < source.length ? '...' : ''}`;
+    caret = caret - start + (start > 0 ? 3 : 0);
+  }
+
+  const snippet = [];
+  if (line > 1 && lines[line - 2].trim() && lines[line - 2].length <= width) {
+    snippet.push(format(line - 1, lines[line - 2].replace(/\t/g, ' ')));
+  }
+  snippet.push(format(line, source));
+  snippet.push(`${' '.repeat(gutter)} | ${' '.repeat(caret)}^`);
+  return snippet.join('\n');
+}
+
+/**
+ * Describe a character for error messages
+ */
+function describeChar(ch) {
+  if (ch === '\n' || ch === '\r') return 'line break';
+  return `'${ch}'`;
+}
+
+/**
+ * Recursive-descent parser with contextual error messages
+ */
+class JsonParser {
+  constructor(text, options, rawNumbers = null) {
+    this.text = text;
+    this.options = options;
+    this.rawNumbers = rawNumbers;
+    this.pos = 0;
+    // Open containers, for "missing comma after..." and "unclosed..." messages
+    this.stack = [];
+  }
+
+  parse() {
+    this.skipWhitespace();
+    if (this.pos >= this.text.length) {
+      this.fail('Empty input: expected a JSON value');
+    }
+    const value = this.parseValue();
+    this.skipWhitespace();
+    if (this.pos < this.text.length) {
+      this.fail(`Unexpected ${describeChar(this.text[this.pos])} after the end of the JSON value (only one top-level value is allowed)`);
+    }
+    return value;
+  }
+
+  fail(message, position = this.pos) {
+    const { line, column } = getLineColumn(this.text, position);
+    const error = new Error(message);
+    error.position = position;
+    error.line = line;
+    error.column = column;
+    throw error;
+  }
+
+  /**
+   * JSON Pointer of the value being parsed
+   */
+  currentPointer() {
+    return this.stack.reduce((pointer, frame) => (
+      joinPointer(pointer, frame.type === 'object' ? frame.key : frame.index)
+    ), '');
+  }
+
+  /**
+   * Describe where a container was opened, e.g. "object opened at line 3, column 5"
+   */
+  describeOpen(frame) {
+    const { line, column } = getLineColumn(this.text, frame.start);
+    return `${frame.type} opened at line ${line}, column ${column}`;
+  }
+
+  /**
+   * Describe the last complete member of a container, e.g. "property 'name'"
+   */
+  describeMember(frame) {
+    return frame.type === 'object'
+      ? `property '${frame.key}'`
+      : `array element ${frame.index}`;
+  }
+
+  failEndOfInput() {
+    const frame = this.stack[this.stack.length - 1];
+    if (frame) {
+      this.fail(`Unexpected end of input: missing '${frame.type === 'object' ? '}' : ']'}' to close the ${this.describeOpen(frame)}`);
+    }
+    this.fail('Unexpected end of input: expected a JSON value');
+  }
+
+  /**
+   * Explain a token that cannot start a value
+   */
+  failValue() {
+    const ch = this.text[this.pos];
+    if (ch === undefined) this.failEndOfInput();
+
+    const word = (this.text.slice(this.pos).match(/^[+-]?[\w$.]+/) || [''])[0];
+    const python = { True: 'true', False: 'false', None: 'null' };
+
+    if (python[word]) {
+      this.fail(`'${word}' is a Python literal, not JSON: use ${python[word]}`);
+    }
+    if (word === 'undefined') {
+      this.fail("'undefined' is not valid JSON: use null");
+    }
+    if (/^[+-]?(NaN|Infinity)$/.test(word)) {
+      this.fail(`'${word}' is only allowed in JSON5: use null or a number`);
+    }
+    if (/^[+-]?(0[xX]|\.|\d)/.test(word) || word === '-' || word === '+') {
+      this.fail(`Invalid number '${word}'${this.options.extendedNumbers ? '' : ' (hex, leading +, leading zeros and bare decimal points are JSON5-only)'}`);
+    }
+    if (/^[A-Za-z_$]/.test(word)) {
+      this.fail(`Unquoted string '${word}': strings must be wrapped in double quotes`);
+    }
+    if (ch === "'") {
+      this.fail('Strings must use double quotes, not single quotes (allowed in JSON5)');
+    }
+    if (ch === '/' && (this.text[this.pos + 1] === '/' || this.text[this.pos + 1] === '*')) {
+      this.fail('Comments are not allowed in strict JSON (switch the parser to JSONC)');
+    }
+    if (ch === ',') {
+      this.fail("Unexpected ',': expected a value (extra or leading comma?)");
+    }
+    if (ch === '}' || ch === ']') {
+      this.failCloser(ch, 'a value');
+    }
+    this.fail(`Unexpected ${describeChar(ch)}: expected a value`);
+  }
+
+  /**
+   * Explain a closing bracket where something else was expected
+   */
+  failCloser(ch, expected) {
+    const frame = this.stack[this.stack.length - 1];
+    const closer = frame && (frame.type === 'object' ? '}' : ']');
+    if (frame && ch !== closer) {
+      this.fail(`Unexpected '${ch}': expected '${closer}' to close the ${this.describeOpen(frame)}`);
+    }
+    this.fail(`Unexpected '${ch}': expected ${expected}`);
+  }
+
+  /**
+   * Explain a token following a complete member of an object or array
+   */
+  failAfterMember(frame) {
+    const ch = this.text[this.pos];
+    const closer = frame.type === 'object' ? '}' : ']';
+    if (ch === undefined) this.failEndOfInput();
+    if (ch === '}' || ch === ']') {
+      this.failCloser(ch, `',' or '${closer}'`);
+    }
+    if (ch === ';') {
+      this.fail(`Unexpected ';' after ${this.describeMember(frame)}: use ',' to separate ${frame.type === 'object' ? 'properties' : 'elements'}`);
+    }
+    if (/["'{[\w$+.-]/.test(ch)) {
+      this.fail(`Missing comma after ${this.describeMember(frame)}`);
+    }
+    if (ch === '/') this.failValue();
+    this.fail(`Unexpected ${describeChar(ch)} after ${this.describeMember(frame)}: expected ',' or '${closer}'`);
+  }
+
+  skipWhitespace() {
+    while (this.pos < this.text.length) {
+      const ch = this.text[this.pos];
+
+      if (ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r' ||
+          (this.options.extendedStrings && JSON5_WHITESPACE.test(ch))) {
+        this.pos++;
+      } else if (ch === '/' && this.options.comments && this.text[this.pos + 1] === '/') {
+        while (this.pos < this.text.length && !/[\n\r\u2028\u2029]/.test(this.text[this.pos])) {
+          this.pos++;
+        }
+      } else if (ch === '/' && this.options.comments && this.text[this.pos + 1] === '*') {
+        const end = this.text.indexOf('*/', this.pos + 2);
+        if (end === -1) {
+          this.fail('Unterminated /* comment');
+        }
+        this.pos = end + 2;
+      } else {
+        break;
+      }
+    }
+  }
+
+  parseValue() {
+    const ch = this.text[this.pos];
+
+    if (ch === '{') return this.parseObject();
+    if (ch === '[') return this.parseArray();
+    if (ch === '"' || (ch === "'" && this.options.singleQuotes)) return this.parseString();
+
+    if (this.matchWord('true')) return true;
+    if (this.matchWord('false')) return false;
+    if (this.matchWord('null')) return null;
+
+    return this.parseNumber();
+  }
+
+  /**
+   * Consume a keyword if it is not followed by an identifier character
+   */
+  matchWord(word) {
+    if (!this.text.startsWith(word, this.pos)) return false;
+    if (/[\w$]/.test(this.text[this.pos + word.length] || '')) return false;
+    this.pos += word.length;
+    return true;
+  }
+
+  parseObject() {
+    const result = {};
+    const frame = { type: 'object', start: this.pos, key: null };
+    this.stack.push(frame);
+    this.pos++;
+    this.skipWhitespace();
+
+    if (this.text[this.pos] === '}') {
+      this.pos++;
+      this.stack.pop();
+      return result;
+    }
+
+    for (;;) {
+      const key = this.parseKey(frame);
+      frame.key = key;
+      this.skipWhitespace();
+      if (this.text[this.pos] !== ':') {
+        if (this.pos >= this.text.length) this.failEndOfInput();
+        this.fail(`Missing ':' after property name '${key}'`);
+      }
+      this.pos++;
+      this.skipWhitespace();
+
+      // Define directly so "__proto__" stays an own property, as with JSON.parse
+      Object.defineProperty(result, key, {
+        value: this.parseValue(),
+        writable: true,
+        enumerable: true,
+        configurable: true
+      });
+
+      this.skipWhitespace();
+      if (this.text[this.pos] === ',') {
+        const comma = this.pos;
+        this.pos++;
+        this.skipWhitespace();
+        if (this.text[this.pos] === '}') {
+          if (!this.options.trailingCommas) {
+            this.fail(`Trailing comma after property '${key}' is not allowed (allowed in JSONC and JSON5)`, comma);
+          }
+          this.pos++;
+          this.stack.pop();
+          return result;
+        }
+      } else if (this.text[this.pos] === '}') {
+        this.pos++;
+        this.stack.pop();
+        return result;
+      } else {
+        this.failAfterMember(frame);
+      }
+    }
+  }
+
+  parseKey(frame) {
+    const ch = this.text[this.pos];
+    if (ch === '"' || (ch === "'" && this.options.singleQuotes)) {
+      return this.parseString();
+    }
+
+    if (this.options.unquotedKeys) {
+      const match = this.text.slice(this.pos).match(/^(?:[\p{L}\p{Nl}$_]|\\u[0-9a-fA-F]{4})(?:[\p{L}\p{Nl}\p{Mn}\p{Mc}\p{Nd}\p{Pc}$_\u200C\u200D]|\\u[0-9a-fA-F]{4})*/u);
+      if (match) {
+        this.pos += match[0].length;
+        return match[0].replace(/\\u([0-9a-fA-F]{4})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+      }
+    }
+
+    if (ch === undefined) this.failEndOfInput();
+
+    const word = (this.text.slice(this.pos).match(/^[\w$]+/) || [''])[0];
+    if (word) {
+      this.fail(`Property name '${word}' must be wrapped in double quotes (unquoted keys are allowed in JSON5)`);
+    }
+    if (ch === "'") {
+      this.fail('Property names must use double quotes, not single quotes (allowed in JSON5)');
+    }
+    if (ch === '}' && frame.key !== null) {
+      this.fail(`Expected a property name after the comma following property '${frame.key}'`);
+    }
+    if (ch === ',') {
+      this.fail("Unexpected ',': expected a property name (extra comma?)");
+    }
+    if (ch === '/' || ch === ']') this.failValue();
+    this.fail(`Unexpected ${describeChar(ch)}: expected a double-quoted property name`);
+  }
+
+  parseArray() {
+    const result = [];
+    const frame = { type: 'array', start: this.pos, index: 0 };
+    this.stack.push(frame);
+    this.pos++;
+    this.skipWhitespace();
+
+    if (this.text[this.pos] === ']') {
+      this.pos++;
+      this.stack.pop();
+      return result;
+    }
+
+    for (;;) {
+      frame.index = result.length;
+      result.push(this.parseValue());
+      this.skipWhitespace();
+
+      if (this.text[this.pos] === ',') {
+        const comma = this.pos;
+        this.pos++;
+        this.skipWhitespace();
+        if (this.text[this.pos] === ']') {
+          if (!this.options.trailingCommas) {
+            this.fail(`Trailing comma after array element ${frame.index} is not allowed (allowed in JSONC and JSON5)`, comma);
+          }
+          this.pos++;
+          this.stack.pop();
+          return result;
+        }
+      } else if (this.text[this.pos] === ']') {
+        this.pos++;
+        this.stack.pop();
+        return result;
+      } else {
+        this.failAfterMember(frame);
+      }
+    }
+  }
+
+  parseString() {
+    const start = this.pos;
+    const quote = this.text[this.pos++];
+    let result = '';
+
+    while (this.pos < this.text.length) {
+      const ch = this.text[this.pos];
+
+      if (ch === quote) {
+        this.pos++;
+        return result;
+      }
+
+      if (ch === '\\') {
+        result += this.parseEscape();
+        continue;
+      }
+
+      if (ch === '\n' || ch === '\r') {
+        const { line, column } = getLineColumn(this.text, start);
+        this.fail(`Unescaped line break in string starting at line ${line}, column ${column} (missing closing quote, or use \\n)`);
+      }
+      if (ch < ' ' && !this.options.extendedStrings) {
+        this.fail(`Unescaped control character U+${ch.charCodeAt(0).toString(16).padStart(4, '0').toUpperCase()} in string`);
+      }
+
+      result += ch;
+      this.pos++;
+    }
+
+    this.fail('Unterminated string: missing closing quote', start);
+  }
+
+  parseEscape() {
+    const ch = this.text[this.pos + 1];
+    this.pos += 2;
+
+    if (ch === 'u') {
+      const hex = this.text.substr(this.pos, 4);
+      if (!/^[0-9a-fA-F]{4}$/.test(hex)) {
+        this.fail('Invalid Unicode escape: \\u must be followed by 4 hex digits', this.pos - 2);
+      }
+      this.pos += 4;
+      return String.fromCharCode(parseInt(hex, 16));
+    }
+
+    if (!this.options.extendedStrings) {
+      if (ch === undefined || !STRICT_ESCAPES.includes(ch)) {
+        this.fail(`Invalid escape sequence '\\${ch || ''}' (use \\\\ for a literal backslash)`, this.pos - 2);
+      }
+      return ESCAPES[ch];
+    }
+
+    // JSON5: line continuations, hex escapes and identity escapes
+    if (ch === '\r') {
+      if (this.text[this.pos] === '\n') this.pos++;
+      return '';
+    }
+    if (ch === '\n' || ch === '\u2028' || ch === '\u2029') {
+      return '';
+    }
+    if (ch === 'x') {
+      const hex = this.text.substr(this.pos, 2);
+      if (!/^[0-9a-fA-F]{2}$/.test(hex)) {
+        this.fail('Invalid hex escape: \\x must be followed by 2 hex digits', this.pos - 2);
+      }
+      this.pos += 2;
+      return String.fromCharCode(parseInt(hex, 16));
+    }
+    if (ch === '0' && /[0-9]/.test(this.text[this.pos] || '')) {
+      this.fail('Octal escapes are not allowed', this.pos - 2);
+    }
+    if (ch === undefined || /[1-9]/.test(ch)) {
+      this.fail(`Invalid escape sequence '\\${ch || ''}'`, this.pos - 2);
+    }
+    return ch in ESCAPES ? ESCAPES[ch] : ch;
+  }
+
+  parseNumber() {
+    const rest = this.text.slice(this.pos);
+    let match;
+
+    if (this.options.extendedNumbers) {
+      match = rest.match(/^[+-]?(?:Infinity|NaN|0[xX][0-9a-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/);
+    } else {
+      match = rest.match(/^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/);
+    }
+
+    if (!match || /[\w$.]/.test(rest[match[0].length] || '')) {
+      if (/^-?0\d/.test(rest)) {
+        this.fail('Numbers cannot have leading zeros');
+      }
+      this.failValue();
+    }
+
+    const token = match[0];
+    if (this.options.extendedNumbers && /^[+-]?0\d/.test(token)) {
+      this.fail('Numbers cannot have leading zeros');
+    }
+
+    this.pos += token.length;
+
+    if (this.rawNumbers && !/(Infinity|NaN)$/.test(token) && losesPrecision(token)) {
+      this.rawNumbers.set(this.currentPointer(), toStrictLiteral(token));
+    }
+
+    const sign = token[0] === '-' ? -1 : 1;
+    const unsigned = token.replace(/^[+-]/, '');
+    if (unsigned === 'Infinity') return sign * Infinity;
+    if (unsigned === 'NaN') return NaN;
+    if (/^0x/i.test(unsigned)) return sign * parseInt(unsigned.slice(2), 16);
+    return sign * Number(unsigned);
+  }
+}
+
+export default { parseJson, stringifyJson, canonicalizeJson, losesPrecision, getLineColumn, getErrorSnippet, PARSE_MODES };
@@ -0,0 +1,1322 @@
+/**
+ * DevToyNative - JSON Query Engine
+ * Evaluates JSONPath expressions and a practical subset of jq
+ */
+
+import { typeOf, deepEqual } from './jsonUtils.js';
+
+/**
+ * Evaluate a query against a parsed JSON document.
+ * Expressions starting with `$` are treated as JSONPath, anything else as jq.
+ * @param {string} expression - JSONPath or jq expression
+ * @param {*} data - Parsed JSON document
+ * @returns {{language: string, results: Array}} - Query language and matched values
+ */
+export function evaluateQuery(expression, data) {
+  const expr = expression.trim();
+
+  if (expr.startsWith('$')) {
+    return { language: 'JSONPath', results: evaluateJsonPath(expr, data) };
+  }
+
+  return { language: 'jq', results: evaluateJq(expr, data) };
+}
+
+/* ===========================================
+   Shared helpers
+   =========================================== */
+
+/**
+ * Total ordering of JSON values, following jq:
+ * null < false < true < numbers < strings < arrays < objects
+ */
+function compareValues(a, b) {
+  const order = ['null', 'boolean', 'number', 'string', 'array', 'object'];
+  const typeA = typeOf(a);
+  const typeB = typeOf(b);
+
+  if (typeA !== typeB) {
+    return order.indexOf(typeA) - order.indexOf(typeB);
+  }
+
+  switch (typeA) {
+    case 'boolean':
+    case 'number':
+      return Number(a) - Number(b);
+    case 'string':
+      return a < b ? -1 : a > b ? 1 : 0;
+    case 'array':
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const cmp = compareValues(a[i], b[i]);
+        if (cmp !== 0) return cmp;
+      }
+      return a.length - b.length;
+    case 'object': {
+      const keyCmp = compareValues(Object.keys(a).sort(), Object.keys(b).sort());
+      if (keyCmp !== 0) return keyCmp;
+      for (const key of Object.keys(a).sort()) {
+        const cmp = compareValues(a[key], b[key]);
+        if (cmp !== 0) return cmp;
+      }
+      return 0;
+    }
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Children of a container value (array items or object values)
+ */
+function childrenOf(value) {
+  if (Array.isArray(value)) return value;
+  if (value !== null && typeof value === 'object') return Object.values(value);
+  return [];
+}
+
+/**
+ * Collect a value and all of its descendants in document order
+ */
+function collectDescendants(value, out = []) {
+  out.push(value);
+  childrenOf(value).forEach(child => collectDescendants(child, out));
+  return out;
+}
+
+/* ===========================================
+   JSONPath
+   =========================================== */
+
+const JSONPATH_NAME = /^[A-Za-z_$][\w$-]*/;
+
+/**
+ * Evaluate a JSONPath expression
+ * @param {string} path - JSONPath expression starting with `$`
+ * @param {*} root - Parsed JSON document
+ * @returns {Array} - All matched values
+ */
+export function evaluateJsonPath(path, root) {
+  const segments = parseJsonPath(path);
+  let nodes = [root];
+
+  for (const segment of segments) {
+    const next = [];
+    nodes.forEach(node => {
+      const targets = segment.descendant ? collectDescendants(node) : [node];
+      targets.forEach(target => {
+        segment.selectors.forEach(selector => applySelector(selector, target, root, next));
+      });
+    });
+    nodes = next;
+  }
+
+  return nodes;
+}
+
+/**
+ * Parse a JSONPath expression into segments of selectors
+ */
+function parseJsonPath(path) {
+  const segments = [];
+  let i = 1;
+
+  while (i < path.length) {
+    const ch = path[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (path.startsWith('..', i)) {
+      i += 2;
+      if (path[i] === '[') {
+        const bracket = parseBracket(path, i);
+        segments.push({ descendant: true, selectors: bracket.selectors });
+        i = bracket.end;
+      } else {
+        const dotted = parseDotted(path, i);
+        segments.push({ descendant: true, selectors: [dotted.selector] });
+        i = dotted.end;
+      }
+    } else if (ch === '.') {
+      const dotted = parseDotted(path, i + 1);
+      segments.push({ descendant: false, selectors: [dotted.selector] });
+      i = dotted.end;
+    } else if (ch === '[') {
+      const bracket = parseBracket(path, i);
+      segments.push({ descendant: false, selectors: bracket.selectors });
+      i = bracket.end;
+    } else {
+      throw new Error(`Unexpected '${ch}' at position ${i} in JSONPath`);
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Parse a `.name` or `.*` selector
+ */
+function parseDotted(path, start) {
+  if (path[start] === '*') {
+    return { selector: { type: 'wildcard' }, end: start + 1 };
+  }
+
+  const match = path.slice(start).match(JSONPATH_NAME);
+  if (!match) {
+    throw new Error(`Expected a property name at position ${start} in JSONPath`);
+  }
+
+  return { selector: { type: 'name', name: match[0] }, end: start + match[0].length };
+}
+
+/**
+ * Parse a bracketed selector list: ['a','b'], [0,-1], [1:5:2], [*], [?(@.x > 1)]
+ */
+function parseBracket(path, start) {
+  const selectors = [];
+  let i = start + 1;
+
+  const skipSpace = () => {
+    while (/\s/.test(path[i])) i++;
+  };
+
+  while (true) {
+    skipSpace();
+    const ch = path[i];
+
+    if (ch === undefined) {
+      throw new Error('Unterminated [ in JSONPath');
+    } else if (ch === '*') {
+      selectors.push({ type: 'wildcard' });
+      i++;
+    } else if (ch === '\'' || ch === '"') {
+      const literal = readQuoted(path, i);
+      selectors.push({ type: 'name', name: literal.value });
+      i = literal.end;
+    } else if (ch === '?') {
+      const end = findFilterEnd(path, i + 1);
+      selectors.push({ type: 'filter', expression: parseFilter(path.slice(i + 1, end)) });
+      i = end;
+    } else {
+      const match = path.slice(i).match(/^(-?\d+)?\s*(?::\s*(-?\d+)?\s*(?::\s*(-?\d+)?)?)?/);
+      if (!match || !match[0].trim()) {
+        throw new Error(`Unexpected '${ch}' at position ${i} in JSONPath`);
+      }
+      if (match[0].includes(':')) {
+        selectors.push({
+          type: 'slice',
+          start: match[1] !== undefined ? parseInt(match[1], 10) : null,
+          end: match[2] !== undefined ? parseInt(match[2], 10) : null,
+          step: match[3] !== undefined ? parseInt(match[3], 10) : 1
+        });
+      } else {
+        selectors.push({ type: 'index', index: parseInt(match[1], 10) });
+      }
+      i += match[0].length;
+    }
+
+    skipSpace();
+    if (path[i] === ',') {
+      i++;
+    } else if (path[i] === ']') {
+      return { selectors, end: i + 1 };
+    } else {
+      throw new Error(`Expected ',' or ']' at position ${i} in JSONPath`);
+    }
+  }
+}
+
+/**
+ * Read a single- or double-quoted string literal
+ */
+function readQuoted(text, start) {
+  const quote = text[start];
+  let value = '';
+  let i = start + 1;
+
+  while (i < text.length && text[i] !== quote) {
+    if (text[i] === '\\' && i + 1 < text.length) {
+      const escaped = text[i + 1];
+      const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' };
+      if (escaped === 'u') {
+        value += String.fromCharCode(parseInt(text.substr(i + 2, 4), 16));
+        i += 6;
+        continue;
+      }
+      value += escapes[escaped] || escaped;
+      i += 2;
+    } else {
+      value += text[i++];
+    }
+  }
+
+  if (text[i] !== quote) {
+    throw new Error('Unterminated string literal');
+  }
+
+  return { value, end: i + 1 };
+}
+
+/**
+ * Find where a filter expression ends (the ',' or ']' at nesting depth 0)
+ */
+function findFilterEnd(path, start) {
+  let depth = 0;
+  let i = start;
+
+  while (i < path.length) {
+    const ch = path[i];
+    if (ch === '\'' || ch === '"') {
+      i = readQuoted(path, i).end;
+      continue;
+    }
+    if (ch === '(' || ch === '[') depth++;
+    if (ch === ')' || ch === ']') {
+      if (depth === 0) return i;
+      depth--;
+    }
+    if (ch === ',' && depth === 0) return i;
+    i++;
+  }
+
+  throw new Error('Unterminated filter expression in JSONPath');
+}
+
+/**
+ * Apply one selector to a node, pushing matches into `out`
+ */
+function applySelector(selector, node, root, out) {
+  const isArray = Array.isArray(node);
+  const isObject = node !== null && typeof node === 'object' && !isArray;
+
+  switch (selector.type) {
+    case 'name':
+      if (isObject && Object.prototype.hasOwnProperty.call(node, selector.name)) {
+        out.push(node[selector.name]);
+      }
+      break;
+
+    case 'wildcard':
+      out.push(...childrenOf(node));
+      break;
+
+    case 'index':
+      if (isArray) {
+        const index = selector.index < 0 ? node.length + selector.index : selector.index;
+        if (index >= 0 && index < node.length) out.push(node[index]);
+      }
+      break;
+
+    case 'slice':
+      if (isArray) out.push(...sliceArray(node, selector));
+      break;
+
+    case 'filter':
+      childrenOf(node).forEach(child => {
+        if (isTruthyFilterResult(evaluateFilter(selector.expression, child, root))) {
+          out.push(child);
+        }
+      });
+      break;
+  }
+}
+
+/**
+ * Python-style array slice with optional negative bounds and step
+ */
+function sliceArray(array, { start, end, step }) {
+  const len = array.length;
+  const result = [];
+  if (step === 0) return result;
+
+  const normalize = (n) => (n < 0 ? Math.max(len + n, step > 0 ? 0 : -1) : Math.min(n, step > 0 ? len : len - 1));
+
+  if (step > 0) {
+    const from = start === null ? 0 : normalize(start);
+    const to = end === null ? len : normalize(end);
+    for (let i = from; i < to; i += step) result.push(array[i]);
+  } else {
+    const from = start === null ? len - 1 : normalize(start);
+    const to = end === null ? -1 : normalize(end);
+    for (let i = from; i > to; i += step) result.push(array[i]);
+  }
+
+  return result;
+}
+
+/* JSONPath filter expressions: @.price < 10 && !@.hidden, @.name =~ /^a/i */
+
+const FILTER_TOKEN = /\s*(?:(==|!=|<=|>=|&&|\|\||=~|[<>!()[\].,*@$])|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|(-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)|([A-Za-z_][\w-]*)|(\/(?:[^/\\]|\\.)*\/[a-z]*))/y;
+
+/**
+ * Tokenize a filter expression
+ */
+function tokenizeFilter(text) {
+  const tokens = [];
+  FILTER_TOKEN.lastIndex = 0;
+
+  while (FILTER_TOKEN.lastIndex < text.length) {
+    if (/^\s*$/.test(text.slice(FILTER_TOKEN.lastIndex))) break;
+    const start = FILTER_TOKEN.lastIndex;
+    const match = FILTER_TOKEN.exec(text);
+    if (!match) {
+      throw new Error(`Unexpected '${text.slice(start).trim()[0]}' in filter expression`);
+    }
+
+    const [, op, str, num, ident, regex] = match;
+    if (op) tokens.push({ type: 'op', value: op });
+    else if (str) tokens.push({ type: 'literal', value: readQuoted(str, 0).value });
+    else if (num) tokens.push({ type: 'literal', value: parseFloat(num) });
+    else if (ident) tokens.push({ type: 'ident', value: ident });
+    else if (regex) {
+      const lastSlash = regex.lastIndexOf('/');
+      tokens.push({ type: 'regex', value: new RegExp(regex.slice(1, lastSlash), regex.slice(lastSlash + 1)) });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a filter expression (with or without the surrounding parentheses)
+ */
+function parseFilter(text) {
+  const tokens = tokenizeFilter(text);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isOp = (value) => peek() && peek().type === 'op' && peek().value === value;
+  const expect = (value) => {
+    if (!isOp(value)) {
+      throw new Error(`Expected '${value}' in filter expression`);
+    }
+    pos++;
+  };
+
+  const parseOr = () => {
+    let left = parseAnd();
+    while (isOp('||')) {
+      pos++;
+      left = { type: 'or', left, right: parseAnd() };
+    }
+    return left;
+  };
+
+  const parseAnd = () => {
+    let left = parseUnary();
+    while (isOp('&&')) {
+      pos++;
+      left = { type: 'and', left, right: parseUnary() };
+    }
+    return left;
+  };
+
+  const parseUnary = () => {
+    if (isOp('!')) {
+      pos++;
+      return { type: 'not', operand: parseUnary() };
+    }
+    return parseComparison();
+  };
+
+  const parseComparison = () => {
+    const left = parseOperand();
+    const token = peek();
+
+    if (token && token.type === 'op' && ['==', '!=', '<', '<=', '>', '>='].includes(token.value)) {
+      pos++;
+      return { type: 'compare', op: token.value, left, right: parseOperand() };
+    }
+
+    if (isOp('=~')) {
+      pos++;
+      const regex = tokens[pos++];
+      if (!regex || regex.type !== 'regex') {
+        throw new Error('Expected a /regex/ after =~');
+      }
+      return { type: 'match', left, regex: regex.value };
+    }
+
+    return left;
+  };
+
+  const parseOperand = () => {
+    const token = tokens[pos++];
+    if (!token) {
+      throw new Error('Unexpected end of filter expression');
+    }
+
+    if (token.type === 'op' && token.value === '(') {
+      const inner = parseOr();
+      expect(')');
+      return inner;
+    }
+
+    if (token.type === 'op' && (token.value === '@' || token.value === '$')) {
+      return { type: 'path', root: token.value, steps: parsePathSteps() };
+    }
+
+    if (token.type === 'literal') {
+      return { type: 'literal', value: token.value };
+    }
+
+    if (token.type === 'ident' && ['true', 'false', 'null'].includes(token.value)) {
+      return { type: 'literal', value: JSON.parse(token.value) };
+    }
+
+    throw new Error(`Unexpected '${token.value}' in filter expression`);
+  };
+
+  const parsePathSteps = () => {
+    const steps = [];
+
+    while (true) {
+      if (isOp('.')) {
+        pos++;
+        const name = tokens[pos++];
+        if (!name || (name.type !== 'ident' && !(name.type === 'op' && name.value === '*'))) {
+          throw new Error('Expected a property name after . in filter expression');
+        }
+        steps.push(name.type === 'ident' ? name.value : '*');
+      } else if (isOp('[')) {
+        pos++;
+        const key = tokens[pos++];
+        if (!key || (key.type !== 'literal' && !(key.type === 'op' && key.value === '*'))) {
+          throw new Error('Expected an index or quoted name inside [] in filter expression');
+        }
+        steps.push(key.type === 'literal' ? key.value : '*');
+        expect(']');
+      } else {
+        return steps;
+      }
+    }
+  };
+
+  const ast = parseOr();
+  if (pos < tokens.length) {
+    throw new Error(`Unexpected '${tokens[pos].value}' in filter expression`);
+  }
+  return ast;
+}
+
+/**
+ * Evaluate a parsed filter expression against the current node
+ */
+function evaluateFilter(node, current, root) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+
+    case 'path':
+      return resolveFilterPath(node.root === '@' ? current : root, node.steps);
+
+    case 'not':
+      return !isTruthyFilterResult(evaluateFilter(node.operand, current, root));
+
+    case 'and':
+      return isTruthyFilterResult(evaluateFilter(node.left, current, root)) &&
+        isTruthyFilterResult(evaluateFilter(node.right, current, root));
+
+    case 'or':
+      return isTruthyFilterResult(evaluateFilter(node.left, current, root)) ||
+        isTruthyFilterResult(evaluateFilter(node.right, current, root));
+
+    case 'match': {
+      const value = evaluateFilter(node.left, current, root);
+      return typeof value === 'string' && node.regex.test(value);
+    }
+
+    case 'compare': {
+      const left = evaluateFilter(node.left, current, root);
+      const right = evaluateFilter(node.right, current, root);
+      if (node.op === '==') return left !== undefined && deepEqual(left, right);
+      if (node.op === '!=') return !deepEqual(left, right);
+
+      const comparable = (typeof left === 'number' && typeof right === 'number') ||
+        (typeof left === 'string' && typeof right === 'string');
+      if (!comparable) return false;
+      if (node.op === '<') return left < right;
+      if (node.op === '<=') return left <= right;
+      if (node.op === '>') return left > right;
+      return left >= right;
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Resolve a singular path inside a filter; `undefined` means "does not exist"
+ */
+function resolveFilterPath(value, steps) {
+  let current = value;
+
+  for (const step of steps) {
+    if (current === null || typeof current !== 'object') {
+      if (step === 'length' && typeof current === 'string') return current.length;
+      return undefined;
+    }
+
+    if (step === '*') {
+      current = childrenOf(current)[0];
+    } else if (Array.isArray(current)) {
+      if (step === 'length') {
+        current = current.length;
+      } else if (typeof step === 'number') {
+        current = current[step < 0 ? current.length + step : step];
+      } else {
+        return undefined;
+      }
+    } else if (Object.prototype.hasOwnProperty.call(current, step)) {
+      current = current[step];
+    } else {
+      return undefined;
+    }
+  }
+
+  return current;
+}
+
+/**
+ * Existence semantics for bare paths, boolean semantics for everything else
+ */
+function isTruthyFilterResult(value) {
+  if (typeof value === 'boolean') return value;
+  return value !== undefined;
+}
+
+/* ===========================================
+   jq
+   =========================================== */
+
+const JQ_TOKEN = /\s*(?:(\.\.)|\.([A-Za-z_]\w*)|("(?:[^"\\]|\\.)*")|(\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)|(==|!=|<=|>=|\/\/|[.[\]{}()|,:;?<>+\-*/%])|([A-Za-z_]\w*))/y;
+
+/**
+ * Evaluate a jq expression
+ * @param {string} expression - jq program, e.g. `.items[] | select(.active) | .id`
+ * @param {*} data - Parsed JSON document
+ * @returns {Array} - All values emitted by the program
+ */
+export function evaluateJq(expression, data) {
+  const parser = new JqParser(tokenizeJq(expression));
+  return evalJq(parser.parse(), data);
+}
+
+/**
+ * Tokenize a jq expression
+ */
+function tokenizeJq(text) {
+  const tokens = [];
+  JQ_TOKEN.lastIndex = 0;
+
+  while (JQ_TOKEN.lastIndex < text.length) {
+    if (/^\s*$/.test(text.slice(JQ_TOKEN.lastIndex))) break;
+    const start = JQ_TOKEN.lastIndex;
+    const match = JQ_TOKEN.exec(text);
+    if (!match) {
+      throw new Error(`Unexpected '${text.slice(start).trim()[0]}' at position ${start} in jq expression`);
+    }
+
+    const [, recurse, field, str, num, op, ident] = match;
+    if (recurse) tokens.push({ type: 'recurse', value: '..' });
+    else if (field) tokens.push({ type: 'field', value: field });
+    else if (str) tokens.push({ type: 'string', value: JSON.parse(str) });
+    else if (num) tokens.push({ type: 'number', value: parseFloat(num) });
+    else if (op) tokens.push({ type: 'op', value: op });
+    else tokens.push({ type: 'ident', value: ident });
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser for the supported jq subset
+ */
+class JqParser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.pos = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.pos + offset];
+  }
+
+  isOp(value, offset = 0) {
+    const token = this.peek(offset);
+    return token !== undefined && token.type === 'op' && token.value === value;
+  }
+
+  isKeyword(value) {
+    const token = this.peek();
+    return token !== undefined && token.type === 'ident' && token.value === value;
+  }
+
+  expect(value) {
+    if (!this.isOp(value)) {
+      const token = this.peek();
+      throw new Error(`Expected '${value}' but found ${token ? `'${token.value}'` : 'end of expression'}`);
+    }
+    this.pos++;
+  }
+
+  parse() {
+    if (this.tokens.length === 0) {
+      return { type: 'identity' };
+    }
+
+    const ast = this.parsePipe();
+    if (this.pos < this.tokens.length) {
+      throw new Error(`Unexpected '${this.peek().value}' in jq expression`);
+    }
+    return ast;
+  }
+
+  parsePipe() {
+    const left = this.parseComma();
+    if (this.isOp('|')) {
+      this.pos++;
+      return { type: 'pipe', left, right: this.parsePipe() };
+    }
+    return left;
+  }
+
+  parseComma() {
+    let left = this.parseAlternative();
+    while (this.isOp(',')) {
+      this.pos++;
+      left = { type: 'comma', left, right: this.parseAlternative() };
+    }
+    return left;
+  }
+
+  parseAlternative() {
+    const left = this.parseOr();
+    if (this.isOp('//')) {
+      this.pos++;
+      return { type: 'alternative', left, right: this.parseAlternative() };
+    }
+    return left;
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.isKeyword('or')) {
+      this.pos++;
+      left = { type: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseComparison();
+    while (this.isKeyword('and')) {
+      this.pos++;
+      left = { type: 'and', left, right: this.parseComparison() };
+    }
+    return left;
+  }
+
+  parseComparison() {
+    const left = this.parseAdditive();
+    const token = this.peek();
+    if (token && token.type === 'op' && ['==', '!=', '<', '<=', '>', '>='].includes(token.value)) {
+      this.pos++;
+      return { type: 'binary', op: token.value, left, right: this.parseAdditive() };
+    }
+    return left;
+  }
+
+  parseAdditive() {
+    let left = this.parseMultiplicative();
+    while (this.isOp('+') || this.isOp('-')) {
+      const op = this.tokens[this.pos++].value;
+      left = { type: 'binary', op, left, right: this.parseMultiplicative() };
+    }
+    return left;
+  }
+
+  parseMultiplicative() {
+    let left = this.parsePostfix();
+    while (this.isOp('*') || this.isOp('/') || this.isOp('%')) {
+      const op = this.tokens[this.pos++].value;
+      left = { type: 'binary', op, left, right: this.parsePostfix() };
+    }
+    return left;
+  }
+
+  parsePostfix() {
+    let node = this.parsePrimary();
+
+    while (true) {
+      const token = this.peek();
+      if (!token) break;
+
+      if (token.type === 'field') {
+        this.pos++;
+        node = { type: 'field', target: node, name: token.value };
+      } else if (this.isOp('.') && this.peek(1) && this.peek(1).type === 'string') {
+        this.pos++;
+        node = { type: 'field', target: node, name: this.tokens[this.pos++].value };
+      } else if (this.isOp('.') && this.isOp('[', 1)) {
+        this.pos++;
+      } else if (this.isOp('[')) {
+        node = this.parseBracketSuffix(node);
+      } else if (this.isOp('?')) {
+        this.pos++;
+        node = { type: 'try', body: node };
+      } else {
+        break;
+      }
+    }
+
+    return node;
+  }
+
+  parseBracketSuffix(target) {
+    this.expect('[');
+
+    if (this.isOp(']')) {
+      this.pos++;
+      return { type: 'iterate', target };
+    }
+
+    if (this.isOp(':')) {
+      this.pos++;
+      const to = this.parsePipe();
+      this.expect(']');
+      return { type: 'slice', target, from: null, to };
+    }
+
+    const index = this.parsePipe();
+    if (this.isOp(':')) {
+      this.pos++;
+      const to = this.isOp(']') ? null : this.parsePipe();
+      this.expect(']');
+      return { type: 'slice', target, from: index, to };
+    }
+
+    this.expect(']');
+    return { type: 'index', target, index };
+  }
+
+  parsePrimary() {
+    const token = this.tokens[this.pos++];
+    if (!token) {
+      throw new Error('Unexpected end of jq expression');
+    }
+
+    switch (token.type) {
+      case 'field':
+        return { type: 'field', target: { type: 'identity' }, name: token.value };
+      case 'recurse':
+        return { type: 'recurse' };
+      case 'string':
+      case 'number':
+        return { type: 'literal', value: token.value };
+      case 'ident':
+        return this.parseIdentifier(token.value);
+    }
+
+    switch (token.value) {
+      case '.':
+        if (this.peek() && this.peek().type === 'string') {
+          return { type: 'field', target: { type: 'identity' }, name: this.tokens[this.pos++].value };
+        }
+        return { type: 'identity' };
+
+      case '-':
+        return { type: 'binary', op: '-', left: { type: 'literal', value: 0 }, right: this.parsePostfix() };
+
+      case '(': {
+        const inner = this.parsePipe();
+        this.expect(')');
+        return inner;
+      }
+
+      case '[': {
+        if (this.isOp(']')) {
+          this.pos++;
+          return { type: 'array', body: null };
+        }
+        const body = this.parsePipe();
+        this.expect(']');
+        return { type: 'array', body };
+      }
+
+      case '{':
+        return this.parseObject();
+    }
+
+    throw new Error(`Unexpected '${token.value}' in jq expression`);
+  }
+
+  parseIdentifier(name) {
+    if (name === 'true' || name === 'false' || name === 'null') {
+      return { type: 'literal', value: JSON.parse(name) };
+    }
+
+    const args = [];
+    if (this.isOp('(')) {
+      this.pos++;
+      args.push(this.parsePipe());
+      while (this.isOp(';')) {
+        this.pos++;
+        args.push(this.parsePipe());
+      }
+      this.expect(')');
+    }
+
+    const builtin = JQ_BUILTINS[name];
+    if (!builtin) {
+      throw new Error(`Unknown jq function: ${name}`);
+    }
+    if (builtin.arity !== args.length) {
+      throw new Error(`${name} expects ${builtin.arity} argument${builtin.arity === 1 ? '' : 's'}`);
+    }
+
+    return { type: 'call', name, args };
+  }
+
+  parseObject() {
+    const entries = [];
+
+    while (!this.isOp('}')) {
+      const token = this.tokens[this.pos++];
+      if (!token) {
+        throw new Error('Unterminated { in jq expression');
+      }
+
+      let key;
+      if (token.type === 'ident' || token.type === 'string') {
+        key = { type: 'literal', value: token.value };
+      } else if (token.type === 'op' && token.value === '(') {
+        key = this.parsePipe();
+        this.expect(')');
+      } else {
+        throw new Error(`Unexpected '${token.value}' in object construction`);
+      }
+
+      let value;
+      if (this.isOp(':')) {
+        this.pos++;
+        value = this.parseAlternative();
+      } else if (key.type === 'literal') {
+        value = { type: 'field', target: { type: 'identity' }, name: key.value };
+      } else {
+        throw new Error('Computed object keys need a value');
+      }
+
+      entries.push({ key, value });
+      if (!this.isOp(',')) break;
+      this.pos++;
+    }
+
+    this.expect('}');
+    return { type: 'object', entries };
+  }
+}
+
+/**
+ * jq truthiness: only false and null are falsy
+ */
+function jqTruthy(value) {
+  return value !== false && value !== null;
+}
+
+/**
+ * Evaluate a jq AST node, returning every emitted output
+ */
+function evalJq(node, input) {
+  switch (node.type) {
+    case 'identity':
+      return [input];
+
+    case 'recurse':
+      return collectDescendants(input);
+
+    case 'literal':
+      return [node.value];
+
+    case 'field':
+      return evalJq(node.target, input).map(value => {
+        if (value === null) return null;
+        if (typeOf(value) !== 'object') {
+          throw new Error(`Cannot index ${typeOf(value)} with "${node.name}"`);
+        }
+        return Object.prototype.hasOwnProperty.call(value, node.name) ? value[node.name] : null;
+      });
+
+    case 'iterate':
+      return evalJq(node.target, input).flatMap(value => {
+        const type = typeOf(value);
+        if (type !== 'array' && type !== 'object') {
+          throw new Error(`Cannot iterate over ${type}`);
+        }
+        return childrenOf(value);
+      });
+
+    case 'index':
+      return evalJq(node.target, input).flatMap(value =>
+        evalJq(node.index, input).map(index => indexValue(value, index))
+      );
+
+    case 'slice':
+      return evalJq(node.target, input).flatMap(value => {
+        const froms = node.from ? evalJq(node.from, input) : [null];
+        const tos = node.to ? evalJq(node.to, input) : [null];
+        return froms.flatMap(from => tos.map(to => sliceValue(value, from, to)));
+      });
+
+    case 'pipe':
+      return evalJq(node.left, input).flatMap(value => evalJq(node.right, value));
+
+    case 'comma':
+      return [...evalJq(node.left, input), ...evalJq(node.right, input)];
+
+    case 'alternative': {
+      let left = [];
+      try {
+        left = evalJq(node.left, input).filter(jqTruthy);
+      } catch {
+        left = [];
+      }
+      return left.length > 0 ? left : evalJq(node.right, input);
+    }
+
+    case 'and':
+      return evalJq(node.left, input).flatMap(left =>
+        !jqTruthy(left) ? [false] : evalJq(node.right, input).map(jqTruthy)
+      );
+
+    case 'or':
+      return evalJq(node.left, input).flatMap(left =>
+        jqTruthy(left) ? [true] : evalJq(node.right, input).map(jqTruthy)
+      );
+
+    case 'binary':
+      return evalJq(node.right, input).flatMap(right =>
+        evalJq(node.left, input).map(left => applyBinary(node.op, left, right))
+      );
+
+    case 'try':
+      try {
+        return evalJq(node.body, input);
+      } catch {
+        return [];
+      }
+
+    case 'array':
+      return [node.body ? evalJq(node.body, input) : []];
+
+    case 'object':
+      return node.entries.reduce((partials, { key, value }) => {
+        const keys = evalJq(key, input);
+        const values = evalJq(value, input);
+        return partials.flatMap(partial => keys.flatMap(k => {
+          if (typeof k !== 'string') {
+            throw new Error(`Object keys must be strings, got ${typeOf(k)}`);
+          }
+          return values.map(v => ({ ...partial, [k]: v }));
+        }));
+      }, [{}]);
+
+    case 'call':
+      return JQ_BUILTINS[node.name].fn(input, node.args);
+  }
+
+  throw new Error(`Unsupported jq expression: ${node.type}`);
+}
+
+/**
+ * `.[index]` on arrays, objects and null
+ */
+function indexValue(value, index) {
+  const type = typeOf(value);
+
+  if (type === 'null') return null;
+
+  if (type === 'array' && typeof index === 'number') {
+    const i = Math.floor(index < 0 ? value.length + index : index);
+    return i >= 0 && i < value.length ? value[i] : null;
+  }
+
+  if (type === 'object' && typeof index === 'string') {
+    return Object.prototype.hasOwnProperty.call(value, index) ? value[index] : null;
+  }
+
+  throw new Error(`Cannot index ${type} with ${typeOf(index)}`);
+}
+
+/**
+ * `.[from:to]` on arrays and strings
+ */
+function sliceValue(value, from, to) {
+  if (value === null) return null;
+  if (typeof value !== 'string' && !Array.isArray(value)) {
+    throw new Error(`Cannot slice ${typeOf(value)}`);
+  }
+  return value.slice(from === null ? 0 : from, to === null ? undefined : to);
+}
+
+/**
+ * Arithmetic and comparison operators
+ */
+function applyBinary(op, left, right) {
+  switch (op) {
+    case '==': return deepEqual(left, right);
+    case '!=': return !deepEqual(left, right);
+    case '<': return compareValues(left, right) < 0;
+    case '<=': return compareValues(left, right) <= 0;
+    case '>': return compareValues(left, right) > 0;
+    case '>=': return compareValues(left, right) >= 0;
+  }
+
+  const leftType = typeOf(left);
+  const rightType = typeOf(right);
+
+  if (op === '+') {
+    if (leftType === 'null') return right;
+    if (rightType === 'null') return left;
+    if (leftType === rightType) {
+      if (leftType === 'number' || leftType === 'string') return left + right;
+      if (leftType === 'array') return [...left, ...right];
+      if (leftType === 'object') return { ...left, ...right };
+    }
+  } else if (op === '-') {
+    if (leftType === 'number' && rightType === 'number') return left - right;
+    if (leftType === 'array' && rightType === 'array') {
+      return left.filter(item => !right.some(other => deepEqual(item, other)));
+    }
+  } else if (leftType === 'number' && rightType === 'number') {
+    if ((op === '/' || op === '%') && right === 0) {
+      throw new Error(`${left} cannot be divided by zero`);
+    }
+    if (op === '*') return left * right;
+    if (op === '/') return left / right;
+    if (op === '%') return left % right;
+  }
+
+  throw new Error(`${leftType} and ${rightType} cannot be combined with ${op}`);
+}
+
+/**
+ * Assert the input of a builtin has one of the expected types
+ */
+function requireType(name, value, ...types) {
+  const type = typeOf(value);
+  if (!types.includes(type)) {
+    throw new Error(`${name} cannot be applied to ${type}`);
+  }
+  return type;
+}
+
+/**
+ * Supported jq builtins: arity and implementation (input, args) => outputs
+ */
+const JQ_BUILTINS = {
+  length: {
+    arity: 0,
+    fn: (input) => {
+      const type = requireType('length', input, 'null', 'number', 'string', 'array', 'object');
+      if (type === 'null') return [0];
+      if (type === 'number') return [Math.abs(input)];
+      if (type === 'object') return [Object.keys(input).length];
+      return [input.length];
+    }
+  },
+  keys: {
+    arity: 0,
+    fn: (input) => {
+      const type = requireType('keys', input, 'array', 'object');
+      return [type === 'array' ? input.map((_, i) => i) : Object.keys(input).sort()];
+    }
+  },
+  keys_unsorted: {
+    arity: 0,
+    fn: (input) => {
+      const type = requireType('keys_unsorted', input, 'array', 'object');
+      return [type === 'array' ? input.map((_, i) => i) : Object.keys(input)];
+    }
+  },
+  values: {
+    arity: 0,
+    fn: (input) => (input === null ? [] : [input])
+  },
+  map: {
+    arity: 1,
+    fn: (input, [f]) => {
+      requireType('map', input, 'array', 'object');
+      return [childrenOf(input).flatMap(item => evalJq(f, item))];
+    }
+  },
+  select: {
+    arity: 1,
+    fn: (input, [f]) => evalJq(f, input).filter(jqTruthy).map(() => input)
+  },
+  has: {
+    arity: 1,
+    fn: (input, [f]) => evalJq(f, input).map(key => {
+      const type = requireType('has', input, 'array', 'object');
+      if (type === 'array') return typeof key === 'number' && key >= 0 && key < input.length;
+      return typeof key === 'string' && Object.prototype.hasOwnProperty.call(input, key);
+    })
+  },
+  type: {
+    arity: 0,
+    fn: (input) => [typeOf(input)]
+  },
+  not: {
+    arity: 0,
+    fn: (input) => [!jqTruthy(input)]
+  },
+  empty: {
+    arity: 0,
+    fn: () => []
+  },
+  first: {
+    arity: 0,
+    fn: (input) => [indexValue(input, 0)]
+  },
+  last: {
+    arity: 0,
+    fn: (input) => [indexValue(input, -1)]
+  },
+  add: {
+    arity: 0,
+    fn: (input) => {
+      requireType('add', input, 'array', 'object');
+      const items = childrenOf(input);
+      return [items.length === 0 ? null : items.reduce((sum, item) => applyBinary('+', sum, item))];
+    }
+  },
+  sort: {
+    arity: 0,
+    fn: (input) => {
+      requireType('sort', input, 'array');
+      return [[...input].sort(compareValues)];
+    }
+  },
+  sort_by: {
+    arity: 1,
+    fn: (input, [f]) => {
+      requireType('sort_by', input, 'array');
+      const keyed = input.map(item => ({ item, key: evalJq(f, item) }));
+      keyed.sort((a, b) => compareValues(a.key, b.key));
+      return [keyed.map(entry => entry.item)];
+    }
+  },
+  unique: {
+    arity: 0,
+    fn: (input) => {
+      requireType('unique', input, 'array');
+      const sorted = [...input].sort(compareValues);
+      return [sorted.filter((item, i) => i === 0 || !deepEqual(item, sorted[i - 1]))];
+    }
+  },
+  reverse: {
+    arity: 0,
+    fn: (input) => {
+      const type = requireType('reverse', input, 'null', 'array', 'string');
+      if (type === 'null') return [[]];
+      return [type === 'string' ? [...input].reverse().join('') : [...input].reverse()];
+    }
+  },
+  min: {
+    arity: 0,
+    fn: (input) => {
+      requireType('min', input, 'array');
+      return [input.length ? [...input].sort(compareValues)[0] : null];
+    }
+  },
+  max: {
+    arity: 0,
+    fn: (input) => {
+      requireType('max', input, 'array');
+      return [input.length ? [...input].sort(compareValues)[input.length - 1] : null];
+    }
+  },
+  flatten: {
+    arity: 0,
+    fn: (input) => {
+      requireType('flatten', input, 'array');
+      return [input.flat(Infinity)];
+    }
+  },
+  to_entries: {
+    arity: 0,
+    fn: (input) => {
+      requireType('to_entries', input, 'object');
+      return [Object.keys(input).map(key => ({ key, value: input[key] }))];
+    }
+  },
+  from_entries: {
+    arity: 0,
+    fn: (input) => {
+      requireType('from_entries', input, 'array');
+      const result = {};
+      input.forEach(entry => {
+        const key = entry.key ?? entry.k ?? entry.name ?? entry.Name ?? entry.Key;
+        result[String(key)] = entry.value ?? entry.v ?? entry.Value ?? null;
+      });
+      return [result];
+    }
+  },
+  join: {
+    arity: 1,
+    fn: (input, [f]) => evalJq(f, input).map(separator => {
+      requireType('join', input, 'array');
+      return input.map(item => (item === null ? '' : String(item))).join(separator);
+    })
+  },
+  tostring: {
+    arity: 0,
+    fn: (input) => [typeof input === 'string' ? input : JSON.stringify(input)]
+  },
+  tonumber: {
+    arity: 0,
+    fn: (input) => {
+      const number = typeof input === 'number' ? input : Number(input);
+      if (typeof input !== 'number' && (typeof input !== 'string' || input.trim() === '' || isNaN(number))) {
+        throw new Error(`Cannot parse ${JSON.stringify(input)} as a number`);
+      }
+      return [number];
+    }
+  },
+  ascii_downcase: {
+    arity: 0,
+    fn: (input) => {
+      requireType('ascii_downcase', input, 'string');
+      return [input.toLowerCase()];
+    }
+  },
+  ascii_upcase: {
+    arity: 0,
+    fn: (input) => {
+      requireType('ascii_upcase', input, 'string');
+      return [input.toUpperCase()];
+    }
+  },
+  startswith: {
+    arity: 1,
+    fn: (input, [f]) => evalJq(f, input).map(prefix => {
+      requireType('startswith', input, 'string');
+      return input.startsWith(prefix);
+    })
+  },
+  endswith: {
+    arity: 1,
+    fn: (input, [f]) => evalJq(f, input).map(suffix => {
+      requireType('endswith', input, 'string');
+      return input.endsWith(suffix);
+    })
+  },
+  test: {
+    arity: 1,
+    fn: (input, [f]) => evalJq(f, input).map(pattern => {
+      requireType('test', input, 'string');
+      return new RegExp(pattern).test(input);
+    })
+  }
+};
+
+export default { evaluateQuery, evaluateJsonPath, evaluateJq };
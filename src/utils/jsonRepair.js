@@ -0,0 +1,345 @@
+/**
+ * DevToyNative - JSON Repair
+ * Best-effort fixes for common JSON mistakes: unquoted keys, single quotes,
+ * comments, trailing/missing commas, Python literals and truncated documents
+ */
+
+// Bare words that map to JSON literals
+const LITERALS = {
+  true: 'true',
+  false: 'false',
+  null: 'null',
+  True: 'true',
+  False: 'false',
+  None: 'null',
+  undefined: 'null',
+  NaN: 'null',
+  Infinity: 'null'
+};
+
+const TOKEN_PATTERNS = [
+  ['whitespace', /^\s+/],
+  ['comment', /^(?:\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)|#[^\n]*)/],
+  ['number', /^[+-]?(?:0[xX][0-9a-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)(?![\w$])/],
+  ['word', /^[+-]?[A-Za-z_$][\w$]*/],
+  ['punct', /^[{}[\]:,]/]
+];
+
+/**
+ * Split text into loosely-defined tokens
+ */
+function tokenize(text) {
+  const tokens = [];
+  let pos = 0;
+
+  while (pos < text.length) {
+    const ch = text[pos];
+
+    if (ch === '"' || ch === "'" || ch === '`') {
+      const token = readString(text, pos);
+      tokens.push(token);
+      pos = token.end;
+      continue;
+    }
+
+    // Python string prefixes: u'...', b'...', r'...'
+    if (/[uUbBrR]/.test(ch) && /['"]/.test(text[pos + 1]) && !/[\w$]/.test(text[pos - 1] || '')) {
+      const token = readString(text, pos + 1);
+      tokens.push({ ...token, prefixed: true });
+      pos = token.end;
+      continue;
+    }
+
+    const rest = text.slice(pos);
+    const pattern = TOKEN_PATTERNS.find(([, regex]) => regex.test(rest));
+    const [type, regex] = pattern || ['junk', /^./];
+    const raw = rest.match(regex)[0];
+    tokens.push({ type, raw, start: pos });
+    pos += raw.length;
+  }
+
+  return tokens;
+}
+
+/**
+ * Read a quoted string, decoding JavaScript-style escapes
+ * An unterminated string ends at the line break (or end of input)
+ */
+function readString(text, start) {
+  const quote = text[start];
+  let pos = start + 1;
+  let value = '';
+
+  while (pos < text.length && text[pos] !== quote) {
+    const ch = text[pos];
+
+    if (ch === '\n' && quote !== '`') {
+      break;
+    }
+
+    if (ch === '\\' && pos + 1 < text.length) {
+      const next = text[pos + 1];
+      const simple = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', 0: '\0' };
+      const unicode = text.slice(pos + 2, pos + 6);
+      const hex = text.slice(pos + 2, pos + 4);
+
+      if (next === 'u' && /^[0-9a-fA-F]{4}$/.test(unicode)) {
+        value += String.fromCharCode(parseInt(unicode, 16));
+        pos += 6;
+      } else if (next === 'x' && /^[0-9a-fA-F]{2}$/.test(hex)) {
+        value += String.fromCharCode(parseInt(hex, 16));
+        pos += 4;
+      } else if (next === '\n') {
+        pos += 2;
+      } else {
+        value += next in simple ? simple[next] : next;
+        pos += 2;
+      }
+      continue;
+    }
+
+    value += ch;
+    pos++;
+  }
+
+  const terminated = text[pos] === quote;
+  return {
+    type: 'string',
+    value,
+    quote,
+    terminated,
+    start,
+    end: terminated ? pos + 1 : pos
+  };
+}
+
+/**
+ * Repair malformed JSON text
+ * @param {string} text - Malformed JSON (or JSON5, JS literal, Python repr)
+ * @returns {{text: string, fixes: string[]}|null} - Repaired strict JSON and a description of each fix,
+ *   or null if the only way to repair it would throw away part of the input
+ */
+export function repairJson(text) {
+  const tokens = tokenize(text);
+  const out = [];
+  const fixes = [];
+  const counts = new Map();
+
+  // Each fix kind is reported once, with a count
+  const fix = (description) => counts.set(description, (counts.get(description) || 0) + 1);
+
+  // Containers: { type: 'object' | 'array', state }
+  // object states: key, colon, value, comma; array states: value, comma
+  const stack = [];
+  let rootDone = false;
+  let lastSignificant = -1;
+  let danglingComma = -1;
+
+  const top = () => stack[stack.length - 1];
+
+  const emit = (raw, significant = true) => {
+    out.push(raw);
+    if (significant) lastSignificant = out.length - 1;
+  };
+
+  // Insert right after the previous significant token, before any whitespace
+  const insertAfterLast = (raw) => {
+    out.splice(lastSignificant + 1, 0, raw);
+    if (danglingComma > lastSignificant) danglingComma++;
+    lastSignificant++;
+  };
+
+  const dropDanglingComma = () => {
+    if (danglingComma !== -1) {
+      out[danglingComma] = '';
+      danglingComma = -1;
+      fix('Removed trailing comma');
+    }
+  };
+
+  const afterValue = () => {
+    const frame = top();
+    if (frame) {
+      frame.state = 'comma';
+    } else {
+      rootDone = true;
+    }
+  };
+
+  // Prepare the current container to accept a value (or key)
+  const beforeValue = () => {
+    const frame = top();
+    if (!frame) return 'value';
+
+    if (frame.state === 'comma') {
+      insertAfterLast(',');
+      fix('Inserted missing comma');
+      frame.state = frame.type === 'object' ? 'key' : 'value';
+    }
+    if (frame.state === 'colon') {
+      insertAfterLast(':');
+      fix("Inserted missing ':'");
+      frame.state = 'value';
+    }
+    danglingComma = -1;
+    return frame.state;
+  };
+
+  const closeContainer = () => {
+    const frame = stack.pop();
+    if (frame.type === 'object' && frame.state === 'colon') {
+      insertAfterLast(': null');
+      fix('Filled in missing value with null');
+    } else if (frame.type === 'object' && frame.state === 'value' && danglingComma === -1) {
+      insertAfterLast(' null');
+      fix('Filled in missing value with null');
+    }
+    dropDanglingComma();
+    afterValue();
+    return frame.type === 'object' ? '}' : ']';
+  };
+
+  for (const token of tokens) {
+    if (rootDone) {
+      // More content, e.g. a second document, a code fence or a JSONP call: not a typo to fix
+      if (token.type !== 'whitespace' && token.type !== 'comment') return null;
+      if (token.type === 'whitespace') {
+        emit(token.raw, false);
+      } else {
+        fix('Removed comment');
+      }
+      continue;
+    }
+
+    switch (token.type) {
+      case 'whitespace':
+        emit(token.raw, false);
+        break;
+
+      case 'comment':
+        fix('Removed comment');
+        break;
+
+      case 'junk':
+        fix(`Removed unexpected '${token.raw}'`);
+        break;
+
+      case 'punct': {
+        const frame = top();
+
+        if (token.raw === '{' || token.raw === '[') {
+          // Containers cannot be property names
+          if (frame && frame.type === 'object' && (frame.state === 'key' || frame.state === 'comma')) {
+            fix(`Removed unexpected '${token.raw}'`);
+            break;
+          }
+          beforeValue();
+          emit(token.raw);
+          stack.push(token.raw === '{'
+            ? { type: 'object', state: 'key' }
+            : { type: 'array', state: 'value' });
+        } else if (token.raw === '}' || token.raw === ']') {
+          const type = token.raw === '}' ? 'object' : 'array';
+          if (!stack.some(f => f.type === type)) {
+            fix(`Removed unmatched '${token.raw}'`);
+            break;
+          }
+          // Close anything left open inside the matching container
+          while (top().type !== type) {
+            insertAfterLast(closeContainer());
+            fix('Closed unclosed bracket');
+          }
+          emit(closeContainer());
+        } else if (token.raw === ':') {
+          if (frame && frame.type === 'object' && frame.state === 'colon') {
+            emit(':');
+            frame.state = 'value';
+          } else {
+            fix("Removed unexpected ':'");
+          }
+        } else if (token.raw === ',') {
+          if (frame && frame.state === 'comma') {
+            emit(',');
+            danglingComma = out.length - 1;
+            frame.state = frame.type === 'object' ? 'key' : 'value';
+          } else {
+            fix('Removed extra comma');
+          }
+        }
+        break;
+      }
+
+      case 'string':
+      case 'word':
+      case 'number': {
+        const state = beforeValue();
+        const frame = top();
+        let raw;
+
+        if (state === 'key') {
+          // Any scalar in key position becomes a double-quoted key
+          raw = JSON.stringify(token.type === 'string' ? token.value : token.raw);
+          if (token.type !== 'string') fix('Quoted unquoted property name');
+          frame.state = 'colon';
+        } else {
+          raw = repairScalar(token, fix);
+          // A whole input quoted as one string is a guess, not a repair
+          if (!frame && raw.startsWith('"')) return null;
+          afterValue();
+        }
+
+        if (token.type === 'string') {
+          if (token.quote !== '"') fix('Converted quotes to double quotes');
+          if (!token.terminated) fix('Closed unterminated string');
+          if (token.prefixed) fix('Removed Python string prefix');
+        }
+
+        emit(raw);
+        break;
+      }
+    }
+  }
+
+  // Truncated input: complete whatever is still open
+  while (stack.length) {
+    insertAfterLast(closeContainer());
+    fix('Closed unclosed bracket');
+  }
+
+  counts.forEach((count, description) => {
+    fixes.push(count > 1 ? `${description} (${count}x)` : description);
+  });
+
+  return { text: out.join(''), fixes };
+}
+
+/**
+ * Convert a scalar token in value position to strict JSON
+ */
+function repairScalar(token, fix) {
+  if (token.type === 'string') {
+    return JSON.stringify(token.value);
+  }
+
+  if (token.type === 'number') {
+    if (/^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/.test(token.raw)) {
+      return token.raw;
+    }
+    fix('Normalized number');
+    const negative = token.raw.startsWith('-');
+    const unsigned = token.raw.replace(/^[+-]/, '');
+    const value = /^0x/i.test(unsigned) ? parseInt(unsigned.slice(2), 16) : Number(unsigned);
+    return String(negative ? -value : value);
+  }
+
+  const word = token.raw.replace(/^[+-]/, '');
+  if (word in LITERALS) {
+    if (LITERALS[word] !== token.raw) fix(`Replaced ${word} with ${LITERALS[word]}`);
+    return LITERALS[word];
+  }
+
+  fix('Quoted unquoted string');
+  return JSON.stringify(token.raw);
+}
+
+export default { repairJson };
@@ -0,0 +1,547 @@
+/**
+ * DevToyNative - JSON Schema Validator
+ * Offline validation for JSON Schema draft-07 and 2020-12
+ */
+
+import { typeOf, deepEqual, joinPointer, splitPointer } from './jsonUtils.js';
+
+const MAX_REF_DEPTH = 200;
+
+/**
+ * Format checks for the `format` keyword. Unknown formats are ignored.
+ */
+const FORMATS = {
+  'date-time': (s) => /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/.test(s) && !isNaN(Date.parse(s)),
+  date: (s) => /^\d{4}-\d{2}-\d{2}$/.test(s) && !isNaN(Date.parse(s)),
+  time: (s) => /^\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})?$/.test(s),
+  email: (s) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(s),
+  hostname: (s) => s.length <= 253 && /^(?=.{1,253}$)([a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)(\.[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/.test(s),
+  ipv4: (s) => /^((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/.test(s),
+  ipv6: (s) => /^(([0-9a-fA-F]{1,4}:){7}[0-9a-fA-F]{1,4}|(([0-9a-fA-F]{1,4}:){0,7}[0-9a-fA-F]{0,4})?::(([0-9a-fA-F]{1,4}:){0,7}[0-9a-fA-F]{0,4})?)$/.test(s),
+  uri: (s) => /^[a-zA-Z][a-zA-Z0-9+.-]*:[^\s]*$/.test(s),
+  uuid: (s) => /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/.test(s),
+  'json-pointer': (s) => s === '' || /^(\/([^~/]|~[01])*)*$/.test(s),
+  regex: (s) => {
+    try {
+      new RegExp(s, 'u');
+      return true;
+    } catch {
+      return false;
+    }
+  }
+};
+
+/**
+ * Validate a JSON instance against a JSON Schema
+ * @param {*} instance - Parsed JSON document
+ * @param {Object|boolean} schema - Parsed JSON Schema
+ * @returns {{draft: string, errors: Array<{instancePath: string, schemaPath: string, keyword: string, message: string}>}}
+ */
+export function validateJsonSchema(instance, schema) {
+  if (typeof schema !== 'boolean' && typeOf(schema) !== 'object') {
+    throw new Error('Schema must be an object or a boolean');
+  }
+
+  const ctx = {
+    root: schema,
+    draft: detectDraft(schema),
+    ids: collectIds(schema),
+    errors: [],
+    depth: 0
+  };
+
+  validateNode(instance, schema, '', '#', ctx);
+  return { draft: ctx.draft, errors: ctx.errors };
+}
+
+/**
+ * Detect the schema dialect from `$schema`, defaulting to 2020-12
+ */
+function detectDraft(schema) {
+  const uri = typeOf(schema) === 'object' && typeof schema.$schema === 'string' ? schema.$schema : '';
+  if (/draft-0[4-7]/.test(uri)) return 'draft-07';
+  return '2020-12';
+}
+
+/**
+ * Index every subschema reachable via `$id` or `$anchor`
+ */
+function collectIds(schema, ids = new Map()) {
+  if (typeOf(schema) === 'array') {
+    schema.forEach(item => collectIds(item, ids));
+  } else if (typeOf(schema) === 'object') {
+    if (typeof schema.$id === 'string') {
+      ids.set(schema.$id, schema);
+      const fragment = schema.$id.indexOf('#');
+      if (fragment > 0) ids.set(schema.$id.slice(fragment), schema);
+    }
+    if (typeof schema.$anchor === 'string') ids.set(`#${schema.$anchor}`, schema);
+    if (typeof schema.$dynamicAnchor === 'string') ids.set(`#${schema.$dynamicAnchor}`, schema);
+    Object.keys(schema).forEach(key => {
+      if (key !== 'enum' && key !== 'const') collectIds(schema[key], ids);
+    });
+  }
+  return ids;
+}
+
+/**
+ * Resolve a local `$ref` to a subschema
+ */
+function resolveRef(ref, ctx) {
+  if (ref === '#' || ref === '') {
+    return ctx.root;
+  }
+
+  if (ctx.ids.has(ref)) {
+    return ctx.ids.get(ref);
+  }
+
+  const hash = ref.indexOf('#');
+  const base = hash === -1 ? ref : ref.slice(0, hash);
+  const fragment = hash === -1 ? '' : ref.slice(hash + 1);
+  let target = base ? ctx.ids.get(base) : ctx.root;
+
+  if (target === undefined) {
+    throw new Error(`Cannot resolve $ref "${ref}" (remote references are not fetched)`);
+  }
+
+  if (fragment && !fragment.startsWith('/')) {
+    const anchored = ctx.ids.get(`#${fragment}`);
+    if (!anchored) throw new Error(`Cannot resolve anchor in $ref "${ref}"`);
+    return anchored;
+  }
+
+  for (const token of splitPointer(decodeURIComponent(fragment))) {
+    if (target === null || typeof target !== 'object' || !(token in target)) {
+      throw new Error(`Cannot resolve $ref "${ref}"`);
+    }
+    target = target[token];
+  }
+
+  return target;
+}
+
+/**
+ * Record a validation error
+ */
+function addError(ctx, instancePath, schemaPath, keyword, message) {
+  ctx.errors.push({ instancePath, schemaPath: `${schemaPath}/${keyword}`, keyword, message });
+}
+
+/**
+ * Run a subschema in an isolated context (for anyOf/oneOf/not/if/contains)
+ */
+function trySubschema(instance, schema, instancePath, schemaPath, ctx) {
+  const sub = { ...ctx, errors: [] };
+  const annotations = validateNode(instance, schema, instancePath, schemaPath, sub);
+  return { valid: sub.errors.length === 0, errors: sub.errors, annotations };
+}
+
+/**
+ * Merge evaluated-property/item annotations from a subschema
+ */
+function mergeAnnotations(target, source) {
+  source.props.forEach(prop => target.props.add(prop));
+  target.items = Math.max(target.items, source.items);
+}
+
+/**
+ * Describe a value for error messages
+ */
+function describe(value) {
+  const text = JSON.stringify(value);
+  return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+}
+
+/**
+ * Validate an instance against a (sub)schema.
+ * Returns annotations about which properties/items were evaluated, for the
+ * 2020-12 unevaluated* keywords.
+ */
+function validateNode(instance, schema, instancePath, schemaPath, ctx) {
+  const annotations = { props: new Set(), items: 0 };
+
+  if (schema === true) return annotations;
+  if (schema === false) {
+    addError(ctx, instancePath, schemaPath, 'false', 'boolean schema is false');
+    return annotations;
+  }
+  if (typeOf(schema) !== 'object') return annotations;
+
+  const type = typeOf(instance);
+
+  // $ref (draft-07 ignores sibling keywords)
+  const ref = schema.$ref !== undefined ? schema.$ref : schema.$dynamicRef;
+  if (typeof ref === 'string') {
+    const keyword = schema.$ref !== undefined ? '$ref' : '$dynamicRef';
+    if (ctx.depth > MAX_REF_DEPTH) {
+      // The schema path is hundreds of repeated $ref segments by now: name the reference instead
+      throw new Error(`${keyword} recursion exceeded ${MAX_REF_DEPTH} levels following "${ref}" (at instance ${instancePath || '/'})`);
+    }
+    let target;
+    try {
+      target = resolveRef(ref, ctx);
+    } catch (error) {
+      addError(ctx, instancePath, schemaPath, keyword, error.message);
+    }
+    if (target !== undefined) {
+      ctx.depth++;
+      const errorCount = ctx.errors.length;
+      const refAnnotations = validateNode(instance, target, instancePath, `${schemaPath}/${keyword}`, ctx);
+      ctx.depth--;
+      if (ctx.errors.length === errorCount) mergeAnnotations(annotations, refAnnotations);
+    }
+    if (ctx.draft === 'draft-07' && schema.$ref !== undefined) return annotations;
+  }
+
+  validateGeneric(instance, type, schema, instancePath, schemaPath, ctx);
+
+  if (type === 'number') validateNumber(instance, schema, instancePath, schemaPath, ctx);
+  if (type === 'string') validateString(instance, schema, instancePath, schemaPath, ctx);
+  if (type === 'array') validateArray(instance, schema, instancePath, schemaPath, ctx, annotations);
+  if (type === 'object') validateObject(instance, schema, instancePath, schemaPath, ctx, annotations);
+
+  validateApplicators(instance, schema, instancePath, schemaPath, ctx, annotations);
+
+  // Unevaluated keywords run last, once all other annotations are known
+  if (type === 'array' && schema.unevaluatedItems !== undefined) {
+    for (let i = annotations.items; i < instance.length; i++) {
+      validateNode(instance[i], schema.unevaluatedItems, joinPointer(instancePath, i), `${schemaPath}/unevaluatedItems`, ctx);
+    }
+    annotations.items = instance.length;
+  }
+
+  if (type === 'object' && schema.unevaluatedProperties !== undefined) {
+    Object.keys(instance).forEach(key => {
+      if (annotations.props.has(key)) return;
+      if (schema.unevaluatedProperties === false) {
+        addError(ctx, joinPointer(instancePath, key), schemaPath, 'unevaluatedProperties', `must NOT have unevaluated property '${key}'`);
+      } else {
+        validateNode(instance[key], schema.unevaluatedProperties, joinPointer(instancePath, key), `${schemaPath}/unevaluatedProperties`, ctx);
+      }
+      annotations.props.add(key);
+    });
+  }
+
+  return annotations;
+}
+
+/**
+ * type, enum, const
+ */
+function validateGeneric(instance, type, schema, instancePath, schemaPath, ctx) {
+  if (schema.type !== undefined) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const matches = allowed.some(t => t === type || (t === 'integer' && type === 'number' && Number.isInteger(instance)));
+    if (!matches) {
+      addError(ctx, instancePath, schemaPath, 'type', `must be ${allowed.join(' or ')}, got ${type}`);
+    }
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some(value => deepEqual(value, instance))) {
+    addError(ctx, instancePath, schemaPath, 'enum', `must be equal to one of the allowed values: ${schema.enum.map(describe).join(', ')}`);
+  }
+
+  if (schema.const !== undefined && !deepEqual(schema.const, instance)) {
+    addError(ctx, instancePath, schemaPath, 'const', `must be equal to constant ${describe(schema.const)}`);
+  }
+}
+
+/**
+ * multipleOf, minimum, maximum, exclusiveMinimum, exclusiveMaximum
+ */
+function validateNumber(value, schema, instancePath, schemaPath, ctx) {
+  if (typeof schema.multipleOf === 'number' && schema.multipleOf > 0) {
+    const quotient = value / schema.multipleOf;
+    if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+      addError(ctx, instancePath, schemaPath, 'multipleOf', `must be multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  if (typeof schema.minimum === 'number' && value < schema.minimum) {
+    addError(ctx, instancePath, schemaPath, 'minimum', `must be >= ${schema.minimum}`);
+  }
+
+  if (typeof schema.maximum === 'number' && value > schema.maximum) {
+    addError(ctx, instancePath, schemaPath, 'maximum', `must be <= ${schema.maximum}`);
+  }
+
+  if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+    addError(ctx, instancePath, schemaPath, 'exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`);
+  }
+
+  if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+    addError(ctx, instancePath, schemaPath, 'exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`);
+  }
+}
+
+/**
+ * minLength, maxLength, pattern, format
+ */
+function validateString(value, schema, instancePath, schemaPath, ctx) {
+  const length = [...value].length;
+
+  if (typeof schema.minLength === 'number' && length < schema.minLength) {
+    addError(ctx, instancePath, schemaPath, 'minLength', `must NOT have fewer than ${schema.minLength} characters`);
+  }
+
+  if (typeof schema.maxLength === 'number' && length > schema.maxLength) {
+    addError(ctx, instancePath, schemaPath, 'maxLength', `must NOT have more than ${schema.maxLength} characters`);
+  }
+
+  if (typeof schema.pattern === 'string') {
+    let regex;
+    try {
+      regex = new RegExp(schema.pattern, 'u');
+    } catch {
+      addError(ctx, instancePath, schemaPath, 'pattern', `schema pattern is not a valid regular expression: ${schema.pattern}`);
+    }
+    if (regex && !regex.test(value)) {
+      addError(ctx, instancePath, schemaPath, 'pattern', `must match pattern "${schema.pattern}"`);
+    }
+  }
+
+  if (typeof schema.format === 'string' && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+    addError(ctx, instancePath, schemaPath, 'format', `must match format "${schema.format}"`);
+  }
+}
+
+/**
+ * prefixItems, items, additionalItems, contains, minItems, maxItems, uniqueItems
+ */
+function validateArray(value, schema, instancePath, schemaPath, ctx, annotations) {
+  if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+    addError(ctx, instancePath, schemaPath, 'minItems', `must NOT have fewer than ${schema.minItems} items`);
+  }
+
+  if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+    addError(ctx, instancePath, schemaPath, 'maxItems', `must NOT have more than ${schema.maxItems} items`);
+  }
+
+  if (schema.uniqueItems === true) {
+    for (let i = 0; i < value.length; i++) {
+      const duplicate = value.findIndex((other, j) => j > i && deepEqual(value[i], other));
+      if (duplicate !== -1) {
+        addError(ctx, instancePath, schemaPath, 'uniqueItems', `must NOT have duplicate items (items ${i} and ${duplicate} are identical)`);
+        break;
+      }
+    }
+  }
+
+  // Tuple validation: 2020-12 prefixItems, or draft-07 array-form items
+  const tuple = Array.isArray(schema.prefixItems) ? schema.prefixItems : Array.isArray(schema.items) ? schema.items : null;
+  const tupleKeyword = Array.isArray(schema.prefixItems) ? 'prefixItems' : 'items';
+  let evaluated = 0;
+
+  if (tuple) {
+    tuple.forEach((itemSchema, i) => {
+      if (i < value.length) {
+        validateNode(value[i], itemSchema, joinPointer(instancePath, i), `${schemaPath}/${tupleKeyword}/${i}`, ctx);
+      }
+    });
+    evaluated = Math.min(tuple.length, value.length);
+  }
+
+  // Remaining items: 2020-12 items (after prefixItems), or draft-07 items/additionalItems
+  let restSchema;
+  let restKeyword;
+  if (schema.items !== undefined && !Array.isArray(schema.items)) {
+    restSchema = schema.items;
+    restKeyword = 'items';
+  } else if (Array.isArray(schema.items) && schema.additionalItems !== undefined) {
+    restSchema = schema.additionalItems;
+    restKeyword = 'additionalItems';
+  }
+
+  if (restSchema !== undefined) {
+    if (restSchema === false && value.length > evaluated) {
+      addError(ctx, instancePath, schemaPath, restKeyword, `must NOT have more than ${evaluated} items`);
+    } else {
+      for (let i = evaluated; i < value.length; i++) {
+        validateNode(value[i], restSchema, joinPointer(instancePath, i), `${schemaPath}/${restKeyword}`, ctx);
+      }
+    }
+    evaluated = value.length;
+  }
+
+  annotations.items = Math.max(annotations.items, evaluated);
+
+  if (schema.contains !== undefined) {
+    const matches = value.filter((item, i) =>
+      trySubschema(item, schema.contains, joinPointer(instancePath, i), `${schemaPath}/contains`, ctx).valid
+    ).length;
+    const min = typeof schema.minContains === 'number' ? schema.minContains : 1;
+    const max = schema.maxContains;
+
+    if (matches < min) {
+      addError(ctx, instancePath, schemaPath, 'contains', min === 1
+        ? 'must contain at least 1 valid item'
+        : `must contain at least ${min} valid items (found ${matches})`);
+    }
+    if (typeof max === 'number' && matches > max) {
+      addError(ctx, instancePath, schemaPath, 'maxContains', `must contain at most ${max} valid items (found ${matches})`);
+    }
+  }
+}
+
+/**
+ * properties, patternProperties, additionalProperties, required,
+ * propertyNames, min/maxProperties, dependencies, dependentRequired, dependentSchemas
+ */
+function validateObject(value, schema, instancePath, schemaPath, ctx, annotations) {
+  const keys = Object.keys(value);
+
+  if (typeof schema.minProperties === 'number' && keys.length < schema.minProperties) {
+    addError(ctx, instancePath, schemaPath, 'minProperties', `must NOT have fewer than ${schema.minProperties} properties`);
+  }
+
+  if (typeof schema.maxProperties === 'number' && keys.length > schema.maxProperties) {
+    addError(ctx, instancePath, schemaPath, 'maxProperties', `must NOT have more than ${schema.maxProperties} properties`);
+  }
+
+  if (Array.isArray(schema.required)) {
+    schema.required.forEach(prop => {
+      if (!Object.prototype.hasOwnProperty.call(value, prop)) {
+        addError(ctx, instancePath, schemaPath, 'required', `must have required property '${prop}'`);
+      }
+    });
+  }
+
+  const patterns = typeOf(schema.patternProperties) === 'object'
+    ? Object.keys(schema.patternProperties).map(pattern => ({ pattern, regex: new RegExp(pattern, 'u') }))
+    : [];
+
+  keys.forEach(key => {
+    const childPath = joinPointer(instancePath, key);
+    let matched = false;
+
+    if (typeOf(schema.properties) === 'object' && Object.prototype.hasOwnProperty.call(schema.properties, key)) {
+      validateNode(value[key], schema.properties[key], childPath, `${schemaPath}/properties/${key}`, ctx);
+      matched = true;
+    }
+
+    patterns.forEach(({ pattern, regex }) => {
+      if (regex.test(key)) {
+        validateNode(value[key], schema.patternProperties[pattern], childPath, `${schemaPath}/patternProperties/${pattern}`, ctx);
+        matched = true;
+      }
+    });
+
+    if (!matched && schema.additionalProperties !== undefined) {
+      if (schema.additionalProperties === false) {
+        addError(ctx, childPath, schemaPath, 'additionalProperties', `must NOT have additional property '${key}'`);
+      } else {
+        validateNode(value[key], schema.additionalProperties, childPath, `${schemaPath}/additionalProperties`, ctx);
+      }
+      matched = true;
+    }
+
+    if (matched) annotations.props.add(key);
+
+    if (schema.propertyNames !== undefined) {
+      const result = trySubschema(key, schema.propertyNames, childPath, `${schemaPath}/propertyNames`, ctx);
+      if (!result.valid) {
+        addError(ctx, childPath, schemaPath, 'propertyNames', `property name '${key}' is invalid: ${result.errors[0].message}`);
+      }
+    }
+  });
+
+  // draft-07 `dependencies` covers both dependentRequired and dependentSchemas
+  const dependentRequired = { ...(typeOf(schema.dependentRequired) === 'object' ? schema.dependentRequired : {}) };
+  const dependentSchemas = { ...(typeOf(schema.dependentSchemas) === 'object' ? schema.dependentSchemas : {}) };
+  if (typeOf(schema.dependencies) === 'object') {
+    Object.entries(schema.dependencies).forEach(([prop, dependency]) => {
+      if (Array.isArray(dependency)) dependentRequired[prop] = dependency;
+      else dependentSchemas[prop] = dependency;
+    });
+  }
+
+  Object.entries(dependentRequired).forEach(([prop, required]) => {
+    if (!Object.prototype.hasOwnProperty.call(value, prop)) return;
+    required.forEach(dependency => {
+      if (!Object.prototype.hasOwnProperty.call(value, dependency)) {
+        addError(ctx, instancePath, schemaPath, 'dependentRequired', `must have property '${dependency}' when property '${prop}' is present`);
+      }
+    });
+  });
+
+  Object.entries(dependentSchemas).forEach(([prop, dependency]) => {
+    if (!Object.prototype.hasOwnProperty.call(value, prop)) return;
+    const errorCount = ctx.errors.length;
+    const result = validateNode(value, dependency, instancePath, `${schemaPath}/dependentSchemas/${prop}`, ctx);
+    if (ctx.errors.length === errorCount) mergeAnnotations(annotations, result);
+  });
+}
+
+/**
+ * allOf, anyOf, oneOf, not, if/then/else
+ */
+function validateApplicators(instance, schema, instancePath, schemaPath, ctx, annotations) {
+  if (Array.isArray(schema.allOf)) {
+    schema.allOf.forEach((sub, i) => {
+      const errorCount = ctx.errors.length;
+      const result = validateNode(instance, sub, instancePath, `${schemaPath}/allOf/${i}`, ctx);
+      if (ctx.errors.length === errorCount) mergeAnnotations(annotations, result);
+    });
+  }
+
+  if (Array.isArray(schema.anyOf)) {
+    const results = schema.anyOf.map((sub, i) => trySubschema(instance, sub, instancePath, `${schemaPath}/anyOf/${i}`, ctx));
+    const passing = results.filter(result => result.valid);
+    if (passing.length === 0) {
+      addError(ctx, instancePath, schemaPath, 'anyOf', 'must match at least one schema in anyOf');
+      ctx.errors.push(...nestedErrors(results));
+    }
+    passing.forEach(result => mergeAnnotations(annotations, result.annotations));
+  }
+
+  if (Array.isArray(schema.oneOf)) {
+    const results = schema.oneOf.map((sub, i) => trySubschema(instance, sub, instancePath, `${schemaPath}/oneOf/${i}`, ctx));
+    const passing = results.filter(result => result.valid);
+    if (passing.length === 0) {
+      addError(ctx, instancePath, schemaPath, 'oneOf', 'must match exactly one schema in oneOf (matched none)');
+      ctx.errors.push(...nestedErrors(results));
+    } else if (passing.length > 1) {
+      const indexes = results.map((result, i) => (result.valid ? i : -1)).filter(i => i !== -1);
+      addError(ctx, instancePath, schemaPath, 'oneOf', `must match exactly one schema in oneOf (matched ${indexes.join(', ')})`);
+    } else {
+      mergeAnnotations(annotations, passing[0].annotations);
+    }
+  }
+
+  if (schema.not !== undefined) {
+    if (trySubschema(instance, schema.not, instancePath, `${schemaPath}/not`, ctx).valid) {
+      addError(ctx, instancePath, schemaPath, 'not', 'must NOT be valid against the schema in not');
+    }
+  }
+
+  if (schema.if !== undefined) {
+    const condition = trySubschema(instance, schema.if, instancePath, `${schemaPath}/if`, ctx);
+    const branchKeyword = condition.valid ? 'then' : 'else';
+    const branch = schema[branchKeyword];
+
+    if (condition.valid) mergeAnnotations(annotations, condition.annotations);
+
+    if (branch !== undefined) {
+      const errorCount = ctx.errors.length;
+      const result = validateNode(instance, branch, instancePath, `${schemaPath}/${branchKeyword}`, ctx);
+      if (ctx.errors.length === errorCount) {
+        mergeAnnotations(annotations, result);
+      } else {
+        addError(ctx, instancePath, schemaPath, 'if', `must match "${branchKeyword}" schema`);
+      }
+    }
+  }
+}
+
+/**
+ * Pick the most relevant branch errors when no anyOf/oneOf branch matched:
+ * those from the branch that got deepest into the instance.
+ */
+function nestedErrors(results) {
+  const depthOf = (result) => Math.max(0, ...result.errors.map(error => splitPointer(error.instancePath).length));
+  const best = results.reduce((a, b) => (depthOf(b) > depthOf(a) ? b : a), results[0]);
+  return best && depthOf(best) > 0 ? best.errors : [];
+}
+
+export default { validateJsonSchema };
@@ -0,0 +1,175 @@
+/**
+ * DevToyNative - JSON Statistics
+ * Size and shape of a document: byte sizes, depth, key and type counts,
+ * and the subtrees and keys that make up most of the payload
+ */
+
+import { joinPointer } from './jsonUtils.js';
+
+// Entries kept in the "largest" lists
+const MAX_LARGEST = 10;
+
+/**
+ * UTF-8 byte length of a string
+ * @param {string} str - Text
+ * @returns {number}
+ */
+export function utf8Length(str) {
+  let bytes = 0;
+  for (let i = 0; i < str.length; i++) {
+    const code = str.charCodeAt(i);
+    if (code < 0x80) {
+      bytes += 1;
+    } else if (code < 0x800) {
+      bytes += 2;
+    } else if (code >= 0xD800 && code <= 0xDBFF && i + 1 < str.length) {
+      // Surrogate pair: one 4-byte character
+      bytes += 4;
+      i++;
+    } else {
+      bytes += 3;
+    }
+  }
+  return bytes;
+}
+
+/**
+ * Human-readable byte size (1 KB = 1024 bytes)
+ * @param {number} bytes - Size
+ * @returns {string} - e.g. "812 B", "14.2 KB", "3.05 MB"
+ */
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB'];
+  let size = bytes / 1024;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return `${size.toFixed(size < 10 ? 2 : 1)} ${units[unit]}`;
+}
+
+/**
+ * Gzip-compressed size of a text, where the browser supports CompressionStream
+ * @param {string} text - Text to compress
+ * @returns {Promise<number|null>} - Compressed bytes, or null if unsupported
+ */
+export async function gzipSize(text) {
+  if (typeof CompressionStream === 'undefined') return null;
+
+  const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+  const buffer = await new Response(stream).arrayBuffer();
+  return buffer.byteLength;
+}
+
+/**
+ * Insert an entry into a list kept sorted by size (largest first) and capped
+ */
+function keepLargest(list, entry) {
+  if (list.length === MAX_LARGEST && entry.bytes <= list[list.length - 1].bytes) return;
+
+  let i = list.length;
+  while (i > 0 && list[i - 1].bytes < entry.bytes) i--;
+  list.splice(i, 0, entry);
+  if (list.length > MAX_LARGEST) list.pop();
+}
+
+/**
+ * Analyze a parsed document. Sizes are of minified JSON in UTF-8
+ * @param {*} value - Parsed document
+ * @param {Map<string, string>} rawNumbers - Original number literals keyed by JSON Pointer
+ * @returns {{
+ *   bytes: number,
+ *   nodes: number,
+ *   maxDepth: number,
+ *   deepestPointer: string,
+ *   types: {object: number, array: number, string: number, number: number, boolean: number, null: number},
+ *   keys: number,
+ *   uniqueKeys: number,
+ *   largestSubtrees: Array<{pointer: string, bytes: number, children: number}>,
+ *   heaviestKeys: Array<{key: string, bytes: number, count: number}>
+ * }}
+ */
+export function analyzeJson(value, rawNumbers = new Map()) {
+  const types = { object: 0, array: 0, string: 0, number: 0, boolean: 0, null: 0 };
+  // Bytes and occurrences of every key name, members included ("key":value)
+  const keyTotals = new Map();
+  const largestSubtrees = [];
+  let maxDepth = 0;
+  let deepestPointer = '';
+  let keys = 0;
+
+  // Returns the minified size of a node
+  const visit = (node, pointer, depth) => {
+    if (depth > maxDepth) {
+      maxDepth = depth;
+      deepestPointer = pointer;
+    }
+
+    if (node === null) {
+      types.null++;
+      return 4;
+    }
+    if (typeof node === 'boolean') {
+      types.boolean++;
+      return node ? 4 : 5;
+    }
+    if (typeof node === 'number') {
+      types.number++;
+      const raw = rawNumbers.size ? rawNumbers.get(pointer) : undefined;
+      return (raw ?? JSON.stringify(node)).length;
+    }
+    if (typeof node === 'string') {
+      types.string++;
+      return utf8Length(JSON.stringify(node));
+    }
+
+    const isArray = Array.isArray(node);
+    const entries = isArray ? node.map((item, i) => [i, item]) : Object.entries(node);
+    types[isArray ? 'array' : 'object']++;
+
+    // Brackets and the commas between members
+    let bytes = 2 + Math.max(0, entries.length - 1);
+    entries.forEach(([key, child]) => {
+      const childBytes = visit(child, joinPointer(pointer, key), depth + 1);
+      if (isArray) {
+        bytes += childBytes;
+        return;
+      }
+
+      // "key": plus the value
+      const memberBytes = utf8Length(JSON.stringify(key)) + 1 + childBytes;
+      bytes += memberBytes;
+      keys++;
+      const total = keyTotals.get(key) || { key, bytes: 0, count: 0 };
+      total.bytes += memberBytes;
+      total.count++;
+      keyTotals.set(key, total);
+    });
+
+    if (pointer !== '') {
+      keepLargest(largestSubtrees, { pointer, bytes, children: entries.length });
+    }
+    return bytes;
+  };
+
+  const bytes = visit(value, '', 0);
+
+  const heaviestKeys = [];
+  keyTotals.forEach(total => keepLargest(heaviestKeys, total));
+
+  return {
+    bytes,
+    nodes: Object.values(types).reduce((sum, count) => sum + count, 0),
+    maxDepth,
+    deepestPointer,
+    types,
+    keys,
+    uniqueKeys: keyTotals.size,
+    largestSubtrees,
+    heaviestKeys
+  };
+}
+
+export default { analyzeJson, utf8Length, formatBytes, gzipSize };
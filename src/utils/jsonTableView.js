@@ -0,0 +1,336 @@
+/**
+ * DevToyNative - JSON Table View
+ * Sortable, filterable grid for arrays of objects; nested values expand
+ * in place and the visible rows export as CSV or TSV
+ */
+
+import { joinPointer } from './jsonUtils.js';
+import { formatCsvRows } from './csv.js';
+
+// Rows rendered at once; filtering narrows the rest down
+const MAX_ROWS = 1000;
+const MAX_CELL_PREVIEW = 200;
+
+// Nodes visited when looking for a table inside a document
+const MAX_SEARCH_NODES = 100000;
+
+/**
+ * Escape HTML special characters
+ */
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function isRecord(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Whether a value reads as a table: a non-empty array containing objects
+ * @param {*} value - Any JSON value
+ * @returns {boolean}
+ */
+export function isTabular(value) {
+  return Array.isArray(value) && value.length > 0 && value.some(isRecord);
+}
+
+/**
+ * Find the shallowest array of objects in a document (breadth-first),
+ * e.g. the `data` list of an API response
+ * @param {*} value - Document
+ * @returns {string|null} - JSON Pointer of the array, or null
+ */
+export function findTable(value) {
+  const queue = [{ value, pointer: '' }];
+
+  for (let head = 0; head < queue.length && head < MAX_SEARCH_NODES; head++) {
+    const node = queue[head];
+    if (isTabular(node.value)) return node.pointer;
+
+    if (node.value !== null && typeof node.value === 'object') {
+      Object.keys(node.value).forEach(key => {
+        const child = node.value[key];
+        if (child !== null && typeof child === 'object') {
+          queue.push({ value: child, pointer: joinPointer(node.pointer, key) });
+        }
+      });
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Union of the keys of the objects in an array, in first-seen order.
+ * A null column holds the items that are not objects
+ */
+function collectColumns(items) {
+  const keys = new Set();
+  let hasValues = false;
+
+  items.forEach(item => {
+    if (isRecord(item)) {
+      Object.keys(item).forEach(key => keys.add(key));
+    } else {
+      hasValues = true;
+    }
+  });
+
+  return hasValues ? [null, ...keys] : [...keys];
+}
+
+/**
+ * Sortable, filterable table of an array of objects
+ */
+export class JsonTableView {
+  /**
+   * @param {HTMLElement} element - Element to render into (its content is replaced)
+   */
+  constructor(element) {
+    this.element = element;
+    this.items = [];
+    this.columns = [];
+    this.pointer = '';
+    this.rawNumbers = new Map();
+    this.sort = null;
+    this.query = '';
+    // Expanded nested cells, keyed by JSON Pointer
+    this.expanded = new Set();
+
+    this.onClick = this.onClick.bind(this);
+    this.element.addEventListener('click', this.onClick);
+  }
+
+  /**
+   * Show an array as a table
+   * @param {Array} items - Rows
+   * @param {Object} options
+   * @param {string} options.pointer - JSON Pointer of the array in its document
+   * @param {Map<string, string>} options.rawNumbers - Original number literals keyed by JSON Pointer
+   * @param {boolean} options.preserveState - Keep sorting and expanded cells (same table, new data)
+   */
+  setData(items, { pointer = '', rawNumbers = new Map(), preserveState = false } = {}) {
+    this.items = items;
+    this.columns = collectColumns(items);
+    this.pointer = pointer;
+    this.rawNumbers = rawNumbers;
+    if (!preserveState || (this.sort && this.sort.column >= this.columns.length)) {
+      this.sort = null;
+    }
+    if (!preserveState) {
+      this.expanded.clear();
+    }
+    this.render();
+  }
+
+  /**
+   * Show only rows with a cell containing a text
+   * @param {string} query - Case-insensitive text ('' shows every row)
+   * @returns {number} - Number of matching rows
+   */
+  setFilter(query) {
+    this.query = query;
+    this.render();
+    return this.getRows().length;
+  }
+
+  /**
+   * Sort by a column; repeated calls cycle ascending, descending, unsorted
+   * @param {number} column - Column index
+   */
+  sortBy(column) {
+    if (!this.sort || this.sort.column !== column) {
+      this.sort = { column, direction: 1 };
+    } else if (this.sort.direction === 1) {
+      this.sort.direction = -1;
+    } else {
+      this.sort = null;
+    }
+    this.render();
+  }
+
+  /**
+   * Value of a row in a column (undefined when the key is missing)
+   */
+  cellValue(item, column) {
+    if (column === null) return isRecord(item) ? undefined : item;
+    return isRecord(item) ? item[column] : undefined;
+  }
+
+  /**
+   * Plain text of a cell, for filtering, sorting and export
+   */
+  cellText(value, pointer) {
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'object') return JSON.stringify(value);
+    if (typeof value === 'number' && this.rawNumbers.size) {
+      return this.rawNumbers.get(pointer) ?? String(value);
+    }
+    return String(value);
+  }
+
+  /**
+   * Pointer of a cell
+   */
+  cellPointer(index, column) {
+    const rowPointer = joinPointer(this.pointer, index);
+    return column === null ? rowPointer : joinPointer(rowPointer, column);
+  }
+
+  /**
+   * The filtered and sorted rows as {index, item}
+   */
+  getRows() {
+    let rows = this.items.map((item, index) => ({ index, item }));
+
+    if (this.query) {
+      const query = this.query.toLowerCase();
+      rows = rows.filter(({ index, item }) => this.columns.some(column => (
+        this.cellText(this.cellValue(item, column), this.cellPointer(index, column)).toLowerCase().includes(query)
+      )));
+    }
+
+    if (this.sort) {
+      const column = this.columns[this.sort.column];
+      const { direction } = this.sort;
+      // Missing keys, then nulls, always sort last
+      const rank = (value) => (value === undefined ? 2 : value === null ? 1 : 0);
+
+      rows.sort((a, b) => {
+        const x = this.cellValue(a.item, column);
+        const y = this.cellValue(b.item, column);
+        if (rank(x) || rank(y)) return rank(x) - rank(y) || a.index - b.index;
+
+        const order = typeof x === 'number' && typeof y === 'number'
+          ? x - y
+          : this.cellText(x).localeCompare(this.cellText(y), undefined, { numeric: true });
+        return direction * order || a.index - b.index;
+      });
+    }
+
+    return rows;
+  }
+
+  /**
+   * The filtered and sorted rows as delimited text
+   * @param {string} delimiter - ',' for CSV, '\t' for TSV
+   * @returns {string}
+   */
+  toDelimited(delimiter) {
+    const header = this.columns.map(column => (column === null ? 'value' : column));
+    const rows = this.getRows().map(({ index, item }) => this.columns.map(column => (
+      this.cellText(this.cellValue(item, column), this.cellPointer(index, column))
+    )));
+    return formatCsvRows([header, ...rows], delimiter);
+  }
+
+  onClick(e) {
+    const expand = e.target.closest('.json-table-expand');
+    if (expand) {
+      const pointer = expand.dataset.pointer;
+      if (this.expanded.has(pointer)) {
+        this.expanded.delete(pointer);
+      } else {
+        this.expanded.add(pointer);
+      }
+      this.render();
+      return;
+    }
+
+    const header = e.target.closest('th[data-column]');
+    if (header && this.element.contains(header)) {
+      this.sortBy(Number(header.dataset.column));
+    }
+  }
+
+  /**
+   * Render the table
+   */
+  render() {
+    const rows = this.getRows();
+    const shown = rows.slice(0, MAX_ROWS);
+
+    const headers = this.columns.map((column, i) => {
+      const sorted = this.sort && this.sort.column === i;
+      const arrow = sorted ? (this.sort.direction === 1 ? ' \u25B2' : ' \u25BC') : '';
+      const label = column === null ? '<em>value</em>' : escapeHtml(column);
+      return `<th data-column="${i}" class="${sorted ? 'sorted' : ''}" title="Sort by this column">${label}${arrow}</th>`;
+    }).join('');
+
+    const body = shown.map(({ index, item }) => `<tr><td class="json-table-index">${index}</td>${
+      this.columns.map(column => `<td>${this.renderCell(this.cellValue(item, column), this.cellPointer(index, column))}</td>`).join('')
+    }</tr>`).join('');
+
+    const empty = rows.length ? '' : '<div class="json-table-note">No rows match the filter</div>';
+    const more = rows.length > shown.length
+      ? `<div class="json-table-note">Showing the first ${MAX_ROWS} of ${rows.length} rows: filter to narrow them down</div>`
+      : '';
+
+    this.element.innerHTML = `<div class="json-table-scroll"><table class="json-table"><thead><tr><th class="json-table-index">#</th>${headers}</tr></thead><tbody>${body}</tbody></table></div>${empty}${more}`;
+  }
+
+  /**
+   * Render a cell value; objects and arrays collapse to a summary that expands in place
+   */
+  renderCell(value, pointer) {
+    if (value === undefined) return '';
+    if (value === null) return '<span class="null">null</span>';
+    if (typeof value === 'boolean') return `<span class="boolean">${value}</span>`;
+    if (typeof value === 'number') return `<span class="number">${escapeHtml(this.cellText(value, pointer))}</span>`;
+
+    if (typeof value === 'string') {
+      if (value.length > MAX_CELL_PREVIEW) {
+        return `<span class="string" title="${escapeHtml(value.slice(0, 5000))}">${escapeHtml(value.slice(0, MAX_CELL_PREVIEW))}...</span>`;
+      }
+      return `<span class="string">${escapeHtml(value)}</span>`;
+    }
+
+    const isArray = Array.isArray(value);
+    const length = isArray ? value.length : Object.keys(value).length;
+    if (length === 0) return `<span class="bracket">${isArray ? '[]' : '{}'}</span>`;
+
+    const summary = isArray ? `[${length} item${length === 1 ? '' : 's'}]` : `{${length} key${length === 1 ? '' : 's'}}`;
+    const expanded = this.expanded.has(pointer);
+    const toggle = `<button class="json-table-expand" data-pointer="${escapeHtml(pointer)}">${expanded ? '\u25BE' : '\u25B8'} ${summary}</button>`;
+    if (!expanded) return toggle;
+
+    return `${toggle}${this.renderNested(value, pointer)}`;
+  }
+
+  /**
+   * Render an expanded object or array: arrays of objects as a grid,
+   * anything else as key/value rows
+   */
+  renderNested(value, pointer) {
+    if (isTabular(value)) {
+      const columns = collectColumns(value);
+      const head = columns.map(column => `<th>${column === null ? '<em>value</em>' : escapeHtml(column)}</th>`).join('');
+      const body = value.map((item, index) => {
+        const itemPointer = joinPointer(pointer, index);
+        return `<tr><td class="json-table-index">${index}</td>${columns.map(column => (
+          `<td>${this.renderCell(this.cellValue(item, column), column === null ? itemPointer : joinPointer(itemPointer, column))}</td>`
+        )).join('')}</tr>`;
+      }).join('');
+      return `<table class="json-table json-table-nested"><thead><tr><th class="json-table-index">#</th>${head}</tr></thead><tbody>${body}</tbody></table>`;
+    }
+
+    const keys = Array.isArray(value) ? value.map((_, i) => i) : Object.keys(value);
+    const body = keys.map(key => (
+      `<tr><th>${escapeHtml(key)}</th><td>${this.renderCell(value[key], joinPointer(pointer, key))}</td></tr>`
+    )).join('');
+    return `<table class="json-table json-table-nested">${body}</table>`;
+  }
+
+  /**
+   * Detach listeners
+   */
+  destroy() {
+    this.element.removeEventListener('click', this.onClick);
+  }
+}
+
+export default JsonTableView;
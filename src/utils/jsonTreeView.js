@@ -0,0 +1,798 @@
+/**
+ * DevToyNative - Virtualized JSON Tree View
+ * Renders only the rows inside the scroll window, so multi-megabyte
+ * documents stay responsive. Optionally editable in place
+ */
+
+import { joinPointer, splitPointer, accessorSegment } from './jsonUtils.js';
+import { isEmbeddedJson } from './embeddedJson.js';
+
+const ROW_HEIGHT = 22;
+const VIEW_HEIGHT = 460;
+const OVERSCAN = 20;
+
+// Browsers cap element heights (~17M px in Firefox); beyond this the
+// scrollbar is scaled instead of mapping 1px to 1px
+const MAX_SCROLL_HEIGHT = 10000000;
+
+// Long strings are cut in the row; the full value is in the tooltip
+const MAX_STRING_PREVIEW = 500;
+
+/**
+ * Escape HTML special characters
+ */
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Number of children of an array or object (0 for primitives)
+ */
+function childCount(value) {
+  if (Array.isArray(value)) return value.length;
+  if (value !== null && typeof value === 'object') return Object.keys(value).length;
+  return 0;
+}
+
+/**
+ * Lazily rendered, collapsible JSON tree
+ */
+export class JsonTreeView {
+  /**
+   * @param {HTMLElement} element - Element to render into (its content is replaced)
+   * @param {Object} options
+   * @param {string} options.rootName - Name of the root in accessor paths
+   * @param {Function} options.onSelect - Called with {pointer, path} when a node is clicked
+   * @param {Function} options.onEdit - Called with an edit ({type, pointer, ...}, see applyEdit) in editable mode
+   */
+  constructor(element, { rootName = 'data', onSelect = null, onEdit = null } = {}) {
+    this.element = element;
+    this.rootName = rootName;
+    this.onSelect = onSelect;
+    this.onEdit = onEdit;
+    this.value = undefined;
+    this.rows = [];
+    this.markers = new Map();
+    this.rawNumbers = new Map();
+    this.expandDepth = Infinity;
+    // Per-node expand/collapse choices that override expandDepth, keyed by JSON Pointer
+    this.overrides = new Map();
+    this.flashPath = null;
+    this.selectedPath = null;
+    this.editable = false;
+    // Inline editor: {pointer, field: 'key'|'value', original, draft}
+    this.editing = null;
+    this.rendering = false;
+    // Search state: matching nodes in document order and the containers above them
+    this.query = '';
+    this.filter = false;
+    this.matches = [];
+    this.matchSet = new Set();
+    this.matchAncestors = new Set();
+    this.viewport = null;
+    this.spacer = null;
+    this.renderScheduled = false;
+
+    this.onScroll = this.onScroll.bind(this);
+    this.onClick = this.onClick.bind(this);
+    this.onDoubleClick = this.onDoubleClick.bind(this);
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.onEditorInput = this.onEditorInput.bind(this);
+    this.onFocusOut = this.onFocusOut.bind(this);
+    this.element.addEventListener('click', this.onClick);
+    this.element.addEventListener('dblclick', this.onDoubleClick);
+    this.element.addEventListener('keydown', this.onKeyDown);
+    this.element.addEventListener('input', this.onEditorInput);
+    this.element.addEventListener('focusout', this.onFocusOut);
+  }
+
+  /**
+   * Show a document
+   * @param {*} value - Parsed JSON value
+   * @param {Object} options
+   * @param {Map<string, {className: string, title: string}>} options.markers - Node markers keyed by JSON Pointer
+   * @param {Map<string, string>} options.rawNumbers - Original number literals keyed by JSON Pointer
+   * @param {number} options.expandDepth - Containers shallower than this are expanded
+   * @param {boolean} options.editable - Offer inline editing (reported through onEdit)
+   * @param {boolean} options.preserveState - Keep expanded nodes, selection and scroll position (after an edit)
+   */
+  setData(value, { markers = new Map(), rawNumbers = new Map(), expandDepth = Infinity, editable = false, preserveState = false } = {}) {
+    const scrollTop = preserveState && this.viewport ? this.viewport.scrollTop : 0;
+
+    this.value = value;
+    this.markers = markers;
+    this.rawNumbers = rawNumbers;
+    this.expandDepth = expandDepth;
+    this.editable = editable && Boolean(this.onEdit);
+    this.editing = null;
+    this.flashPath = null;
+    if (!preserveState) {
+      this.overrides.clear();
+      this.selectedPath = null;
+    }
+    this.findMatches();
+
+    this.rendering = true;
+    this.element.innerHTML = '<div class="tree-viewport" tabindex="0"><div class="tree-spacer"></div></div>';
+    this.rendering = false;
+    this.viewport = this.element.querySelector('.tree-viewport');
+    this.spacer = this.element.querySelector('.tree-spacer');
+    this.viewport.addEventListener('scroll', this.onScroll);
+
+    this.buildRows();
+    this.viewport.scrollTop = scrollTop;
+    this.renderWindow();
+  }
+
+  /**
+   * Expand every node
+   */
+  expandAll() {
+    this.expandToDepth(Infinity);
+  }
+
+  /**
+   * Collapse everything below the root
+   */
+  collapseAll() {
+    this.expandToDepth(1);
+  }
+
+  /**
+   * Expand containers up to a nesting depth, collapsing the rest
+   * @param {number} depth - 1 shows the root's children, 2 their children, ...
+   */
+  expandToDepth(depth) {
+    this.expandDepth = depth;
+    this.overrides.clear();
+    this.refresh();
+  }
+
+  /**
+   * Expand the ancestors of a node, scroll to it and highlight its marker
+   * @param {string} pointer - JSON Pointer of the node
+   */
+  reveal(pointer) {
+    if (!this.viewport) return;
+
+    this.expandAncestors(pointer);
+    this.flashPath = pointer;
+    this.buildRows();
+    this.scrollToRow(this.findRow(pointer));
+    this.renderWindow();
+  }
+
+  /**
+   * Select a node, expanding its ancestors and scrolling it into view
+   * @param {string} pointer - JSON Pointer of the node
+   */
+  selectPath(pointer) {
+    if (!this.viewport) return;
+
+    this.expandAncestors(pointer);
+    this.buildRows();
+    const index = this.findRow(pointer);
+    if (index === -1) return;
+    this.scrollToRow(index, true);
+    this.select(this.rows[index]);
+  }
+
+  /**
+   * Open the inline editor on a node (editable mode only)
+   * @param {string} pointer - JSON Pointer of the node
+   * @param {string} [field] - 'key' or 'value'; defaults to the key of object members
+   */
+  edit(pointer, field) {
+    this.selectPath(pointer);
+    const row = this.rows[this.findRow(pointer)];
+    if (row) {
+      this.startEdit(row, field || (row.parent && !Array.isArray(row.parent.value) ? 'key' : 'value'));
+    }
+  }
+
+  /**
+   * Override the ancestors of a node to expanded
+   */
+  expandAncestors(pointer) {
+    let ancestor = '';
+    splitPointer(pointer).forEach(token => {
+      this.overrides.set(ancestor, true);
+      ancestor = joinPointer(ancestor, token);
+    });
+  }
+
+  /**
+   * Scroll a row to the middle of the viewport
+   * @param {number} index - Row index (-1 is ignored)
+   * @param {boolean} onlyIfHidden - Leave the scroll position alone if the row is visible
+   */
+  scrollToRow(index, onlyIfHidden = false) {
+    if (index === -1) return;
+
+    const { ratio, viewportHeight } = this.getScrollMetrics();
+    const top = index * ROW_HEIGHT;
+    const visibleTop = this.viewport.scrollTop * ratio;
+    if (onlyIfHidden && top >= visibleTop && top + ROW_HEIGHT <= visibleTop + viewportHeight) return;
+
+    this.viewport.scrollTop = Math.max(0, (top - viewportHeight / 2) / ratio);
+  }
+
+  /**
+   * Highlight keys and values containing a text and expand their ancestors
+   * @param {string} query - Case-insensitive text ('' clears the search)
+   * @param {Object} options
+   * @param {boolean} options.filter - Hide branches without matches
+   * @returns {number} - Number of matching nodes
+   */
+  search(query, { filter = false } = {}) {
+    this.query = query;
+    this.filter = filter;
+    this.overrides.clear();
+    this.findMatches();
+    this.refresh();
+    return this.matches.length;
+  }
+
+  /**
+   * Scroll to the nth search match
+   * @returns {string|null} - JSON Pointer of the match
+   */
+  revealMatch(index) {
+    const pointer = this.matches[index];
+    if (pointer === undefined) return null;
+    this.reveal(pointer);
+    return pointer;
+  }
+
+  /**
+   * Collect the nodes whose key or primitive value contains the query
+   * Iterative, like buildRows
+   */
+  findMatches() {
+    this.matches = [];
+    this.matchSet = new Set();
+    this.matchAncestors = new Set();
+
+    const query = this.query.toLowerCase();
+    if (!query || this.value === undefined) return;
+
+    const stack = [{ value: this.value, pointer: '', key: null }];
+    while (stack.length) {
+      const { value, pointer, key } = stack.pop();
+      const keyMatch = typeof key === 'string' && key.toLowerCase().includes(query);
+      const isContainer = value !== null && typeof value === 'object';
+      const valueMatch = !isContainer && String(value).toLowerCase().includes(query);
+
+      if (keyMatch || valueMatch) {
+        this.matches.push(pointer);
+        this.matchSet.add(pointer);
+        for (let end = pointer.lastIndexOf('/'); end !== -1; end = pointer.lastIndexOf('/', end - 1)) {
+          const ancestor = pointer.slice(0, end);
+          if (this.matchAncestors.has(ancestor)) break;
+          this.matchAncestors.add(ancestor);
+          if (end === 0) break;
+        }
+      }
+
+      if (isContainer) {
+        // Pushed in reverse so matches come out in document order
+        const keys = Array.isArray(value) ? null : Object.keys(value);
+        for (let i = (keys ? keys.length : value.length) - 1; i >= 0; i--) {
+          const childKey = keys ? keys[i] : i;
+          stack.push({ value: value[childKey], pointer: joinPointer(pointer, childKey), key: keys ? childKey : null });
+        }
+      }
+    }
+  }
+
+  /**
+   * Rebuild the visible rows and redraw
+   */
+  refresh() {
+    if (!this.viewport) return;
+    this.buildRows();
+    this.renderWindow();
+  }
+
+  /**
+   * JSON Pointer of a row (cached)
+   */
+  pathOf(row) {
+    if (row.path === undefined) {
+      row.path = row.parent ? joinPointer(this.pathOf(row.parent), row.key) : '';
+    }
+    return row.path;
+  }
+
+  /**
+   * JavaScript accessor path of a row, e.g. data.users[3].email (cached)
+   */
+  accessorOf(row) {
+    if (row.accessor === undefined) {
+      row.accessor = row.parent
+        ? `${this.accessorOf(row.parent)}${accessorSegment(row.key, Array.isArray(row.parent.value))}`
+        : this.rootName;
+    }
+    return row.accessor;
+  }
+
+  /**
+   * Whether a container row is expanded
+   */
+  isExpanded(row) {
+    if (this.overrides.size) {
+      const override = this.overrides.get(this.pathOf(row));
+      if (override !== undefined) return override;
+    }
+    if (this.matchAncestors.size && this.matchAncestors.has(this.pathOf(row))) return true;
+    return row.depth < this.expandDepth;
+  }
+
+  /**
+   * Flatten the expanded part of the document into rows
+   * Iterative, so deeply nested documents cannot overflow the call stack
+   */
+  buildRows() {
+    const rows = [];
+    const stack = [];
+    const filtering = this.filter && this.query !== '';
+
+    const addRow = (key, value, depth, parent, last) => {
+      const row = { kind: 'leaf', key, value, depth, parent, last };
+      rows.push(row);
+
+      const length = childCount(value);
+      if (length > 0 && this.isExpanded(row)) {
+        row.kind = 'open';
+        let keys = Array.isArray(value) ? null : Object.keys(value);
+
+        // Filtering keeps matches, their ancestors and everything inside a match
+        row.showAll = filtering && ((parent && parent.showAll) || this.matchSet.has(this.pathOf(row)));
+        if (filtering && !row.showAll) {
+          const path = this.pathOf(row);
+          keys = (keys || Array.from({ length }, (_, i) => i)).filter(childKey => {
+            const pointer = joinPointer(path, childKey);
+            return this.matchSet.has(pointer) || this.matchAncestors.has(pointer);
+          });
+        }
+
+        stack.push({ row, keys, length: keys ? keys.length : length, index: 0 });
+      }
+    };
+
+    addRow(null, this.value, 0, null, true);
+
+    while (stack.length) {
+      const frame = stack[stack.length - 1];
+      if (frame.index < frame.length) {
+        const index = frame.index++;
+        const key = frame.keys ? frame.keys[index] : index;
+        addRow(key, frame.row.value[key], frame.row.depth + 1, frame.row, index === frame.length - 1);
+      } else {
+        stack.pop();
+        rows.push({ kind: 'close', depth: frame.row.depth, open: frame.row, last: frame.row.last });
+      }
+    }
+
+    this.rows = rows;
+
+    const total = rows.length * ROW_HEIGHT;
+    this.viewport.style.height = `${Math.min(total, VIEW_HEIGHT)}px`;
+    this.spacer.style.height = `${Math.min(total, MAX_SCROLL_HEIGHT)}px`;
+  }
+
+  /**
+   * Index of the row for a JSON Pointer, or -1
+   */
+  findRow(pointer) {
+    const tokens = splitPointer(pointer);
+    const depth = tokens.length;
+    const last = tokens[depth - 1];
+
+    return this.rows.findIndex(row => (
+      row.kind !== 'close' &&
+      row.depth === depth &&
+      (depth === 0 || String(row.key) === last) &&
+      this.pathOf(row) === pointer
+    ));
+  }
+
+  /**
+   * Map between the (possibly scaled) scrollbar and row offsets
+   */
+  getScrollMetrics() {
+    const viewportHeight = this.viewport.clientHeight || VIEW_HEIGHT;
+    const total = this.rows.length * ROW_HEIGHT;
+    const spacerHeight = Math.min(total, MAX_SCROLL_HEIGHT);
+    const ratio = total > spacerHeight
+      ? (total - viewportHeight) / (spacerHeight - viewportHeight)
+      : 1;
+    return { ratio, viewportHeight };
+  }
+
+  onScroll() {
+    if (this.renderScheduled) return;
+    this.renderScheduled = true;
+    requestAnimationFrame(() => {
+      this.renderScheduled = false;
+      this.renderWindow();
+    });
+  }
+
+  onClick(e) {
+    const rowElement = e.target.closest('.tree-row');
+    if (!rowElement || !this.viewport || e.target.closest('.tree-edit')) return;
+
+    const row = this.rows[Number(rowElement.dataset.index)];
+    if (!row) return;
+
+    const action = e.target.closest('.tree-action');
+    if (action) {
+      this.runAction(row, action.dataset.action);
+      return;
+    }
+
+    if (e.target.closest('.tree-toggle, .tree-summary')) {
+      this.overrides.set(this.pathOf(row), !this.isExpanded(row));
+      this.refresh();
+      return;
+    }
+
+    // Closing brackets select their container
+    this.select(row.kind === 'close' ? row.open : row);
+  }
+
+  /**
+   * Double-click a key to rename it or a primitive value to edit it
+   */
+  onDoubleClick(e) {
+    if (!this.editable || e.target.closest('.tree-edit, .tree-toggle, .tree-summary, .tree-action')) return;
+
+    const rowElement = e.target.closest('.tree-row');
+    const row = rowElement && this.rows[Number(rowElement.dataset.index)];
+    if (!row || row.kind === 'close') return;
+
+    if (e.target.closest('.key')) {
+      this.startEdit(row, 'key');
+    } else if (childCount(row.value) === 0) {
+      this.startEdit(row, 'value');
+    }
+  }
+
+  /**
+   * Editor keys (Enter/Escape) and shortcuts on the selected node:
+   * Enter or F2 edits, Delete removes
+   */
+  onKeyDown(e) {
+    if (e.target.closest('.tree-edit')) {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.commitEdit();
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        this.cancelEdit();
+      }
+      return;
+    }
+
+    if (!this.editable || this.selectedPath === null || e.target.closest('input, textarea, select, button')) return;
+
+    const row = this.rows[this.findRow(this.selectedPath)];
+    if (!row) return;
+
+    if (e.key === 'Enter' || e.key === 'F2') {
+      e.preventDefault();
+      this.runAction(row, childCount(row.value) === 0 ? 'edit' : 'rename');
+    } else if (e.key === 'Delete') {
+      e.preventDefault();
+      this.runAction(row, 'delete');
+    }
+  }
+
+  onEditorInput(e) {
+    if (this.editing && e.target.closest('.tree-edit')) {
+      this.editing.draft = e.target.value;
+    }
+  }
+
+  onFocusOut(e) {
+    // Re-rendering removes the editor; only a real blur commits
+    if (this.editing && !this.rendering && e.target.closest('.tree-edit')) {
+      this.commitEdit();
+    }
+  }
+
+  /**
+   * Run a row action button (or its keyboard shortcut)
+   */
+  runAction(row, action) {
+    if (!this.editable) return;
+
+    const pointer = this.pathOf(row);
+    const inObject = row.parent && !Array.isArray(row.parent.value);
+
+    if (action === 'edit' && childCount(row.value) === 0) {
+      this.startEdit(row, 'value');
+    } else if (action === 'rename' && inObject) {
+      this.startEdit(row, 'key');
+    } else if ((action === 'delete' || action === 'insert') && row.parent) {
+      this.onEdit({ type: action, pointer });
+    } else if (action === 'append' && row.value !== null && typeof row.value === 'object') {
+      this.onEdit({ type: 'append', pointer });
+    } else if (action === 'up' || action === 'down') {
+      this.onEdit({ type: 'move', pointer, offset: action === 'up' ? -1 : 1 });
+    } else if (action === 'unescape' && typeof row.value === 'string') {
+      this.onEdit({ type: 'unescape', pointer });
+    } else if (action === 'stringify' && row.value !== null && typeof row.value === 'object') {
+      this.onEdit({ type: 'stringify', pointer });
+    }
+  }
+
+  /**
+   * Open the inline editor for a key or value
+   */
+  startEdit(row, field) {
+    if (!this.editable) return;
+
+    const pointer = this.pathOf(row);
+    let original;
+    if (field === 'key') {
+      original = row.key;
+    } else {
+      // Values are edited as JSON literals; text that is not JSON becomes a string
+      const raw = typeof row.value === 'number' && this.rawNumbers.size ? this.rawNumbers.get(pointer) : undefined;
+      original = raw ?? JSON.stringify(row.value);
+    }
+
+    this.selectedPath = pointer;
+    this.editing = { pointer, field, original, draft: original };
+    this.renderWindow();
+
+    const input = this.spacer.querySelector('.tree-edit');
+    if (input) {
+      input.focus();
+      input.select();
+    }
+  }
+
+  /**
+   * Close the editor and report the change, if any
+   */
+  commitEdit() {
+    if (!this.editing) return;
+    const { pointer, field, original, draft } = this.editing;
+    this.editing = null;
+
+    if (draft !== original) {
+      this.onEdit(field === 'key' ? { type: 'rename', pointer, key: draft } : { type: 'set', pointer, text: draft });
+    }
+    this.renderWindow();
+  }
+
+  cancelEdit() {
+    this.editing = null;
+    this.renderWindow();
+    this.viewport.focus();
+  }
+
+  /**
+   * Mark a row as selected and report its path
+   */
+  select(row) {
+    this.selectedPath = this.pathOf(row);
+    this.renderWindow();
+    if (this.onSelect) {
+      this.onSelect({ pointer: this.selectedPath, path: this.accessorOf(row) });
+    }
+  }
+
+  /**
+   * Render the rows inside the scroll window
+   */
+  renderWindow() {
+    // Someone else replaced the element's content
+    if (!this.viewport || !this.element.contains(this.viewport)) return;
+
+    const editorFocused = this.editing !== null && this.spacer.contains(document.activeElement);
+
+    const { ratio, viewportHeight } = this.getScrollMetrics();
+    const scrollTop = this.viewport.scrollTop;
+    const virtualTop = scrollTop * ratio;
+
+    const first = Math.max(0, Math.floor(virtualTop / ROW_HEIGHT) - OVERSCAN);
+    const last = Math.min(this.rows.length, Math.ceil((virtualTop + viewportHeight) / ROW_HEIGHT) + OVERSCAN);
+
+    let html = '';
+    for (let index = first; index < last; index++) {
+      const top = scrollTop + index * ROW_HEIGHT - virtualTop;
+      html += this.renderRow(this.rows[index], index, top);
+    }
+
+    this.rendering = true;
+    this.spacer.innerHTML = html;
+    this.rendering = false;
+
+    // Scrolling re-creates the editor; keep typing where the user was
+    if (editorFocused) {
+      const input = this.spacer.querySelector('.tree-edit');
+      if (input) {
+        input.focus();
+        input.setSelectionRange(input.value.length, input.value.length);
+      }
+    }
+  }
+
+  /**
+   * Render a single row
+   */
+  renderRow(row, index, top) {
+    const comma = row.last ? '' : ',';
+
+    if (row.kind === 'close') {
+      const html = `<div class="tree-row" data-index="${index}" style="top: ${top}px; padding-left: ${row.depth * 20}px;">`;
+      return `${html}<span class="tree-toggle-spacer"></span><span class="bracket">${Array.isArray(row.open.value) ? ']' : '}'}</span>${comma}</div>`;
+    }
+
+    const path = this.pathOf(row);
+    const classes = ['tree-row'];
+    if (this.flashPath !== null && path === this.flashPath) classes.push('flash');
+    if (this.selectedPath !== null && path === this.selectedPath) classes.push('selected');
+    let html = `<div class="${classes.join(' ')}" data-index="${index}" title="${escapeHtml(this.accessorOf(row))}" style="top: ${top}px; padding-left: ${row.depth * 20}px;">`;
+
+    const value = row.value;
+    const length = childCount(value);
+
+    if (length > 0) {
+      html += `<span class="tree-toggle${row.kind === 'open' ? '' : ' collapsed'}"></span>`;
+    } else {
+      html += '<span class="tree-toggle-spacer"></span>';
+    }
+
+    if (this.markers.size) {
+      html += this.renderMarker(this.pathOf(row));
+    }
+
+    const editing = this.editing !== null && this.editing.pointer === path ? this.editing.field : null;
+
+    if (row.parent && !Array.isArray(row.parent.value)) {
+      html += editing === 'key'
+        ? `${this.renderEditor()}: `
+        : `<span class="key">"${this.highlight(row.key)}"</span>: `;
+    }
+
+    const isArray = Array.isArray(value);
+    if (row.kind === 'open') {
+      html += `<span class="bracket">${isArray ? '[' : '{'}</span>`;
+    } else if (length > 0) {
+      const summary = isArray ? `${length} item${length === 1 ? '' : 's'}` : `${length} key${length === 1 ? '' : 's'}`;
+      html += `<span class="bracket">${isArray ? '[' : '{'}</span><span class="tree-summary">${summary}</span><span class="bracket">${isArray ? ']' : '}'}</span>${comma}`;
+    } else if (editing === 'value') {
+      html += this.renderEditor();
+    } else {
+      html += `${this.renderValue(row)}${comma}`;
+      if (this.editable) html += this.renderEmbedded(row);
+    }
+
+    if (this.editable && !editing && path === this.selectedPath) {
+      html += this.renderActions(row);
+    }
+
+    return `${html}</div>`;
+  }
+
+  /**
+   * Render the inline editor input
+   */
+  renderEditor() {
+    return `<input type="text" class="tree-edit" value="${escapeHtml(this.editing.draft)}" spellcheck="false" />`;
+  }
+
+  /**
+   * Render the edit buttons of the selected row
+   */
+  renderActions(row) {
+    const actions = [];
+    const isContainer = row.value !== null && typeof row.value === 'object';
+    const inArray = row.parent && Array.isArray(row.parent.value);
+
+    if (childCount(row.value) === 0) actions.push(['edit', 'Edit', 'Edit value (Enter)']);
+    if (row.parent && !inArray) actions.push(['rename', 'Rename', 'Rename key (F2)']);
+    if (isContainer) actions.push(['append', '+ Child', 'Add a child at the end']);
+    if (isContainer) actions.push(['stringify', 'Stringify', 'Replace with its JSON text as an escaped string']);
+    if (row.parent) actions.push(['insert', '+ Sibling', 'Add a sibling below']);
+    if (inArray && row.key > 0) actions.push(['up', '\u2191', 'Move up']);
+    if (inArray && row.key < row.parent.value.length - 1) actions.push(['down', '\u2193', 'Move down']);
+    if (row.parent) actions.push(['delete', 'Delete', 'Delete (Del)']);
+
+    return `<span class="tree-actions">${actions.map(([action, label, title]) => (
+      `<button class="tree-action" data-action="${action}" title="${title}">${label}</button>`
+    )).join('')}</span>`;
+  }
+
+  /**
+   * Render a primitive (or empty container) value
+   */
+  renderValue(row) {
+    const value = row.value;
+
+    if (Array.isArray(value)) return '<span class="bracket">[]</span>';
+    if (value === null) return `<span class="null">${this.highlight('null')}</span>`;
+    if (typeof value === 'object') return '<span class="bracket">{}</span>';
+    if (typeof value === 'boolean') return `<span class="boolean">${this.highlight(value)}</span>`;
+
+    if (typeof value === 'number') {
+      const raw = this.rawNumbers.size ? this.rawNumbers.get(this.pathOf(row)) : undefined;
+      if (raw !== undefined) {
+        return `<span class="number imprecise" title="Loses precision in JavaScript: reads as ${value}">${raw}</span>`;
+      }
+      return `<span class="number">${this.highlight(value)}</span>`;
+    }
+
+    if (value.length > MAX_STRING_PREVIEW) {
+      return `<span class="string" title="${escapeHtml(value.slice(0, 5000))}">"${this.highlight(value.slice(0, MAX_STRING_PREVIEW))}..."</span>`;
+    }
+    return `<span class="string">"${this.highlight(value)}"</span>`;
+  }
+
+  /**
+   * Render the "Expand JSON" button of a string holding JSON (checked once per row)
+   */
+  renderEmbedded(row) {
+    if (typeof row.value !== 'string') return '';
+    if (row.embedded === undefined) {
+      row.embedded = isEmbeddedJson(row.value);
+    }
+    return row.embedded
+      ? '<button class="tree-action tree-embedded" data-action="unescape" title="Parse this string into nested JSON">Expand JSON</button>'
+      : '';
+  }
+
+  /**
+   * Escape text for HTML, wrapping occurrences of the search query in <mark>
+   */
+  highlight(text) {
+    const str = String(text);
+    if (!this.query) return escapeHtml(str);
+
+    const lower = str.toLowerCase();
+    const query = this.query.toLowerCase();
+    let html = '';
+    let pos = 0;
+
+    for (let i = lower.indexOf(query); i !== -1; i = lower.indexOf(query, pos)) {
+      html += `${escapeHtml(str.slice(pos, i))}<mark class="tree-match">${escapeHtml(str.slice(i, i + query.length))}</mark>`;
+      pos = i + query.length;
+    }
+    return html + escapeHtml(str.slice(pos));
+  }
+
+  /**
+   * Render the marker (if any) for the node at a JSON Pointer
+   */
+  renderMarker(path) {
+    const marker = this.markers.get(path);
+    if (!marker) return '';
+    const flash = path === this.flashPath ? ' flash' : '';
+    return `<span class="tree-marker ${marker.className}${flash}" data-path="${escapeHtml(path)}" title="${escapeHtml(marker.title)}"></span>`;
+  }
+
+  /**
+   * Detach listeners
+   */
+  destroy() {
+    this.element.removeEventListener('click', this.onClick);
+    this.element.removeEventListener('dblclick', this.onDoubleClick);
+    this.element.removeEventListener('keydown', this.onKeyDown);
+    this.element.removeEventListener('input', this.onEditorInput);
+    this.element.removeEventListener('focusout', this.onFocusOut);
+    if (this.viewport) {
+      this.viewport.removeEventListener('scroll', this.onScroll);
+    }
+  }
+}
+
+export default JsonTreeView;
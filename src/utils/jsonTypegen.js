@@ -0,0 +1,377 @@
+/**
+ * DevToyNative - Type Generator
+ * Infers a shape from sample JSON (merging array elements into optional,
+ * union and nullable fields) and writes it as TypeScript, Zod, Go or JSON Schema
+ */
+
+// Initialisms kept upper-case in Go field names
+const GO_INITIALISMS = new Set([
+  'ACL', 'API', 'ASCII', 'CPU', 'CSS', 'DNS', 'EOF', 'GUID', 'HTML', 'HTTP', 'HTTPS', 'ID', 'IP',
+  'JSON', 'JWT', 'OS', 'RAM', 'SQL', 'SSH', 'TCP', 'TLS', 'TTL', 'UDP', 'UI', 'UID', 'URI', 'URL',
+  'UTF8', 'UUID', 'VM', 'XML'
+]);
+
+/**
+ * Empty shape: which kinds of value were seen at a position
+ */
+function createShape() {
+  return {
+    null: false,
+    boolean: false,
+    integer: false,
+    number: false,
+    string: false,
+    // Shape of all elements of all arrays seen here
+    array: null,
+    // { count: objects seen, fields: Map<key, {shape, count}> }
+    object: null
+  };
+}
+
+/**
+ * Merge one sample value into a shape
+ */
+function addSample(shape, value) {
+  if (value === null) {
+    shape.null = true;
+  } else if (Array.isArray(value)) {
+    shape.array = shape.array || createShape();
+    value.forEach(item => addSample(shape.array, item));
+  } else if (typeof value === 'object') {
+    const object = shape.object || (shape.object = { count: 0, fields: new Map() });
+    object.count++;
+    Object.keys(value).forEach(key => {
+      let field = object.fields.get(key);
+      if (!field) {
+        field = { shape: createShape(), count: 0 };
+        object.fields.set(key, field);
+      }
+      field.count++;
+      addSample(field.shape, value[key]);
+    });
+  } else if (typeof value === 'number') {
+    shape[Number.isInteger(value) ? 'integer' : 'number'] = true;
+  } else {
+    shape[typeof value] = true;
+  }
+  return shape;
+}
+
+/**
+ * Infer the shape of a JSON value
+ * @param {*} value - Sample document
+ * @returns {Object} - Shape tree
+ */
+export function inferShape(value) {
+  return addSample(createShape(), value);
+}
+
+/**
+ * Kinds present in a shape, excluding null ("integer" only if no
+ * fractional number was seen)
+ */
+function kindsOf(shape) {
+  const kinds = [];
+  if (shape.object) kinds.push('object');
+  if (shape.array) kinds.push('array');
+  if (shape.string) kinds.push('string');
+  if (shape.number) {
+    kinds.push('number');
+  } else if (shape.integer) {
+    kinds.push('integer');
+  }
+  if (shape.boolean) kinds.push('boolean');
+  return kinds;
+}
+
+/**
+ * Whether the shape is always a (non-null) object
+ */
+function isPlainObjectShape(shape) {
+  return Boolean(shape.object) && kindsOf(shape).length === 1 && !shape.null;
+}
+
+function isOptional(field, object) {
+  return field.count < object.count;
+}
+
+/**
+ * Structural signature, so identical object shapes share one type
+ */
+function signature(shape) {
+  const parts = kindsOf(shape).map(kind => {
+    if (kind === 'object') {
+      const fields = [...shape.object.fields].map(([key, field]) =>
+        `${JSON.stringify(key)}${isOptional(field, shape.object) ? '?' : ''}:${signature(field.shape)}`);
+      return `{${fields.join(',')}}`;
+    }
+    if (kind === 'array') return `[${signature(shape.array)}]`;
+    return kind;
+  });
+  if (shape.null) parts.push('null');
+  return parts.join('|');
+}
+
+/**
+ * "user_profile" / "user-profile" / "userProfile" -> ["user", "profile"]
+ */
+function words(str) {
+  return String(str)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean);
+}
+
+function pascalCase(str) {
+  return words(str).map(w => w[0].toUpperCase() + w.slice(1)).join('');
+}
+
+function singularize(name) {
+  if (/ies$/.test(name)) return name.replace(/ies$/, 'y');
+  if (/(ss|us|is)$/.test(name)) return name;
+  if (/(sh|ch|x|ss)es$/.test(name)) return name.replace(/es$/, '');
+  if (/s$/.test(name)) return name.replace(/s$/, '');
+  return name;
+}
+
+/**
+ * Name every object shape, depth-first. Declarations are listed children
+ * first, so each one only refers to types declared before it.
+ */
+function collectTypes(shape, rootName) {
+  const names = new Map();
+  const bySignature = new Map();
+  const used = new Set();
+  const declarations = [];
+
+  const typeName = (hint) => {
+    let base = pascalCase(hint) || 'Item';
+    if (/^[0-9]/.test(base)) base = `T${base}`;
+    let name = base;
+    for (let i = 2; used.has(name); i++) name = `${base}${i}`;
+    used.add(name);
+    return name;
+  };
+
+  const visit = (node, hint) => {
+    if (node.array) {
+      const singular = singularize(pascalCase(hint) || 'Item');
+      visit(node.array, singular === pascalCase(hint) ? `${singular}Item` : singular);
+    }
+    if (!node.object) return;
+
+    const sig = signature({ ...createShape(), object: node.object });
+    if (bySignature.has(sig)) {
+      names.set(node.object, bySignature.get(sig));
+      return;
+    }
+
+    const name = typeName(hint);
+    names.set(node.object, name);
+    bySignature.set(sig, name);
+    node.object.fields.forEach((field, key) => visit(field.shape, key));
+    declarations.push({ name, object: node.object });
+  };
+
+  // A non-object root gets a type alias under the root name
+  if (!isPlainObjectShape(shape)) used.add(rootName);
+
+  visit(shape, rootName);
+  return { names, declarations };
+}
+
+/**
+ * Valid type name for the root, from user input
+ */
+function rootTypeName(rootName) {
+  const name = pascalCase(rootName) || 'Root';
+  return /^[0-9]/.test(name) ? `T${name}` : name;
+}
+
+/**
+ * TypeScript interfaces
+ */
+function generateTypeScript(shape, rootName) {
+  const root = rootTypeName(rootName);
+  const { names, declarations } = collectTypes(shape, root);
+
+  const typeOf = (node) => {
+    const parts = kindsOf(node).map(kind => {
+      if (kind === 'object') return names.get(node.object);
+      if (kind === 'array') {
+        const item = typeOf(node.array);
+        return item.includes(' | ') ? `(${item})[]` : `${item}[]`;
+      }
+      return kind === 'integer' ? 'number' : kind;
+    });
+    if (node.null) parts.push('null');
+    return parts.length ? parts.join(' | ') : 'unknown';
+  };
+
+  const blocks = [...declarations].reverse().map(({ name, object }) => {
+    const fields = [...object.fields].map(([key, field]) => {
+      const prop = /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+      return `  ${prop}${isOptional(field, object) ? '?' : ''}: ${typeOf(field.shape)};`;
+    });
+    return `export interface ${name} {\n${fields.join('\n')}${fields.length ? '\n' : ''}}`;
+  });
+
+  if (!isPlainObjectShape(shape)) {
+    blocks.unshift(`export type ${root} = ${typeOf(shape)};`);
+  }
+
+  return `${blocks.join('\n\n')}\n`;
+}
+
+/**
+ * Zod schemas (with inferred types)
+ */
+function generateZod(shape, rootName) {
+  const root = rootTypeName(rootName);
+  const { names, declarations } = collectTypes(shape, root);
+
+  const schemaOf = (node) => {
+    const parts = kindsOf(node).map(kind => {
+      if (kind === 'object') return `${names.get(node.object)}Schema`;
+      if (kind === 'array') return `z.array(${schemaOf(node.array)})`;
+      if (kind === 'integer') return 'z.number().int()';
+      return `z.${kind}()`;
+    });
+
+    if (!parts.length) return node.null ? 'z.null()' : 'z.unknown()';
+    const schema = parts.length === 1 ? parts[0] : `z.union([${parts.join(', ')}])`;
+    return node.null ? `${schema}.nullable()` : schema;
+  };
+
+  const blocks = declarations.map(({ name, object }) => {
+    const fields = [...object.fields].map(([key, field]) => {
+      const prop = /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+      return `  ${prop}: ${schemaOf(field.shape)}${isOptional(field, object) ? '.optional()' : ''},`;
+    });
+    return `export const ${name}Schema = z.object({\n${fields.join('\n')}${fields.length ? '\n' : ''}});\nexport type ${name} = z.infer<typeof ${name}Schema>;`;
+  });
+
+  if (!isPlainObjectShape(shape)) {
+    blocks.push(`export const ${root}Schema = ${schemaOf(shape)};\nexport type ${root} = z.infer<typeof ${root}Schema>;`);
+  }
+
+  return `import { z } from 'zod';\n\n${blocks.join('\n\n')}\n`;
+}
+
+/**
+ * Go field name with common initialisms, e.g. "user_id" -> "UserID"
+ */
+function goFieldName(key) {
+  const name = words(key).map(w => {
+    const upper = w.toUpperCase();
+    return GO_INITIALISMS.has(upper) ? upper : w[0].toUpperCase() + w.slice(1);
+  }).join('');
+  if (!name) return 'Field';
+  return /^[0-9]/.test(name) ? `Field${name}` : name;
+}
+
+/**
+ * Go structs with json tags
+ */
+function generateGo(shape, rootName) {
+  const root = rootTypeName(rootName);
+  const { names, declarations } = collectTypes(shape, root);
+
+  // Mixed kinds have no Go equivalent besides any
+  const typeOf = (node, optional = false) => {
+    const kinds = kindsOf(node);
+    if (kinds.length !== 1) return 'any';
+
+    const kind = kinds[0];
+    if (kind === 'array') return `[]${typeOf(node.array)}`;
+
+    const base = { object: names.get(node.object), string: 'string', integer: 'int64', number: 'float64', boolean: 'bool' }[kind];
+    return node.null || optional ? `*${base}` : base;
+  };
+
+  const blocks = [...declarations].reverse().map(({ name, object }) => {
+    const taken = new Set();
+    const rows = [...object.fields].map(([key, field]) => {
+      let fieldName = goFieldName(key);
+      const base = fieldName;
+      for (let i = 2; taken.has(fieldName); i++) fieldName = `${base}${i}`;
+      taken.add(fieldName);
+
+      const optional = isOptional(field, object);
+      const tag = `\`json:"${key.replace(/["`\\]/g, '')}${optional ? ',omitempty' : ''}"\``;
+      return [fieldName, typeOf(field.shape, optional), tag];
+    });
+
+    // Align columns like gofmt
+    const nameWidth = Math.max(0, ...rows.map(row => row[0].length));
+    const typeWidth = Math.max(0, ...rows.map(row => row[1].length));
+    const lines = rows.map(([fieldName, type, tag]) =>
+      `\t${fieldName.padEnd(nameWidth)} ${type.padEnd(typeWidth)} ${tag}`);
+
+    return `type ${name} struct {\n${lines.join('\n')}${lines.length ? '\n' : ''}}`;
+  });
+
+  if (!isPlainObjectShape(shape)) {
+    blocks.unshift(`type ${root} ${typeOf(shape)}`);
+  }
+
+  return `${blocks.join('\n\n')}\n`;
+}
+
+/**
+ * JSON Schema (draft 2020-12)
+ */
+function generateJsonSchema(shape, rootName) {
+  const schemaOf = (node) => {
+    const types = kindsOf(node);
+    if (node.null) types.push('null');
+    if (!types.length) return {};
+
+    const schema = { type: types.length === 1 ? types[0] : types };
+
+    if (node.object) {
+      const { fields, count } = node.object;
+      schema.properties = {};
+      fields.forEach((field, key) => {
+        schema.properties[key] = schemaOf(field.shape);
+      });
+      const required = [...fields].filter(([, field]) => field.count === count).map(([key]) => key);
+      if (required.length) schema.required = required;
+    }
+
+    if (node.array && kindsOf(node.array).length + (node.array.null ? 1 : 0) > 0) {
+      schema.items = schemaOf(node.array);
+    }
+
+    return schema;
+  };
+
+  const schema = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: rootTypeName(rootName),
+    ...schemaOf(shape)
+  };
+
+  return `${JSON.stringify(schema, null, 2)}\n`;
+}
+
+// Output targets of the Generate panel
+export const GENERATORS = {
+  typescript: { label: 'TypeScript', generate: generateTypeScript },
+  zod: { label: 'Zod', generate: generateZod },
+  go: { label: 'Go', generate: generateGo },
+  jsonSchema: { label: 'JSON Schema', generate: generateJsonSchema }
+};
+
+/**
+ * Generate type definitions from a sample document
+ * @param {*} value - Sample JSON value
+ * @param {string} target - A GENERATORS key
+ * @param {string} rootName - Name of the top-level type
+ * @returns {string} - Source code
+ */
+export function generateTypes(value, target, rootName = 'Root') {
+  return GENERATORS[target].generate(inferShape(value), rootName);
+}
+
+export default { inferShape, generateTypes, GENERATORS };
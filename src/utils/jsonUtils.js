@@ -0,0 +1,109 @@
+/**
+ * DevToyNative - JSON Value Helpers
+ * Shared type checks, comparison and JSON Pointer utilities
+ */
+
+/**
+ * Get the JSON type name of a value
+ * @param {*} value - Any JSON value
+ * @returns {string} - null, boolean, number, string, array or object
+ */
+export function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Deep equality for JSON values (key order independent)
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} - True if both values are structurally equal
+ */
+export function deepEqual(a, b) {
+  if (a === b) return true;
+  const type = typeOf(a);
+  if (type !== typeOf(b)) return false;
+
+  if (type === 'array') {
+    return a.length === b.length && a.every((item, i) => deepEqual(item, b[i]));
+  }
+
+  if (type === 'object') {
+    const keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) return false;
+    return keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+  }
+
+  return false;
+}
+
+/**
+ * Append a key or index to a JSON Pointer (RFC 6901)
+ * @param {string} pointer - Parent pointer ('' for the root)
+ * @param {string|number} key - Object key or array index
+ * @returns {string} - Child pointer
+ */
+export function joinPointer(pointer, key) {
+  return `${pointer}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+/**
+ * Split a JSON Pointer into its unescaped tokens
+ * @param {string} pointer - JSON Pointer, e.g. /items/0/id
+ * @returns {string[]} - Reference tokens
+ */
+export function splitPointer(pointer) {
+  if (!pointer) return [];
+  return pointer
+    .slice(1)
+    .split('/')
+    .map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Get the value at a JSON Pointer
+ * @param {*} value - Document
+ * @param {string} pointer - JSON Pointer ('' for the document itself)
+ * @returns {*} - The value, or undefined if the pointer does not resolve
+ */
+export function getAtPointer(value, pointer) {
+  let current = value;
+  for (const token of splitPointer(pointer)) {
+    if (current === null || typeof current !== 'object' || !Object.prototype.hasOwnProperty.call(current, token)) {
+      return undefined;
+    }
+    current = current[token];
+  }
+  return current;
+}
+
+/**
+ * One step of a JavaScript accessor path: [3], .key or ["odd key"]
+ * @param {string|number} key - Object key or array index
+ * @param {boolean} isIndex - Whether the key is an array index
+ * @returns {string}
+ */
+export function accessorSegment(key, isIndex) {
+  if (isIndex) return `[${key}]`;
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `.${key}` : `[${JSON.stringify(key)}]`;
+}
+
+/**
+ * JavaScript accessor path of a JSON Pointer, e.g. data.users[3].email
+ * @param {*} value - Document (to tell array indexes from keys)
+ * @param {string} pointer - JSON Pointer
+ * @param {string} rootName - Name of the document root
+ * @returns {string}
+ */
+export function pointerToAccessor(value, pointer, rootName = 'data') {
+  let current = value;
+  let path = rootName;
+  for (const token of splitPointer(pointer)) {
+    path += accessorSegment(token, Array.isArray(current));
+    current = current !== null && typeof current === 'object' ? current[token] : undefined;
+  }
+  return path;
+}
+
+export default { typeOf, deepEqual, joinPointer, splitPointer, getAtPointer, accessorSegment, pointerToAccessor };
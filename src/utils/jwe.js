@@ -0,0 +1,376 @@
+/**
+ * DevToyNative - JWE Decryption
+ * Encrypted JWTs in compact serialization: protected header inspection and
+ * decryption with WebCrypto (dir, AES key wrap, AES-GCM key wrap, RSA-OAEP and
+ * ECDH-ES key management; AES-GCM and AES-CBC-HMAC content encryption)
+ */
+
+import { base64UrlToBytes, parsePrivateKey } from './jws.js';
+
+/**
+ * Content encryption algorithms ("enc", RFC 7518 section 5)
+ */
+export const JWE_ENCRYPTIONS = {
+  'A128CBC-HS256': { family: 'AES-CBC', keySize: 32, hash: 'SHA-256', label: 'AES-128-CBC with HMAC SHA-256' },
+  'A192CBC-HS384': { family: 'AES-CBC', keySize: 48, hash: 'SHA-384', label: 'AES-192-CBC with HMAC SHA-384' },
+  'A256CBC-HS512': { family: 'AES-CBC', keySize: 64, hash: 'SHA-512', label: 'AES-256-CBC with HMAC SHA-512' },
+  A128GCM: { family: 'AES-GCM', keySize: 16, label: 'AES-128-GCM' },
+  A192GCM: { family: 'AES-GCM', keySize: 24, label: 'AES-192-GCM' },
+  A256GCM: { family: 'AES-GCM', keySize: 32, label: 'AES-256-GCM' }
+};
+
+/**
+ * Key management algorithms ("alg", RFC 7518 section 4)
+ */
+export const JWE_ALGORITHMS = {
+  dir: { family: 'dir', label: 'Direct shared key' },
+  A128KW: { family: 'AES-KW', keySize: 16, label: 'AES-128 Key Wrap' },
+  A192KW: { family: 'AES-KW', keySize: 24, label: 'AES-192 Key Wrap' },
+  A256KW: { family: 'AES-KW', keySize: 32, label: 'AES-256 Key Wrap' },
+  A128GCMKW: { family: 'AES-GCM-KW', keySize: 16, label: 'AES-128-GCM Key Wrap' },
+  A192GCMKW: { family: 'AES-GCM-KW', keySize: 24, label: 'AES-192-GCM Key Wrap' },
+  A256GCMKW: { family: 'AES-GCM-KW', keySize: 32, label: 'AES-256-GCM Key Wrap' },
+  'RSA-OAEP': { family: 'RSA-OAEP', hash: 'SHA-1', label: 'RSA-OAEP (SHA-1)' },
+  'RSA-OAEP-256': { family: 'RSA-OAEP', hash: 'SHA-256', label: 'RSA-OAEP SHA-256' },
+  'RSA-OAEP-384': { family: 'RSA-OAEP', hash: 'SHA-384', label: 'RSA-OAEP SHA-384' },
+  'RSA-OAEP-512': { family: 'RSA-OAEP', hash: 'SHA-512', label: 'RSA-OAEP SHA-512' },
+  'ECDH-ES': { family: 'ECDH-ES', label: 'ECDH-ES key agreement' },
+  'ECDH-ES+A128KW': { family: 'ECDH-ES', keySize: 16, label: 'ECDH-ES with AES-128 Key Wrap' },
+  'ECDH-ES+A192KW': { family: 'ECDH-ES', keySize: 24, label: 'ECDH-ES with AES-192 Key Wrap' },
+  'ECDH-ES+A256KW': { family: 'ECDH-ES', keySize: 32, label: 'ECDH-ES with AES-256 Key Wrap' }
+};
+
+// Shared secret sizes of the ECDH curves, in bits
+const CURVE_BITS = { 'P-256': 256, 'P-384': 384, 'P-521': 528, X25519: 256 };
+
+/**
+ * Error for a key that does not fit the token's algorithm
+ */
+function mismatchError(message) {
+  const error = new Error(message);
+  error.mismatch = true;
+  return error;
+}
+
+/**
+ * "an RSA key", "a shared secret", ... for messages
+ */
+function describeKeyType(key) {
+  return key.type === 'oct' ? 'a shared secret' : `an ${key.type} key`;
+}
+
+/**
+ * Concatenate byte arrays
+ */
+function concatBytes(...arrays) {
+  const out = new Uint8Array(arrays.reduce((sum, array) => sum + array.length, 0));
+  let offset = 0;
+  arrays.forEach(array => {
+    out.set(array, offset);
+    offset += array.length;
+  });
+  return out;
+}
+
+/**
+ * 32-bit big-endian integer
+ */
+function uint32(value) {
+  return Uint8Array.from([value >>> 24, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff]);
+}
+
+/**
+ * Split a compact JWE into its parts
+ * @param {string} token - header.encryptedKey.iv.ciphertext.tag
+ * @returns {{header: Object, encryptedKey: Uint8Array, iv: Uint8Array, ciphertext: Uint8Array,
+ *   tag: Uint8Array, protectedHeader: string}}
+ * @throws {Error} - If the token is not a compact JWE
+ */
+export function parseJwe(token) {
+  const parts = token.trim().split('.');
+  if (parts.length !== 5) {
+    throw new Error('Invalid JWE format: Expected 5 parts separated by dots');
+  }
+
+  let header;
+  try {
+    header = JSON.parse(new TextDecoder().decode(base64UrlToBytes(parts[0])));
+  } catch {
+    throw new Error('The JWE protected header is not valid base64url JSON');
+  }
+  if (header === null || typeof header !== 'object' || Array.isArray(header)) {
+    throw new Error('The JWE protected header is not a JSON object');
+  }
+
+  let encryptedKey;
+  let iv;
+  let ciphertext;
+  let tag;
+  try {
+    [encryptedKey, iv, ciphertext, tag] = parts.slice(1).map(part => base64UrlToBytes(part));
+  } catch {
+    throw new Error('The JWE parts are not valid base64url');
+  }
+
+  return { header, encryptedKey, iv, ciphertext, tag, protectedHeader: parts[0] };
+}
+
+/**
+ * Read a shared key of an exact size: a JWK with "k", or text, hex or base64
+ * whose decoded length fits
+ */
+function sharedKey(text, size, alg) {
+  const key = parsePrivateKey(text, true);
+  if (key.type !== 'oct') {
+    throw mismatchError(`${alg} needs a shared ${size * 8}-bit key, but the key is ${describeKeyType(key)}.`);
+  }
+  if (key.raw.length === size) return key;
+
+  // Keys are often passed around as hex or base64
+  const trimmed = text.trim();
+  if (key.source === 'secret' && trimmed.length === size * 2 && /^[0-9a-fA-F]+$/.test(trimmed)) {
+    return { ...key, source: 'hex', raw: Uint8Array.from(trimmed.match(/../g), byte => parseInt(byte, 16)) };
+  }
+  if (key.source === 'secret' && /^[A-Za-z0-9+/_-]+=*$/.test(trimmed) && trimmed.length % 4 !== 1) {
+    const raw = base64UrlToBytes(trimmed);
+    if (raw.length === size) return { ...key, source: 'base64', raw };
+  }
+
+  throw mismatchError(`${alg} needs a ${size * 8}-bit key, but the key is ${key.raw.length * 8}-bit. Paste it as text, hex, base64 or a JWK with "k".`);
+}
+
+/**
+ * Import a parsed private key (PKCS#8 or JWK)
+ */
+async function importPrivateKey(key, algorithm, usages, label) {
+  try {
+    if (key.pkcs8) {
+      return await crypto.subtle.importKey('pkcs8', key.pkcs8, algorithm, false, usages);
+    }
+    const jwk = { ...key.jwk, ext: true };
+    ['alg', 'use', 'key_ops'].forEach(member => delete jwk[member]);
+    return await crypto.subtle.importKey('jwk', jwk, algorithm, false, usages);
+  } catch (error) {
+    throw new Error(`The key could not be imported for ${label}: ${error.message}`);
+  }
+}
+
+/**
+ * Unwrap a content encryption key with AES Key Wrap (RFC 3394)
+ */
+async function unwrapAesKw(kekBytes, wrapped) {
+  const kek = await crypto.subtle.importKey('raw', kekBytes, 'AES-KW', false, ['unwrapKey']);
+  try {
+    // Unwrapped as an HMAC key, which takes any length, only to read its bytes
+    const cek = await crypto.subtle.unwrapKey('raw', wrapped, kek, 'AES-KW', { name: 'HMAC', hash: 'SHA-256' }, true, ['sign']);
+    return new Uint8Array(await crypto.subtle.exportKey('raw', cek));
+  } catch {
+    throw new Error('The content encryption key could not be unwrapped: wrong key');
+  }
+}
+
+/**
+ * Concat KDF (NIST SP 800-56A) with SHA-256, as used by ECDH-ES (RFC 7518 section 4.6.2)
+ */
+async function concatKdf(secret, algorithmId, keyBits, apu, apv) {
+  const lengthPrefixed = bytes => concatBytes(uint32(bytes.length), bytes);
+  const otherInfo = concatBytes(
+    lengthPrefixed(new TextEncoder().encode(algorithmId)),
+    lengthPrefixed(apu),
+    lengthPrefixed(apv),
+    uint32(keyBits)
+  );
+
+  const rounds = [];
+  for (let counter = 1; rounds.length * 32 < keyBits / 8; counter++) {
+    rounds.push(new Uint8Array(await crypto.subtle.digest('SHA-256', concatBytes(uint32(counter), secret, otherInfo))));
+  }
+  return concatBytes(...rounds).slice(0, keyBits / 8);
+}
+
+/**
+ * Derive the ECDH-ES key: the content encryption key itself, or the key that wraps it
+ */
+async function agreeKey(header, key, algorithmId, keyBits) {
+  const { epk } = header;
+  if (epk === null || typeof epk !== 'object') {
+    throw new Error('The JWE header has no "epk" (ephemeral public key)');
+  }
+  if (!CURVE_BITS[epk.crv]) {
+    throw new Error(`Unsupported ECDH curve: ${epk.crv}`);
+  }
+  if (key.type !== epk.kty || key.curve !== epk.crv) {
+    throw mismatchError(`The token was encrypted for the ${epk.crv} curve, but the private key is ${`${key.type} ${key.curve || ''}`.trim()}.`);
+  }
+
+  const algorithm = epk.kty === 'EC' ? { name: 'ECDH', namedCurve: epk.crv } : { name: epk.crv };
+  let publicKey;
+  try {
+    const { kty, crv, x, y } = epk;
+    publicKey = await crypto.subtle.importKey('jwk', kty === 'EC' ? { kty, crv, x, y } : { kty, crv, x }, algorithm, false, []);
+  } catch (error) {
+    throw new Error(`The ephemeral public key ("epk") is invalid: ${error.message}`);
+  }
+  const privateKey = await importPrivateKey(key, algorithm, ['deriveBits'], `ECDH on ${epk.crv}`);
+  const secret = new Uint8Array(await crypto.subtle.deriveBits({ name: algorithm.name, public: publicKey }, privateKey, CURVE_BITS[epk.crv]));
+
+  const apu = header.apu ? base64UrlToBytes(header.apu) : new Uint8Array(0);
+  const apv = header.apv ? base64UrlToBytes(header.apv) : new Uint8Array(0);
+  return concatKdf(secret, algorithmId, keyBits, apu, apv);
+}
+
+/**
+ * Recover the content encryption key with the key management algorithm
+ * @returns {Promise<{cek: Uint8Array, key: Object}>} - Key bytes and the parsed key used
+ */
+async function recoverCek(jwe, keyText) {
+  const { header, encryptedKey } = jwe;
+  const { alg, enc } = header;
+  const management = JWE_ALGORITHMS[alg];
+  const encryption = JWE_ENCRYPTIONS[enc];
+
+  if (management.family === 'dir') {
+    if (encryptedKey.length) {
+      throw new Error('A "dir" JWE has an empty encrypted key part, but this one is not empty');
+    }
+    const key = sharedKey(keyText, encryption.keySize, `dir with ${enc}`);
+    return { cek: key.raw, key };
+  }
+
+  if (management.family === 'AES-KW') {
+    const key = sharedKey(keyText, management.keySize, alg);
+    return { cek: await unwrapAesKw(key.raw, encryptedKey), key };
+  }
+
+  if (management.family === 'AES-GCM-KW') {
+    const key = sharedKey(keyText, management.keySize, alg);
+    if (typeof header.iv !== 'string' || typeof header.tag !== 'string') {
+      throw new Error(`An ${alg} JWE header has "iv" and "tag" members for the wrapped key`);
+    }
+    const kek = await crypto.subtle.importKey('raw', key.raw, 'AES-GCM', false, ['decrypt']);
+    try {
+      const wrapped = concatBytes(encryptedKey, base64UrlToBytes(header.tag));
+      const cek = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64UrlToBytes(header.iv) }, kek, wrapped);
+      return { cek: new Uint8Array(cek), key };
+    } catch {
+      throw new Error('The content encryption key could not be unwrapped: wrong key');
+    }
+  }
+
+  const key = parsePrivateKey(keyText);
+
+  if (management.family === 'RSA-OAEP') {
+    if (key.type !== 'RSA') {
+      throw mismatchError(`${alg} needs an RSA private key, but the key is ${describeKeyType(key)}.`);
+    }
+    const privateKey = await importPrivateKey(key, { name: 'RSA-OAEP', hash: management.hash }, ['decrypt'], management.label);
+    try {
+      const cek = await crypto.subtle.decrypt({ name: 'RSA-OAEP' }, privateKey, encryptedKey);
+      return { cek: new Uint8Array(cek), key };
+    } catch {
+      throw new Error('The content encryption key could not be decrypted: wrong private key');
+    }
+  }
+
+  // ECDH-ES: the agreed key is the content key itself, or wraps it
+  if (key.type !== 'EC' && key.type !== 'OKP') {
+    throw mismatchError(`${alg} needs an EC or X25519 private key, but the key is ${describeKeyType(key)}.`);
+  }
+  if (!management.keySize) {
+    return { cek: await agreeKey(header, key, enc, encryption.keySize * 8), key };
+  }
+  const kek = await agreeKey(header, key, alg, management.keySize * 8);
+  return { cek: await unwrapAesKw(kek, encryptedKey), key };
+}
+
+/**
+ * Decrypt and authenticate the ciphertext with the content encryption key
+ */
+async function decryptContent(jwe, encryption, cek) {
+  const { iv, ciphertext, tag } = jwe;
+  const aad = new TextEncoder().encode(jwe.protectedHeader);
+  const tampered = 'Decryption failed: the authentication tag does not match (wrong key, or the token was altered)';
+
+  if (encryption.family === 'AES-GCM') {
+    const key = await crypto.subtle.importKey('raw', cek, 'AES-GCM', false, ['decrypt']);
+    try {
+      const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv, additionalData: aad }, key, concatBytes(ciphertext, tag));
+      return new Uint8Array(plaintext);
+    } catch {
+      throw new Error(tampered);
+    }
+  }
+
+  // AES-CBC-HMAC (RFC 7518 section 5.2): MAC key first, encryption key second
+  const half = cek.length / 2;
+  const macKey = await crypto.subtle.importKey('raw', cek.slice(0, half), { name: 'HMAC', hash: encryption.hash }, false, ['sign']);
+  const aadBits = aad.length * 8;
+  const aadLength = concatBytes(uint32(Math.floor(aadBits / 2 ** 32)), uint32(aadBits >>> 0));
+  const mac = new Uint8Array(await crypto.subtle.sign('HMAC', macKey, concatBytes(aad, iv, ciphertext, aadLength)));
+
+  const expected = mac.slice(0, half);
+  let difference = expected.length ^ tag.length;
+  expected.forEach((byte, i) => {
+    difference |= byte ^ (tag[i] ?? 0);
+  });
+  if (difference) {
+    throw new Error(tampered);
+  }
+
+  const key = await crypto.subtle.importKey('raw', cek.slice(half), 'AES-CBC', false, ['decrypt']);
+  try {
+    return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-CBC', iv }, key, ciphertext));
+  } catch {
+    throw new Error('Decryption failed: invalid padding');
+  }
+}
+
+/**
+ * Inflate a "zip": "DEF" payload (raw DEFLATE)
+ */
+async function inflate(bytes) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot decompress "zip": "DEF" payloads');
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Decrypt a JWE in compact serialization
+ * @param {string} token - header.encryptedKey.iv.ciphertext.tag
+ * @param {string} keyText - Shared key (text, hex, base64 or JWK) for dir and AES key wrap;
+ *   private key (PEM or JWK) for RSA-OAEP and ECDH-ES
+ * @returns {Promise<{header: Object, alg: string, enc: string, key: Object, plaintext: string}>}
+ * @throws {Error} - If the token or key is unusable or decryption fails; `mismatch` is set
+ *   when the key does not fit the token's algorithm
+ */
+export async function decryptJwe(token, keyText) {
+  const jwe = parseJwe(token);
+  const { alg, enc, zip } = jwe.header;
+
+  if (!JWE_ALGORITHMS[alg]) {
+    throw new Error(alg ? `Unsupported key management algorithm: ${alg}` : 'The JWE header has no "alg"');
+  }
+  const encryption = JWE_ENCRYPTIONS[enc];
+  if (!encryption) {
+    throw new Error(enc ? `Unsupported content encryption: ${enc}` : 'The JWE header has no "enc"');
+  }
+  if (zip !== undefined && zip !== 'DEF') {
+    throw new Error(`Unsupported compression: ${zip}`);
+  }
+
+  const { cek, key } = await recoverCek(jwe, keyText);
+  if (cek.length !== encryption.keySize) {
+    throw new Error(`${enc} needs a ${encryption.keySize * 8}-bit content key, but the recovered key is ${cek.length * 8}-bit`);
+  }
+
+  let plaintext = await decryptContent(jwe, encryption, cek);
+  if (zip === 'DEF') {
+    plaintext = await inflate(plaintext);
+  }
+
+  return { header: jwe.header, alg, enc, key, plaintext: new TextDecoder().decode(plaintext) };
+}
+
+export default { JWE_ALGORITHMS, JWE_ENCRYPTIONS, parseJwe, decryptJwe };
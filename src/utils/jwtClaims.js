@@ -0,0 +1,240 @@
+/**
+ * DevToyNative - JWT Claim Dictionary
+ * Labels, explanations and display formats for registered JWT claims,
+ * common identity provider claims and user-defined custom claims
+ */
+
+import { formatSeconds } from './jwtLint.js';
+
+// How a claim value is shown
+export const CLAIM_FORMATS = ['text', 'time', 'list', 'scopes', 'boolean', 'json'];
+
+/**
+ * Built-in claims: IANA "JSON Web Token Claims" registry entries and
+ * well-known provider claims
+ */
+export const KNOWN_CLAIMS = {
+  // RFC 7519 registered claims
+  iss: { label: 'Issuer', description: 'Who created and signed the token', format: 'text' },
+  sub: { label: 'Subject', description: 'The user or entity the token is about', format: 'text' },
+  aud: { label: 'Audience', description: 'Recipients the token is intended for; others must reject it', format: 'list' },
+  exp: { label: 'Expires', description: 'The token must not be accepted after this time', format: 'time' },
+  nbf: { label: 'Not Before', description: 'The token must not be accepted before this time', format: 'time' },
+  iat: { label: 'Issued At', description: 'When the token was issued', format: 'time' },
+  jti: { label: 'JWT ID', description: 'Unique token identifier, used to detect replays and revoke tokens', format: 'text' },
+
+  // OpenID Connect Core
+  auth_time: { label: 'Authenticated At', description: 'When the user last actively authenticated', format: 'time', provider: 'OIDC' },
+  nonce: { label: 'Nonce', description: 'Value from the authentication request, echoed back to stop replayed ID tokens', format: 'text', provider: 'OIDC' },
+  acr: { label: 'Auth Context Class', description: 'Level of assurance of the authentication (e.g. "0", "1", or a URN)', format: 'text', provider: 'OIDC' },
+  amr: { label: 'Auth Methods', description: 'How the user authenticated (RFC 8176 values)', format: 'amr', provider: 'OIDC' },
+  azp: { label: 'Authorized Party', description: 'Client the ID token was issued to, when it differs from the audience', format: 'text', provider: 'OIDC' },
+  at_hash: { label: 'Access Token Hash', description: 'Left half of the hash of the access token issued alongside, binding the two', format: 'text', provider: 'OIDC' },
+  c_hash: { label: 'Code Hash', description: 'Left half of the hash of the authorization code issued alongside', format: 'text', provider: 'OIDC' },
+  s_hash: { label: 'State Hash', description: 'Left half of the hash of the state parameter (FAPI)', format: 'text', provider: 'OIDC' },
+  sid: { label: 'Session ID', description: 'Identifies the login session, used for logout', format: 'text', provider: 'OIDC' },
+  sub_jwk: { label: 'Subject Public Key', description: 'Public key of a self-issued ID token', format: 'json', provider: 'OIDC' },
+  name: { label: 'Name', description: 'Full display name', format: 'text', provider: 'OIDC' },
+  given_name: { label: 'Given Name', description: 'First name', format: 'text', provider: 'OIDC' },
+  family_name: { label: 'Family Name', description: 'Surname or last name', format: 'text', provider: 'OIDC' },
+  middle_name: { label: 'Middle Name', description: 'Middle name', format: 'text', provider: 'OIDC' },
+  nickname: { label: 'Nickname', description: 'Casual name', format: 'text', provider: 'OIDC' },
+  preferred_username: { label: 'Username', description: 'Shorthand name the user prefers; not guaranteed unique', format: 'text', provider: 'OIDC' },
+  profile: { label: 'Profile URL', description: 'Profile page of the user', format: 'text', provider: 'OIDC' },
+  picture: { label: 'Picture URL', description: 'Profile picture of the user', format: 'text', provider: 'OIDC' },
+  website: { label: 'Website', description: 'Web page or blog of the user', format: 'text', provider: 'OIDC' },
+  email: { label: 'Email', description: 'Preferred email address; check email_verified before trusting it', format: 'text', provider: 'OIDC' },
+  email_verified: { label: 'Email Verified', description: 'Whether the provider verified the email address', format: 'boolean', provider: 'OIDC' },
+  gender: { label: 'Gender', description: 'Gender of the user', format: 'text', provider: 'OIDC' },
+  birthdate: { label: 'Birthdate', description: 'Date of birth (YYYY-MM-DD, or YYYY / 0000-MM-DD)', format: 'text', provider: 'OIDC' },
+  zoneinfo: { label: 'Time Zone', description: 'IANA time zone of the user', format: 'text', provider: 'OIDC' },
+  locale: { label: 'Locale', description: 'Language and region (BCP 47)', format: 'text', provider: 'OIDC' },
+  phone_number: { label: 'Phone', description: 'Preferred phone number', format: 'text', provider: 'OIDC' },
+  phone_number_verified: { label: 'Phone Verified', description: 'Whether the provider verified the phone number', format: 'boolean', provider: 'OIDC' },
+  address: { label: 'Address', description: 'Postal address', format: 'json', provider: 'OIDC' },
+  updated_at: { label: 'Profile Updated', description: 'When the user\'s profile was last changed', format: 'time', provider: 'OIDC' },
+
+  // OAuth 2.0 (RFC 8693, RFC 9068, RFC 7800)
+  scope: { label: 'Scope', description: 'Space-separated permissions granted to the client', format: 'scopes' },
+  client_id: { label: 'Client ID', description: 'OAuth client the token was issued to', format: 'text' },
+  act: { label: 'Actor', description: 'Party acting on behalf of the subject (token exchange delegation)', format: 'json' },
+  may_act: { label: 'May Act', description: 'Parties allowed to act on behalf of the subject', format: 'json' },
+  cnf: { label: 'Confirmation', description: 'Proof-of-possession key the presenter must hold (e.g. DPoP jkt, mTLS x5t#S256)', format: 'json' },
+  roles: { label: 'Roles', description: 'Roles of the subject (RFC 7643 / Azure AD app roles)', format: 'list' },
+  groups: { label: 'Groups', description: 'Groups the subject belongs to', format: 'list' },
+  entitlements: { label: 'Entitlements', description: 'Entitlements of the subject', format: 'list' },
+  events: { label: 'Security Events', description: 'Events of a Security Event Token (RFC 8417)', format: 'json' },
+  toe: { label: 'Time of Event', description: 'When the security event happened', format: 'time' },
+  txn: { label: 'Transaction ID', description: 'Transaction identifier shared across related tokens', format: 'text' },
+  exi: { label: 'Expires In', description: 'Seconds the token stays valid after first use (Client-Initiated Backchannel Auth)', format: 'text' },
+  origid: { label: 'Originating ID', description: 'Identifier of the originating request', format: 'text' },
+  vot: { label: 'Vector of Trust', description: 'Trust components of the identity (RFC 8485)', format: 'text' },
+  vtm: { label: 'Trust Mark', description: 'URL of the trust framework of the vector of trust', format: 'text' },
+
+  // Azure AD / Microsoft Entra ID
+  tid: { label: 'Tenant ID', description: 'Directory (tenant) the user signed in to', format: 'tenant', provider: 'Azure AD' },
+  oid: { label: 'Object ID', description: 'Immutable user ID across all apps in the tenant', format: 'text', provider: 'Azure AD' },
+  upn: { label: 'User Principal Name', description: 'Sign-in name; can change, so don\'t use it as a key', format: 'text', provider: 'Azure AD' },
+  unique_name: { label: 'Unique Name', description: 'Display-only user name (v1 tokens)', format: 'text', provider: 'Azure AD' },
+  appid: { label: 'App ID', description: 'Client that requested the token (v1 tokens)', format: 'text', provider: 'Azure AD' },
+  appidacr: { label: 'Client Auth', description: 'How the client authenticated: 0 public, 1 secret, 2 certificate', format: 'text', provider: 'Azure AD' },
+  azpacr: { label: 'Client Auth', description: 'How the client authenticated: 0 public, 1 secret, 2 certificate', format: 'text', provider: 'Azure AD' },
+  idp: { label: 'Identity Provider', description: 'Who authenticated the user, when not the tenant itself', format: 'text', provider: 'Azure AD' },
+  scp: { label: 'Delegated Scopes', description: 'Permissions the user consented to for the client', format: 'scopes', provider: 'Azure AD' },
+  wids: { label: 'Directory Roles', description: 'Template IDs of tenant-wide admin roles', format: 'list', provider: 'Azure AD' },
+  ver: { label: 'Token Version', description: 'Access token format version (1.0 or 2.0)', format: 'text', provider: 'Azure AD' },
+  ipaddr: { label: 'IP Address', description: 'Address the user authenticated from', format: 'text', provider: 'Azure AD' },
+  uti: { label: 'Token ID', description: 'Internal token identifier', format: 'text', provider: 'Azure AD' },
+  rh: { label: 'Refresh Hint', description: 'Internal claim used to revalidate tokens', format: 'text', provider: 'Azure AD' },
+  onprem_sid: { label: 'On-Prem SID', description: 'Security identifier of the synced on-premises account', format: 'text', provider: 'Azure AD' },
+
+  // Google
+  hd: { label: 'Hosted Domain', description: 'Google Workspace domain of the account; absent for consumer accounts', format: 'text', provider: 'Google' },
+
+  // Keycloak
+  realm_access: { label: 'Realm Roles', description: 'Roles granted in the Keycloak realm', format: 'realm', provider: 'Keycloak' },
+  resource_access: { label: 'Client Roles', description: 'Roles granted per Keycloak client', format: 'resource', provider: 'Keycloak' },
+  session_state: { label: 'Session State', description: 'Keycloak session identifier', format: 'text', provider: 'Keycloak' },
+  'allowed-origins': { label: 'Allowed Origins', description: 'Web origins allowed for CORS with this token', format: 'list', provider: 'Keycloak' },
+  typ: { label: 'Token Type', description: 'Bearer, ID or Refresh', format: 'text', provider: 'Keycloak' },
+
+  // Amazon Cognito
+  token_use: { label: 'Token Use', description: '"access" or "id"; check it so ID tokens aren\'t accepted as access tokens', format: 'text', provider: 'Cognito' },
+  'cognito:username': { label: 'Username', description: 'Cognito user name', format: 'text', provider: 'Cognito' },
+  'cognito:groups': { label: 'Groups', description: 'Cognito user pool groups', format: 'list', provider: 'Cognito' },
+  event_id: { label: 'Event ID', description: 'Authentication event identifier', format: 'text', provider: 'Cognito' }
+};
+
+// RFC 8176 authentication method reference values
+export const AMR_VALUES = {
+  face: 'facial recognition',
+  fpt: 'fingerprint',
+  geo: 'geolocation',
+  hwk: 'hardware key',
+  iris: 'iris scan',
+  kba: 'knowledge-based',
+  mca: 'multiple channels',
+  mfa: 'multi-factor',
+  otp: 'one-time password',
+  pin: 'PIN',
+  pop: 'proof of possession',
+  pwd: 'password',
+  rba: 'risk-based',
+  retina: 'retina scan',
+  sc: 'smart card',
+  sms: 'SMS',
+  swk: 'software key',
+  tel: 'phone call',
+  user: 'user presence',
+  vbm: 'voice',
+  wia: 'Windows integrated auth'
+};
+
+// Tenant IDs with a fixed meaning in Azure AD tokens
+const KNOWN_TENANTS = {
+  '9188040d-6c67-4c5b-b112-36a304b66dad': 'personal Microsoft account',
+  'f8cdef31-a31e-4b4a-93e4-5f571e91255a': 'Microsoft services tenant'
+};
+
+/**
+ * Dictionary entry of a claim: custom entries first, then the built-in ones,
+ * then Auth0-style namespaced claims (URL names)
+ * @param {string} claim - Claim name
+ * @param {Object} custom - User dictionary: claim name to {label, description, format}
+ * @returns {{label: string, description: string, format: string, provider?: string, source: string}|null}
+ */
+export function lookupClaim(claim, custom = {}) {
+  if (Object.prototype.hasOwnProperty.call(custom, claim)) {
+    return { format: 'text', description: '', ...custom[claim], source: 'custom' };
+  }
+  if (Object.prototype.hasOwnProperty.call(KNOWN_CLAIMS, claim)) {
+    return { ...KNOWN_CLAIMS[claim], source: 'registered' };
+  }
+  const namespaced = /^https?:\/\/[^/]+\/(.+)$/.exec(claim);
+  if (namespaced) {
+    return {
+      label: namespaced[1],
+      description: `Namespaced custom claim (Auth0 rules and actions require URL names), set by ${claim.replace(/\/[^/]*$/, '')}`,
+      format: 'list',
+      provider: 'Auth0',
+      source: 'namespaced'
+    };
+  }
+  return null;
+}
+
+/**
+ * Human-readable value of a claim
+ * @param {Object} entry - From lookupClaim
+ * @param {*} value - Claim value
+ * @param {number} now - Current time in seconds since 1970
+ * @returns {string}
+ */
+export function formatClaim(entry, value, now = Math.floor(Date.now() / 1000)) {
+  const json = () => JSON.stringify(value);
+
+  switch (entry.format) {
+    case 'time': {
+      if (typeof value !== 'number') return json();
+      const relative = value > now ? `in ${formatSeconds(value - now)}` : `${formatSeconds(now - value)} ago`;
+      return `${new Date(value * 1000).toLocaleString()} (${relative})`;
+    }
+    case 'boolean':
+      return typeof value === 'boolean' ? (value ? 'Yes' : 'No') : json();
+    case 'list':
+      return Array.isArray(value) ? value.map(item => (typeof item === 'string' ? item : JSON.stringify(item))).join(', ') : formatText(value);
+    case 'scopes':
+      return typeof value === 'string' ? value.split(/\s+/).filter(Boolean).join(', ') : formatClaim({ format: 'list' }, value);
+    case 'amr':
+      return (Array.isArray(value) ? value : [value])
+        .map(method => (AMR_VALUES[method] ? `${method} (${AMR_VALUES[method]})` : String(method)))
+        .join(', ');
+    case 'tenant':
+      return KNOWN_TENANTS[value] ? `${value} (${KNOWN_TENANTS[value]})` : formatText(value);
+    case 'realm':
+      return value && Array.isArray(value.roles) ? value.roles.join(', ') : json();
+    case 'resource':
+      if (!value || typeof value !== 'object') return json();
+      return Object.entries(value)
+        .map(([client, access]) => `${client}: ${access && Array.isArray(access.roles) ? access.roles.join(', ') : JSON.stringify(access)}`)
+        .join('; ');
+    case 'json':
+      return json();
+    default:
+      return formatText(value);
+  }
+}
+
+/**
+ * Strings as they are, anything else as JSON
+ */
+function formatText(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Check a user dictionary loaded from storage or an imported file
+ * @param {*} dictionary - Parsed JSON: claim name to a label or {label, description, format}
+ * @returns {Object} - Claim name to {label, description, format}
+ * @throws {Error} - If an entry has no label or an unknown format
+ */
+export function normalizeDictionary(dictionary) {
+  if (!dictionary || typeof dictionary !== 'object' || Array.isArray(dictionary)) {
+    throw new Error('A claim dictionary is a JSON object of claim names to labels');
+  }
+
+  const normalized = {};
+  Object.entries(dictionary).forEach(([claim, entry]) => {
+    const { label, description = '', format = 'text' } = typeof entry === 'string' ? { label: entry } : entry || {};
+    if (typeof label !== 'string' || !label.trim()) {
+      throw new Error(`"${claim}" needs a label`);
+    }
+    if (!CLAIM_FORMATS.includes(format)) {
+      throw new Error(`"${claim}" has unknown format "${format}" (use ${CLAIM_FORMATS.join(', ')})`);
+    }
+    normalized[claim] = { label: label.trim(), description: String(description), format };
+  });
+  return normalized;
+}
+
+export default { CLAIM_FORMATS, KNOWN_CLAIMS, AMR_VALUES, lookupClaim, formatClaim, normalizeDictionary };
@@ -0,0 +1,68 @@
+/**
+ * DevToyNative - JWT Comparison
+ * Claim-by-claim differences between the headers or payloads of two tokens,
+ * e.g. before and after a refresh or a role change
+ */
+
+import { typeOf, deepEqual } from './jsonUtils.js';
+import { diffJson } from './jsonDiff.js';
+import { formatSeconds } from './jwtLint.js';
+
+// NumericDate claims, compared as a time difference rather than as numbers
+export const TIME_CLAIMS = ['iat', 'nbf', 'exp', 'auth_time'];
+
+/**
+ * Compare two token parts claim by claim, in the order the claims first appear
+ * @param {Object} left - Header or payload of the first token
+ * @param {Object} right - The same part of the second token
+ * @returns {Array<{claim: string, status: string, left?: *, right?: *, delta?: string, changes?: Array}>}
+ *   status  - 'same', 'changed', 'added' (only in right) or 'removed' (only in left)
+ *   delta   - For changed time claims, how far the second value is from the first
+ *   changes - For changed objects and arrays, the nested differences from diffJson
+ */
+export function compareClaims(left, right) {
+  const claims = [...new Set([...Object.keys(left), ...Object.keys(right)])];
+
+  return claims.map(claim => {
+    const inLeft = Object.prototype.hasOwnProperty.call(left, claim);
+    const inRight = Object.prototype.hasOwnProperty.call(right, claim);
+    if (!inLeft) return { claim, status: 'added', right: right[claim] };
+    if (!inRight) return { claim, status: 'removed', left: left[claim] };
+
+    const row = { claim, status: 'same', left: left[claim], right: right[claim] };
+    if (deepEqual(row.left, row.right)) return row;
+
+    row.status = 'changed';
+    const leftType = typeOf(row.left);
+    if (TIME_CLAIMS.includes(claim) && leftType === 'number' && typeOf(row.right) === 'number') {
+      row.delta = timeDelta(row.left, row.right);
+    } else if ((leftType === 'object' || leftType === 'array') && typeOf(row.right) === leftType) {
+      row.changes = diffJson(row.left, row.right).changes;
+    }
+    return row;
+  });
+}
+
+/**
+ * How far one NumericDate is from another, e.g. "+1h 30m later"
+ * @param {number} from - Seconds since 1970
+ * @param {number} to - Seconds since 1970
+ * @returns {string}
+ */
+export function timeDelta(from, to) {
+  const seconds = to - from;
+  if (seconds === 0) return 'same time';
+  return seconds > 0 ? `+${formatSeconds(seconds)} later` : `\u2212${formatSeconds(seconds)} earlier`;
+}
+
+/**
+ * Change counts of compareClaims rows
+ * @returns {{added: number, removed: number, changed: number, same: number}}
+ */
+export function summarizeComparison(rows) {
+  const summary = { added: 0, removed: 0, changed: 0, same: 0 };
+  rows.forEach(row => summary[row.status]++);
+  return summary;
+}
+
+export default { TIME_CLAIMS, compareClaims, timeDelta, summarizeComparison };
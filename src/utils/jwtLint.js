@@ -0,0 +1,318 @@
+/**
+ * DevToyNative - JWT Audit
+ * Claim validation (exp, nbf, iat, iss, aud) with clock-skew tolerance, and
+ * checks for risky header patterns and readable sensitive data in the payload
+ */
+
+import { getAlgorithm, keyMismatch, parseKey, parseKeySet } from './jws.js';
+
+/**
+ * Default audit settings
+ */
+export const LINT_DEFAULTS = {
+  clockSkew: 60,
+  maxLifetime: 24 * 3600,
+  issuer: '',
+  audience: ''
+};
+
+// Headers that point a verifier at a key chosen by whoever made the token
+const KEY_INJECTION_HEADERS = {
+  jwk: 'embeds its own public key ("jwk")',
+  jku: 'points to a key set URL ("jku")',
+  x5u: 'points to a certificate URL ("x5u")',
+  x5c: 'embeds its own certificate chain ("x5c")'
+};
+
+// Payload keys whose values should not travel in a readable token
+const SENSITIVE_KEY_PATTERN = /pass(word|wd)?|secret|ssn|social.?security|credit.?card|card.?number|cvv|api.?key|private.?key/i;
+
+const SENSITIVE_VALUE_PATTERNS = [
+  { label: 'an email address', pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/ },
+  { label: 'a US Social Security number', pattern: /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b/ },
+  { label: 'a payment card number', pattern: /\b(?:\d[ -]?){13,19}\b/, check: luhn }
+];
+
+// Values scanned for sensitive data
+const MAX_SCANNED_VALUES = 5000;
+
+/**
+ * Luhn checksum of the digits in a string (payment card numbers)
+ */
+function luhn(text) {
+  const digits = text.replace(/\D/g, '');
+  if (digits.length < 13 || digits.length > 19) return false;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Human-readable duration, e.g. "3d 4h", "12m", "45s"
+ * @param {number} seconds - Duration
+ * @returns {string}
+ */
+export function formatSeconds(seconds) {
+  const units = [['d', 86400], ['h', 3600], ['m', 60], ['s', 1]];
+  const parts = [];
+  let rest = Math.round(Math.abs(seconds));
+  units.forEach(([unit, size]) => {
+    if (parts.length < 2 && (rest >= size || (unit === 's' && !parts.length))) {
+      parts.push(`${Math.floor(rest / size)}${unit}`);
+      rest %= size;
+    }
+  });
+  return parts.join(' ');
+}
+
+/**
+ * Payload paths (dot notation) and string values, depth-first
+ */
+function collectStrings(value, path, out) {
+  if (out.length >= MAX_SCANNED_VALUES) return out;
+  if (typeof value === 'string') {
+    out.push({ path, value });
+  } else if (value !== null && typeof value === 'object') {
+    Object.keys(value).forEach(key => {
+      collectStrings(value[key], Array.isArray(value) ? `${path}[${key}]` : (path ? `${path}.${key}` : key), out);
+    });
+  }
+  return out;
+}
+
+/**
+ * Keys of the payload that name sensitive data, with their paths
+ */
+function collectSensitiveKeys(value, path, out) {
+  if (value !== null && typeof value === 'object') {
+    Object.keys(value).forEach(key => {
+      const childPath = Array.isArray(value) ? `${path}[${key}]` : (path ? `${path}.${key}` : key);
+      if (!Array.isArray(value) && SENSITIVE_KEY_PATTERN.test(key)) out.push(childPath);
+      collectSensitiveKeys(value[key], childPath, out);
+    });
+  }
+  return out;
+}
+
+/**
+ * Check a NumericDate claim (seconds since the epoch)
+ */
+function isNumericDate(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Check the time claims against the clock
+ */
+function lintTimes(payload, now, { clockSkew, maxLifetime }, add) {
+  const { exp, nbf, iat } = payload;
+  const skew = `${formatSeconds(clockSkew)} clock skew`;
+
+  ['exp', 'nbf', 'iat'].forEach(claim => {
+    if (payload[claim] !== undefined && !isNumericDate(payload[claim])) {
+      add('error', claim, `"${claim}" is not a number of seconds since 1970 (NumericDate), so verifiers reject or ignore it`);
+    }
+  });
+
+  if (exp === undefined) {
+    add('warning', 'exp', 'No expiration ("exp"): the token is valid forever unless the issuer can revoke it');
+  } else if (isNumericDate(exp)) {
+    if (exp > 1e11) {
+      add('warning', 'exp', '"exp" looks like milliseconds: NumericDate claims are in seconds');
+    }
+    if (now > exp + clockSkew) {
+      add('error', 'exp', `Expired ${formatSeconds(now - exp)} ago`);
+    } else if (now > exp) {
+      add('warning', 'exp', `Expired ${formatSeconds(now - exp)} ago, accepted only within the ${skew}`);
+    } else {
+      add('ok', 'exp', `Expires in ${formatSeconds(exp - now)}`);
+    }
+  }
+
+  if (isNumericDate(nbf)) {
+    if (nbf > now + clockSkew) {
+      add('error', 'nbf', `Not valid yet: "nbf" is ${formatSeconds(nbf - now)} in the future`);
+    } else if (nbf > now) {
+      add('warning', 'nbf', `"nbf" is ${formatSeconds(nbf - now)} in the future, accepted only within the ${skew}`);
+    } else {
+      add('ok', 'nbf', 'Already valid ("nbf" has passed)');
+    }
+  }
+
+  if (isNumericDate(iat)) {
+    if (iat > now + clockSkew) {
+      add('error', 'iat', `Issued in the future: "iat" is ${formatSeconds(iat - now)} ahead of this clock`);
+    } else if (iat > now) {
+      add('warning', 'iat', `"iat" is ${formatSeconds(iat - now)} ahead of this clock, within the ${skew}`);
+    }
+  }
+
+  if (isNumericDate(exp)) {
+    const start = isNumericDate(iat) ? iat : isNumericDate(nbf) ? nbf : null;
+    if (start !== null && exp <= start) {
+      add('error', 'exp', `"exp" is not after "${isNumericDate(iat) ? 'iat' : 'nbf'}": the token was never valid`);
+    } else if (start !== null && exp - start > maxLifetime) {
+      add('warning', 'lifetime', `Very long lifetime: ${formatSeconds(exp - start)} (more than ${formatSeconds(maxLifetime)}). Stolen tokens stay usable that long`);
+    } else if (start === null && exp - now > maxLifetime) {
+      add('warning', 'lifetime', `Very long lifetime: still valid for ${formatSeconds(exp - now)} (more than ${formatSeconds(maxLifetime)})`);
+    }
+  }
+}
+
+/**
+ * Check iss and aud against the expected values
+ */
+function lintAudience(payload, { issuer, audience }, add) {
+  if (issuer) {
+    if (payload.iss === undefined) {
+      add('error', 'iss', `No issuer ("iss"), expected "${issuer}"`);
+    } else if (payload.iss !== issuer) {
+      add('error', 'iss', `Issuer is "${payload.iss}", expected "${issuer}"`);
+    } else {
+      add('ok', 'iss', `Issuer matches "${issuer}"`);
+    }
+  }
+
+  if (audience) {
+    const audiences = Array.isArray(payload.aud) ? payload.aud : payload.aud === undefined ? [] : [payload.aud];
+    if (!audiences.length) {
+      add('error', 'aud', `No audience ("aud"), expected "${audience}"`);
+    } else if (!audiences.includes(audience)) {
+      add('error', 'aud', `Audience ${audiences.map(aud => `"${aud}"`).join(', ')} does not include "${audience}"`);
+    } else {
+      add('ok', 'aud', `Audience includes "${audience}"`);
+    }
+  }
+}
+
+/**
+ * Check the header for risky algorithms and key references
+ */
+function lintHeader(header, keyText, add) {
+  const { alg, kid } = header;
+
+  if (alg === undefined) {
+    add('error', 'alg', 'No algorithm ("alg") in the header');
+  } else if (typeof alg === 'string' && alg.toLowerCase() === 'none') {
+    add('error', 'alg', `Unsecured token ("alg": "${alg}"): anyone can forge it. Verifiers must reject it`);
+  } else if (!getAlgorithm(alg)) {
+    add('warning', 'alg', `Unknown or non-standard algorithm "${alg}"`);
+  }
+
+  Object.keys(KEY_INJECTION_HEADERS).forEach(name => {
+    if (header[name] !== undefined) {
+      add('warning', name, `The header ${KEY_INJECTION_HEADERS[name]}: a verifier that trusts it accepts tokens signed with any key. Verify against keys you already trust`);
+    }
+  });
+
+  if (typeof kid === 'string' && /\.\.[/\\]|[;'"`|$]|^\/|\0/.test(kid)) {
+    add('warning', 'kid', `"kid" contains path or query characters ("${kid}"): a verifier that uses it to load a key file or run a query can be tricked`);
+  }
+
+  // With a key pasted for verification, the kid must name a key that fits the algorithm
+  const trimmed = keyText ? keyText.trim() : '';
+  if (!trimmed || !getAlgorithm(alg)) return;
+  const jwks = parseKeySet(trimmed);
+  let candidates;
+  if (jwks) {
+    candidates = jwks.filter(jwk => jwk && kid !== undefined && jwk.kid === kid).map(jwk => JSON.stringify(jwk));
+  } else if (trimmed.startsWith('{') || trimmed.includes('-----BEGIN')) {
+    candidates = [trimmed];
+  } else {
+    // A plain HMAC secret says nothing about key types
+    return;
+  }
+
+  const keyName = kid !== undefined ? ` with kid "${kid}"` : '';
+  candidates.forEach(text => {
+    let key;
+    try {
+      key = parseKey(text, false);
+    } catch {
+      // Unreadable keys are reported by the verification itself
+      return;
+    }
+    const mismatch = keyMismatch(alg, key);
+    if (mismatch) {
+      add('error', 'alg', `"alg" does not fit the key${keyName}: ${mismatch}`);
+    } else {
+      add('ok', 'alg', `"alg" ${alg} fits the ${key.type} key${keyName}`);
+    }
+  });
+}
+
+/**
+ * Look for data that should not be readable by whoever holds the token
+ */
+function lintSensitiveData(payload, add) {
+  const warning = 'JWT payloads are only encoded, not encrypted: anyone holding the token can read them';
+
+  collectSensitiveKeys(payload, '', []).forEach(path => {
+    add('warning', 'sensitive', `"${path}" looks like a secret or personal identifier. ${warning}`);
+  });
+
+  const found = new Map();
+  collectStrings(payload, '', []).forEach(({ path, value }) => {
+    SENSITIVE_VALUE_PATTERNS.forEach(({ label, pattern, check }) => {
+      const match = value.match(pattern);
+      if (match && (!check || check(match[0]))) {
+        if (!found.has(label)) found.set(label, []);
+        found.get(label).push(path || '(payload)');
+      }
+    });
+  });
+  found.forEach((paths, label) => {
+    const shown = paths.slice(0, 5).map(path => `"${path}"`).join(', ');
+    const more = paths.length > 5 ? ` and ${paths.length - 5} more` : '';
+    add('warning', 'sensitive', `${shown}${more} ${paths.length === 1 ? 'contains' : 'contain'} ${label}. ${warning}`);
+  });
+}
+
+/**
+ * Audit a decoded JWT
+ * @param {Object} header - Decoded header
+ * @param {*} payload - Decoded payload
+ * @param {Object} options
+ * @param {number} options.now - Current time in seconds (defaults to the system clock)
+ * @param {number} options.clockSkew - Seconds of tolerance for exp, nbf and iat
+ * @param {number} options.maxLifetime - Lifetimes above this many seconds are flagged
+ * @param {string} options.issuer - Expected "iss" ('' skips the check)
+ * @param {string} options.audience - Expected "aud" entry ('' skips the check)
+ * @param {string} options.keyText - Key pasted for verification, to check "alg" against the kid's key
+ * @returns {Array<{severity: 'error'|'warning'|'ok', claim: string, message: string}>} - Findings,
+ *   most severe first
+ */
+export function lintJwt(header, payload, options = {}) {
+  const settings = { ...LINT_DEFAULTS, ...options };
+  const now = options.now ?? Math.floor(Date.now() / 1000);
+  const findings = [];
+  const add = (severity, claim, message) => findings.push({ severity, claim, message });
+
+  if (header !== null && typeof header === 'object' && !Array.isArray(header)) {
+    lintHeader(header, settings.keyText, add);
+  } else {
+    add('error', 'header', 'The header is not a JSON object, so it names no algorithm and verifiers reject the token');
+  }
+  if (payload !== null && typeof payload === 'object' && !Array.isArray(payload)) {
+    lintTimes(payload, now, settings, add);
+    lintAudience(payload, settings, add);
+    lintSensitiveData(payload, add);
+  } else {
+    add('warning', 'payload', 'The payload is not a JSON object, so it carries no claims');
+  }
+
+  const order = { error: 0, warning: 1, ok: 2 };
+  return findings
+    .map((finding, index) => ({ finding, index }))
+    .sort((a, b) => order[a.finding.severity] - order[b.finding.severity] || a.index - b.index)
+    .map(({ finding }) => finding);
+}
+
+export default { LINT_DEFAULTS, lintJwt, formatSeconds };
@@ -0,0 +1,155 @@
+/**
+ * DevToyNative - JWT Segment Map
+ * Splits an encoded token into its segments and maps each claim of the header
+ * and payload to the base64url characters that encode it
+ */
+
+import { base64UrlToBytes } from './jws.js';
+
+// Segment names by position; anything after the signature is extra
+const SEGMENT_NAMES = ['header', 'payload', 'signature'];
+
+/**
+ * Split a compact JWS into segments, noting why a segment can't be decoded
+ * @param {string} token - Encoded token
+ * @returns {Array<{part: string, text: string, error?: string, claims?: Map}>}
+ *   part   - 'header', 'payload', 'signature' or 'extra'
+ *   error  - Why the segment is malformed
+ *   claims - For a decodable header or payload, claim name to {start, end} character range
+ */
+export function splitSegments(token) {
+  return token.split('.').map((text, i) => {
+    const segment = { part: SEGMENT_NAMES[i] || 'extra', text };
+
+    if (segment.part === 'extra') {
+      segment.error = 'A signed JWT has only 3 segments';
+    } else if (/[+/=]/.test(text)) {
+      segment.error = 'Uses standard base64 characters (+ / =): JWT segments are unpadded base64url (- _)';
+    } else if (!/^[A-Za-z0-9_-]*$/.test(text)) {
+      segment.error = 'Contains characters that are not base64url';
+    } else if (text.length % 4 === 1) {
+      segment.error = 'Not valid base64url: the length is one character too long or short';
+    } else if (segment.part !== 'signature') {
+      try {
+        segment.claims = claimPositions(text);
+      } catch (error) {
+        segment.error = error.message;
+      }
+    }
+
+    return segment;
+  });
+}
+
+/**
+ * Where each top-level member of a base64url JSON object segment is encoded
+ * @param {string} text - base64url header or payload
+ * @returns {Map<string, {start: number, end: number}>} - Character ranges in `text`
+ * @throws {Error} - If the segment is not UTF-8 JSON object text
+ */
+export function claimPositions(text) {
+  let json;
+  try {
+    json = new TextDecoder('utf-8', { fatal: true }).decode(base64UrlToBytes(text));
+  } catch {
+    throw new Error('Does not decode to UTF-8 text');
+  }
+
+  let value;
+  try {
+    value = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Decodes to invalid JSON: ${error.message}`);
+  }
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('Decodes to JSON that is not an object');
+  }
+
+  // JSON.parse keeps the last of duplicate keys, and so does the map
+  const encoder = new TextEncoder();
+  const positions = new Map();
+  memberRanges(json).forEach(({ key, start, end }) => {
+    const byteStart = encoder.encode(json.slice(0, start)).length;
+    const byteEnd = byteStart + encoder.encode(json.slice(start, end)).length;
+    positions.set(key, encodedRange(byteStart, byteEnd));
+  });
+  return positions;
+}
+
+/**
+ * Character ranges of the top-level members of a JSON object text,
+ * from the opening quote of the key to the end of the value
+ * @param {string} json - Valid JSON object text
+ * @returns {Array<{key: string, start: number, end: number}>}
+ */
+export function memberRanges(json) {
+  const members = [];
+  let pos = json.indexOf('{') + 1;
+
+  const skipSpace = () => {
+    while (/\s/.test(json[pos])) pos++;
+  };
+  const skipString = () => {
+    pos++;
+    while (pos < json.length && json[pos] !== '"') {
+      pos += json[pos] === '\\' ? 2 : 1;
+    }
+    pos++;
+  };
+  const skipValue = () => {
+    let depth = 0;
+    while (pos < json.length) {
+      const char = json[pos];
+      if (char === '"') {
+        skipString();
+        if (!depth) return;
+        continue;
+      }
+      if (char === '{' || char === '[') depth++;
+      if (char === '}' || char === ']') {
+        if (!depth) return;
+        depth--;
+        if (!depth) {
+          pos++;
+          return;
+        }
+      }
+      if (!depth && (char === ',' || /\s/.test(char))) return;
+      pos++;
+    }
+  };
+
+  while (pos < json.length) {
+    skipSpace();
+    if (json[pos] !== '"') break;
+    const start = pos;
+    skipString();
+    const key = JSON.parse(json.slice(start, pos));
+    skipSpace();
+    pos++; // :
+    skipSpace();
+    skipValue();
+    members.push({ key, start, end: pos });
+    skipSpace();
+    if (json[pos] !== ',') break;
+    pos++;
+  }
+
+  return members;
+}
+
+/**
+ * Base64url characters that carry a range of bytes: each character holds 6 bits,
+ * so a range's first and last characters may share bits with neighbouring bytes
+ * @param {number} byteStart - First byte
+ * @param {number} byteEnd - Byte after the last
+ * @returns {{start: number, end: number}} - Character range, end exclusive
+ */
+export function encodedRange(byteStart, byteEnd) {
+  return {
+    start: Math.floor((byteStart * 8) / 6),
+    end: Math.ceil((byteEnd * 8) / 6)
+  };
+}
+
+export default { splitSegments, claimPositions, memberRanges, encodedRange };
@@ -0,0 +1,110 @@
+/**
+ * DevToyNative - NDJSON / JSON Lines
+ * One JSON value per line: per-line parsing that skips (and reports) bad
+ * lines, detection, and serialization of arrays
+ */
+
+import { parseJson, stringifyJson } from './jsonParser.js';
+
+// Bad lines named in the warning; the records list shows all of them
+const MAX_LISTED_ERRORS = 5;
+
+/**
+ * Whether text looks like NDJSON rather than one (broken) JSON document:
+ * several non-blank lines, each starting an object or array, the first
+ * of them complete on its own
+ * @param {string} text - Source text
+ * @returns {boolean}
+ */
+export function looksLikeNdjson(text) {
+  const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+  if (lines.length < 2 || !lines.every(line => line[0] === '{' || line[0] === '[')) {
+    return false;
+  }
+
+  try {
+    JSON.parse(lines[0]);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Parse NDJSON into an array of records
+ * @param {string} text - One JSON value per line (blank lines are ignored)
+ * @param {Map<string, string>} [rawNumbers] - Receives imprecise number literals keyed by JSON Pointer
+ * @returns {{value: Array, warnings: string[], lines: Array<{line: number, index?: number, error?: string}>}}
+ *   - Records, notes about skipped lines, and what each non-blank source line became
+ * @throws {Error} - If no line is valid (with `position`, `line` and `column` of the first error)
+ */
+export function parseNdjson(text, rawNumbers = null) {
+  const value = [];
+  const lines = [];
+  const failed = [];
+  let offset = 0;
+
+  text.split('\n').forEach((row, i) => {
+    const line = row.endsWith('\r') ? row.slice(0, -1) : row;
+    if (line.trim()) {
+      const recordNumbers = rawNumbers ? new Map() : null;
+      try {
+        const record = parseJson(line, 'strict', recordNumbers);
+        if (recordNumbers) {
+          recordNumbers.forEach((literal, pointer) => rawNumbers.set(`/${value.length}${pointer}`, literal));
+        }
+        lines.push({ line: i + 1, index: value.length });
+        value.push(record);
+      } catch (error) {
+        // Positions inside a single line are all on "line 1"
+        error.message = error.message.replace(/\bline 1, column (\d+)/g, 'column $1');
+        lines.push({ line: i + 1, error: error.column ? `Column ${error.column}: ${error.message}` : error.message });
+        failed.push({ line: i + 1, error, offset });
+      }
+    }
+    offset += row.length + 1;
+  });
+
+  if (failed.length && !value.length) {
+    const { line, error, offset: lineOffset } = failed[0];
+    error.position = lineOffset + (error.position || 0);
+    error.line = line;
+    throw error;
+  }
+
+  const warnings = [];
+  if (failed.length) {
+    const listed = failed.slice(0, MAX_LISTED_ERRORS).map(({ line, error }) => `line ${line} (${error.message})`);
+    const more = failed.length > MAX_LISTED_ERRORS ? `, and ${failed.length - MAX_LISTED_ERRORS} more` : '';
+    warnings.push(`${failed.length} line${failed.length === 1 ? ' is' : 's are'} not valid JSON and ${failed.length === 1 ? 'was' : 'were'} skipped: ${listed.join('; ')}${more}`);
+  }
+
+  return { value, warnings, lines };
+}
+
+/**
+ * Serialize an array as NDJSON, one record per line
+ * @param {Array} value - Records
+ * @param {Map<string, string>} [rawNumbers] - Original number literals keyed by JSON Pointer
+ * @returns {{text: string, warnings: string[]}}
+ * @throws {Error} - If the value is not an array
+ */
+export function stringifyNdjson(value, rawNumbers = new Map()) {
+  if (!Array.isArray(value)) {
+    throw new Error('NDJSON needs an array (one record per line)');
+  }
+
+  // Split the original number literals by record
+  const recordNumbers = new Map();
+  rawNumbers.forEach((literal, pointer) => {
+    const slash = pointer.indexOf('/', 1);
+    const index = Number(slash === -1 ? pointer.slice(1) : pointer.slice(1, slash));
+    if (!recordNumbers.has(index)) recordNumbers.set(index, new Map());
+    recordNumbers.get(index).set(slash === -1 ? '' : pointer.slice(slash), literal);
+  });
+
+  const lines = value.map((record, i) => stringifyJson(record, 0, recordNumbers.get(i)) ?? 'null');
+  return { text: lines.length ? `${lines.join('\n')}\n` : '', warnings: [] };
+}
+
+export default { looksLikeNdjson, parseNdjson, stringifyNdjson };
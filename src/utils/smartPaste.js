@@ -3,6 +3,8 @@
  * Auto-detects content format and routes to appropriate tool
  */
 
+import { looksLikeNdjson } from './ndjson.js';
+
 // Format detection patterns
 const DETECTION_PATTERNS = {
   jwt: {
@@ -34,7 +36,8 @@ const DETECTION_PATTERNS = {
         JSON.parse(content.trim());
         return true;
       } catch {
-        return false;
+        // One JSON value per line (NDJSON logs)
+        return looksLikeNdjson(content);
       }
     },
     confidence: 0.9,
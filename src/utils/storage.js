@@ -73,9 +73,21 @@ export const preferences = {
     lastTool: 'json',
     sidebarCollapsed: false,
     jsonIndent: 2,
+    jsonSortKeys: false,
+    jsonCompactArrays: false,
+    jsonEscapeUnicode: false,
+    jsonCanonical: false,
+    jsonParseMode: 'strict',
+    jsonOutputFormat: 'json',
+    jsonGenerateTarget: 'typescript',
     regexFlags: 'g',
     timestampFormat: 'local',
-    base64UrlSafe: false
+    base64UrlSafe: false,
+    jwtIssuer: '',
+    jwtAudience: '',
+    jwtClockSkew: 60,
+    jwtMaxLifetimeHours: 24,
+    jwtClaimDictionary: {}
   },
   
   /**
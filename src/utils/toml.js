@@ -0,0 +1,550 @@
+/**
+ * DevToyNative - TOML Converter
+ * TOML 1.0 parser and serializer
+ */
+
+import { getLineColumn } from './jsonParser.js';
+
+const BASIC_ESCAPES = {
+  b: '\b',
+  t: '\t',
+  n: '\n',
+  f: '\f',
+  r: '\r',
+  e: '\x1b',
+  '"': '"',
+  '\\': '\\'
+};
+
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}(?:[Tt ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:[Zz]|[+-]\d{2}:\d{2})?)?|^\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?/;
+const DECIMAL_INTEGER = /^[+-]?(?:0|[1-9](?:_?\d)*)$/;
+const FLOAT = /^[+-]?(?:0|[1-9](?:_?\d)*)(?:\.\d(?:_?\d)*)?(?:[eE][+-]?\d(?:_?\d)*)?$/;
+const PREFIXED_INTEGER = /^0(?:x[0-9a-fA-F](?:_?[0-9a-fA-F])*|o[0-7](?:_?[0-7])*|b[01](?:_?[01])*)$/;
+const BARE_KEY = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Parse TOML text
+ * @param {string} text - TOML document
+ * @returns {{value: Object, warnings: string[]}} - Parsed table and notes about lossy conversions
+ * @throws {Error} - Syntax error with `position`, `line` and `column`
+ */
+export function parseToml(text) {
+  const parser = new TomlParser(text);
+  const value = parser.parse();
+  return { value, warnings: [...parser.warnings] };
+}
+
+/**
+ * Single-pass TOML parser
+ */
+class TomlParser {
+  constructor(text) {
+    this.text = text.replace(/^\ufeff/, '').replace(/\r\n/g, '\n');
+    this.pos = 0;
+    this.warnings = new Set();
+    // How each table was created: 'header', 'implicit', 'dotted', 'inline' or 'array'
+    this.kinds = new WeakMap();
+  }
+
+  fail(message, position = this.pos) {
+    const { line, column } = getLineColumn(this.text, position);
+    const error = new Error(message);
+    error.position = position;
+    error.line = line;
+    error.column = column;
+    throw error;
+  }
+
+  skipSpace() {
+    while (this.text[this.pos] === ' ' || this.text[this.pos] === '\t') this.pos++;
+  }
+
+  skipComment() {
+    if (this.text[this.pos] === '#') {
+      while (this.pos < this.text.length && this.text[this.pos] !== '\n') this.pos++;
+    }
+  }
+
+  // Whitespace, comments and line breaks (between statements and inside arrays)
+  skipBlank() {
+    for (;;) {
+      this.skipSpace();
+      this.skipComment();
+      if (this.text[this.pos] !== '\n') return;
+      this.pos++;
+    }
+  }
+
+  expectLineEnd() {
+    this.skipSpace();
+    this.skipComment();
+    if (this.pos < this.text.length && this.text[this.pos] !== '\n') {
+      this.fail(`Unexpected '${this.text[this.pos]}': expected a line break`);
+    }
+  }
+
+  parse() {
+    const root = {};
+    this.kinds.set(root, 'header');
+    let current = root;
+
+    for (;;) {
+      this.skipBlank();
+      if (this.pos >= this.text.length) return root;
+
+      if (this.text[this.pos] === '[') {
+        current = this.parseTableHeader(root);
+      } else {
+        this.parseKeyValue(current);
+      }
+      this.expectLineEnd();
+    }
+  }
+
+  /**
+   * [table] or [[array.of.tables]]
+   */
+  parseTableHeader(root) {
+    const start = this.pos;
+    const isArray = this.text.startsWith('[[', this.pos);
+    this.pos += isArray ? 2 : 1;
+    this.skipSpace();
+    const keys = this.parseKey();
+    this.skipSpace();
+
+    if (!this.text.startsWith(isArray ? ']]' : ']', this.pos)) {
+      this.fail(`Expected '${isArray ? ']]' : ']'}' to close the table header`);
+    }
+    this.pos += isArray ? 2 : 1;
+
+    const name = keys.join('.');
+    const parent = this.descend(root, keys.slice(0, -1), 'implicit', start);
+    const last = keys[keys.length - 1];
+    const existing = Object.prototype.hasOwnProperty.call(parent, last) ? parent[last] : undefined;
+
+    if (isArray) {
+      if (existing === undefined) {
+        const list = [];
+        this.kinds.set(list, 'array');
+        assign(parent, last, list);
+      } else if (!Array.isArray(existing) || this.kinds.get(existing) !== 'array') {
+        this.fail(`Cannot define [[${name}]]: '${name}' is already defined and is not an array of tables`, start);
+      }
+      const table = {};
+      this.kinds.set(table, 'header');
+      parent[last].push(table);
+      return table;
+    }
+
+    if (existing === undefined) {
+      const table = {};
+      this.kinds.set(table, 'header');
+      assign(parent, last, table);
+      return table;
+    }
+
+    if (isPlainTable(existing) && this.kinds.get(existing) === 'implicit') {
+      this.kinds.set(existing, 'header');
+      return existing;
+    }
+
+    this.fail(`Table [${name}] is defined more than once`, start);
+  }
+
+  /**
+   * Walk (and create) intermediate tables for a dotted key
+   */
+  descend(table, keys, kind, start) {
+    let current = table;
+
+    keys.forEach(key => {
+      if (!Object.prototype.hasOwnProperty.call(current, key)) {
+        const child = {};
+        this.kinds.set(child, kind);
+        assign(current, key, child);
+        current = child;
+        return;
+      }
+
+      const existing = current[key];
+      if (Array.isArray(existing) && this.kinds.get(existing) === 'array') {
+        current = existing[existing.length - 1];
+      } else if (isPlainTable(existing) && this.kinds.get(existing) !== 'inline' &&
+        !(kind === 'dotted' && this.kinds.get(existing) === 'header')) {
+        current = existing;
+      } else {
+        this.fail(`Key '${key}' is already defined and cannot be extended`, start);
+      }
+    });
+
+    return current;
+  }
+
+  /**
+   * key = value (keys may be dotted)
+   */
+  parseKeyValue(table) {
+    const start = this.pos;
+    const keys = this.parseKey();
+    this.skipSpace();
+
+    if (this.text[this.pos] !== '=') {
+      this.fail(`Expected '=' after key '${keys.join('.')}'`);
+    }
+    this.pos++;
+    this.skipSpace();
+
+    const value = this.parseValue();
+    const parent = this.descend(table, keys.slice(0, -1), 'dotted', start);
+    const last = keys[keys.length - 1];
+
+    if (Object.prototype.hasOwnProperty.call(parent, last)) {
+      this.fail(`Duplicate key '${keys.join('.')}'`, start);
+    }
+    assign(parent, last, value);
+  }
+
+  /**
+   * Bare, quoted or dotted key, as a list of parts
+   */
+  parseKey() {
+    const keys = [];
+
+    for (;;) {
+      const ch = this.text[this.pos];
+      if (ch === '"') {
+        keys.push(this.parseBasicString());
+      } else if (ch === "'") {
+        keys.push(this.parseLiteralString());
+      } else {
+        const match = this.text.slice(this.pos).match(/^[A-Za-z0-9_-]+/);
+        if (!match) {
+          this.fail(this.pos >= this.text.length || this.text[this.pos] === '\n'
+            ? 'Expected a key'
+            : `Invalid character '${this.text[this.pos]}' in key`);
+        }
+        keys.push(match[0]);
+        this.pos += match[0].length;
+      }
+
+      this.skipSpace();
+      if (this.text[this.pos] !== '.') return keys;
+      this.pos++;
+      this.skipSpace();
+    }
+  }
+
+  parseValue() {
+    const ch = this.text[this.pos];
+
+    if (ch === '"') {
+      return this.text.startsWith('"""', this.pos) ? this.parseMultilineBasicString() : this.parseBasicString();
+    }
+    if (ch === "'") {
+      return this.text.startsWith("'''", this.pos) ? this.parseMultilineLiteralString() : this.parseLiteralString();
+    }
+    if (ch === '[') return this.parseArray();
+    if (ch === '{') return this.parseInlineTable();
+
+    const rest = this.text.slice(this.pos);
+    const date = rest.match(DATE_TIME);
+    if (date) {
+      this.pos += date[0].length;
+      this.warnings.add('Dates and times were converted to strings');
+      return date[0];
+    }
+
+    const match = rest.match(/^[^\s,\]}#]+/);
+    if (!match) {
+      this.fail(this.pos >= this.text.length || ch === '\n' ? 'Expected a value' : `Unexpected '${ch}': expected a value`);
+    }
+    const token = match[0];
+
+    let value;
+    if (token === 'true' || token === 'false') {
+      value = token === 'true';
+    } else if (/^[+-]?(?:inf|nan)$/.test(token)) {
+      this.warnings.add('inf and nan have no JSON equivalent and were converted to null');
+      value = null;
+    } else if (PREFIXED_INTEGER.test(token)) {
+      const radix = { x: 16, o: 8, b: 2 }[token[1]];
+      value = parseInt(token.slice(2).replace(/_/g, ''), radix);
+    } else if (DECIMAL_INTEGER.test(token) || FLOAT.test(token)) {
+      value = Number(token.replace(/_/g, ''));
+    } else {
+      this.fail(`Invalid value '${token}'`);
+    }
+
+    if (typeof value === 'number' && Number.isInteger(value) && !Number.isSafeInteger(value)) {
+      this.warnings.add(`Integer ${token} is too large for JSON numbers and lost precision`);
+    }
+
+    this.pos += token.length;
+    return value;
+  }
+
+  /**
+   * Shared escape handling for basic strings
+   */
+  parseEscape() {
+    const next = this.text[this.pos + 1];
+
+    if (next in BASIC_ESCAPES) {
+      this.pos += 2;
+      return BASIC_ESCAPES[next];
+    }
+
+    if (next === 'u' || next === 'U') {
+      const length = next === 'u' ? 4 : 8;
+      const hex = this.text.substr(this.pos + 2, length);
+      if (!new RegExp(`^[0-9a-fA-F]{${length}}$`).test(hex)) {
+        this.fail(`Invalid unicode escape '\\${next}${hex}'`);
+      }
+      this.pos += 2 + length;
+      return String.fromCodePoint(parseInt(hex, 16));
+    }
+
+    this.fail(`Invalid escape sequence '\\${next || ''}'`);
+  }
+
+  parseBasicString() {
+    const start = this.pos++;
+    let result = '';
+
+    for (;;) {
+      const ch = this.text[this.pos];
+      if (ch === undefined || ch === '\n') {
+        this.fail('Unterminated string', start);
+      }
+      if (ch === '"') {
+        this.pos++;
+        return result;
+      }
+      if (ch === '\\') {
+        result += this.parseEscape();
+        continue;
+      }
+      result += ch;
+      this.pos++;
+    }
+  }
+
+  parseMultilineBasicString() {
+    const start = this.pos;
+    this.pos += 3;
+    if (this.text[this.pos] === '\n') this.pos++;
+    let result = '';
+
+    for (;;) {
+      const ch = this.text[this.pos];
+      if (ch === undefined) {
+        this.fail('Unterminated multi-line string', start);
+      }
+      if (this.text.startsWith('"""', this.pos)) {
+        // Up to two quotes may directly precede the closing delimiter
+        let end = this.pos + 3;
+        while (this.text[end] === '"' && end - this.pos < 5) end++;
+        result += '"'.repeat(end - this.pos - 3);
+        this.pos = end;
+        return result;
+      }
+      if (ch === '\\') {
+        // Line-ending backslash trims the break and following whitespace
+        const trimmed = this.text.slice(this.pos + 1).match(/^[ \t]*\n[\s]*/);
+        if (trimmed) {
+          this.pos += 1 + trimmed[0].length;
+        } else {
+          result += this.parseEscape();
+        }
+        continue;
+      }
+      result += ch;
+      this.pos++;
+    }
+  }
+
+  parseLiteralString() {
+    const start = this.pos++;
+    const end = this.text.indexOf("'", this.pos);
+    const newline = this.text.indexOf('\n', this.pos);
+
+    if (end === -1 || (newline !== -1 && newline < end)) {
+      this.fail('Unterminated string', start);
+    }
+    const result = this.text.slice(this.pos, end);
+    this.pos = end + 1;
+    return result;
+  }
+
+  parseMultilineLiteralString() {
+    const start = this.pos;
+    this.pos += 3;
+    if (this.text[this.pos] === '\n') this.pos++;
+
+    const close = this.text.indexOf("'''", this.pos);
+    if (close === -1) {
+      this.fail('Unterminated multi-line string', start);
+    }
+
+    let end = close + 3;
+    while (this.text[end] === "'" && end - close < 5) end++;
+    const result = this.text.slice(this.pos, end - 3);
+    this.pos = end;
+    return result;
+  }
+
+  parseArray() {
+    const start = this.pos++;
+    const result = [];
+
+    for (;;) {
+      this.skipBlank();
+      if (this.pos >= this.text.length) this.fail("Unterminated array: missing ']'", start);
+      if (this.text[this.pos] === ']') {
+        this.pos++;
+        return result;
+      }
+
+      result.push(this.parseValue());
+      this.skipBlank();
+
+      if (this.text[this.pos] === ',') {
+        this.pos++;
+      } else if (this.text[this.pos] !== ']') {
+        this.fail("Expected ',' or ']' in array");
+      }
+    }
+  }
+
+  parseInlineTable() {
+    const start = this.pos++;
+    const table = {};
+    this.kinds.set(table, 'inline');
+
+    this.skipSpace();
+    if (this.text[this.pos] === '}') {
+      this.pos++;
+      return table;
+    }
+
+    for (;;) {
+      this.skipSpace();
+      this.parseKeyValue(table);
+      this.skipSpace();
+
+      if (this.text[this.pos] === '}') {
+        this.pos++;
+        return table;
+      }
+      if (this.text[this.pos] !== ',') {
+        this.fail(this.pos >= this.text.length || this.text[this.pos] === '\n'
+          ? "Unterminated inline table: missing '}' (inline tables must stay on one line)"
+          : "Expected ',' or '}' in inline table", this.pos >= this.text.length ? start : this.pos);
+      }
+      this.pos++;
+    }
+  }
+}
+
+/**
+ * Set an own property (safe for "__proto__")
+ */
+function assign(target, key, value) {
+  Object.defineProperty(target, key, { value, writable: true, enumerable: true, configurable: true });
+}
+
+function isPlainTable(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Arrays written as [[array.of.tables]]
+ */
+function isTableArray(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(isPlainTable);
+}
+
+function formatString(str) {
+  return JSON.stringify(str).replace(/\x7f/g, '\\u007F');
+}
+
+function formatKey(key) {
+  return BARE_KEY.test(key) ? key : formatString(key);
+}
+
+/**
+ * Serialize a JSON object as TOML
+ * @param {Object} value - Top-level object
+ * @returns {{text: string, warnings: string[]}}
+ * @throws {Error} - If the top level is not an object
+ */
+export function stringifyToml(value) {
+  if (!isPlainTable(value)) {
+    throw new Error('TOML documents must be a table: the top-level JSON value has to be an object');
+  }
+
+  const warnings = new Set();
+  const lines = [];
+
+  const inline = (v) => {
+    if (Array.isArray(v)) {
+      const items = v.filter(item => {
+        if (item === null) warnings.add('null array items have no TOML equivalent and were omitted');
+        return item !== null;
+      });
+      return `[${items.map(inline).join(', ')}]`;
+    }
+    if (isPlainTable(v)) {
+      const entries = Object.keys(v).filter(key => {
+        if (v[key] === null) warnings.add('null values have no TOML equivalent and were omitted');
+        return v[key] !== null;
+      });
+      return entries.length ? `{ ${entries.map(key => `${formatKey(key)} = ${inline(v[key])}`).join(', ')} }` : '{}';
+    }
+    if (typeof v === 'string') return formatString(v);
+    return String(v);
+  };
+
+  const emitTable = (table, path) => {
+    const subtables = [];
+
+    Object.keys(table).forEach(key => {
+      const v = table[key];
+      if (v === null) {
+        warnings.add('null values have no TOML equivalent and were omitted');
+      } else if (isPlainTable(v) || isTableArray(v)) {
+        subtables.push(key);
+      } else {
+        lines.push(`${formatKey(key)} = ${inline(v)}`);
+      }
+    });
+
+    subtables.forEach(key => {
+      const v = table[key];
+      const childPath = [...path, formatKey(key)];
+      const name = childPath.join('.');
+
+      if (Array.isArray(v)) {
+        v.forEach(item => {
+          lines.push('', `[[${name}]]`);
+          emitTable(item, childPath);
+        });
+        return;
+      }
+
+      // Tables holding only sub-tables are defined implicitly by them
+      const keys = Object.keys(v);
+      if (!keys.length || keys.some(k => v[k] === null || !(isPlainTable(v[k]) || isTableArray(v[k])))) {
+        lines.push('', `[${name}]`);
+      }
+      emitTable(v, childPath);
+    });
+  };
+
+  emitTable(value, []);
+
+  const text = lines.join('\n').replace(/^\n+/, '');
+  return { text: text ? `${text}\n` : '', warnings: [...warnings] };
+}
+
+export default { parseToml, stringifyToml };
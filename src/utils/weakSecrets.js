@@ -0,0 +1,177 @@
+/**
+ * DevToyNative - Weak HMAC Secrets
+ * Secrets that turn up in tutorials, framework defaults and leaked configs,
+ * for checking whether an HS256/384/512 token was signed with a guessable key
+ */
+
+/**
+ * Built-in candidates, most common first
+ */
+export const WEAK_SECRETS = [
+  'secret',
+  'your-256-bit-secret',
+  'your-384-bit-secret',
+  'your-512-bit-secret',
+  'secretkey',
+  'secret_key',
+  'secret-key',
+  'SecretKey',
+  'mysecret',
+  'my_secret',
+  'my-secret',
+  'mysecretkey',
+  'my-secret-key',
+  'jwt',
+  'jwtsecret',
+  'jwt_secret',
+  'jwt-secret',
+  'JWT_SECRET',
+  'jwtSecret',
+  'jwt_secret_key',
+  'jwtkey',
+  'jwt-key',
+  'token',
+  'tokensecret',
+  'token_secret',
+  'supersecret',
+  'super-secret',
+  'supersecretkey',
+  'super_secret_key',
+  'topsecret',
+  'shhhhh',
+  'shhhhhared-secret',
+  'keyboard cat',
+  'changeme',
+  'change-me',
+  'changethis',
+  'CHANGE_ME',
+  'default',
+  'defaultsecret',
+  'password',
+  'Password',
+  'password1',
+  'Password1',
+  'passw0rd',
+  'P@ssw0rd',
+  'pass',
+  'admin',
+  'administrator',
+  'root',
+  'test',
+  'testing',
+  'test123',
+  'testsecret',
+  'dev',
+  'development',
+  'devsecret',
+  'dev-secret',
+  'local',
+  'localhost',
+  'demo',
+  'example',
+  'sample',
+  'key',
+  'private',
+  'privatekey',
+  'private_key',
+  'public',
+  'hmac',
+  'hmacsecret',
+  'hs256',
+  'HS256',
+  'signing-key',
+  'signingkey',
+  'app_secret',
+  'appsecret',
+  'api_secret',
+  'apisecret',
+  'auth',
+  'authsecret',
+  'auth_secret',
+  'session',
+  'sessionsecret',
+  'session_secret',
+  'cookie-secret',
+  'access',
+  'access_token',
+  'refresh',
+  'refresh_token',
+  'qwerty',
+  'qwertyuiop',
+  'letmein',
+  'welcome',
+  'hello',
+  'hello123',
+  'abc123',
+  'abcdef',
+  'abcdefgh',
+  '123',
+  '1234',
+  '12345',
+  '123456',
+  '1234567',
+  '12345678',
+  '123456789',
+  '1234567890',
+  '0123456789',
+  '000000',
+  '111111',
+  'iloveyou',
+  'monkey',
+  'dragon',
+  'master',
+  'sunshine',
+  'trustno1',
+  'foobar',
+  'foo',
+  'bar',
+  'baz',
+  'null',
+  'undefined',
+  'none',
+  's3cr3t',
+  'S3cr3t',
+  'secret123',
+  'secret1234',
+  'Secret123',
+  'secretpassword',
+  'verysecret',
+  'very_secret',
+  'notasecret',
+  'not-a-secret',
+  'thisisasecret',
+  'this-is-a-secret',
+  'ThisIsMySecret',
+  'thisismysecretkey',
+  'my_super_secret',
+  'mySuperSecretKey',
+  'somesecret',
+  'some-secret',
+  'some_secret_key',
+  'random',
+  'randomsecret',
+  'random-string',
+  'xxxxxxxx',
+  'insecure',
+  'unsafe',
+  'nodejs',
+  'express',
+  'django-insecure',
+  'flask',
+  'laravel',
+  'rails',
+  'spring',
+  'springboot',
+  'devtoy-secret-key'
+];
+
+/**
+ * Candidate secrets of a wordlist file: one per line, blank lines skipped
+ * @param {string} text - Wordlist contents
+ * @returns {string[]}
+ */
+export function parseWordlist(text) {
+  return text.split(/\r?\n/).filter(line => line !== '');
+}
+
+export default { WEAK_SECRETS, parseWordlist };
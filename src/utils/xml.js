@@ -0,0 +1,374 @@
+/**
+ * DevToyNative - XML Converter
+ * Maps XML to JSON and back: attributes become "@name" keys, mixed text
+ * becomes "#text" and repeated elements become arrays
+ */
+
+import { getLineColumn } from './jsonParser.js';
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+const NAME = /^[A-Za-z_:][\w.:-]*/;
+const VALID_NAME = /^[A-Za-z_][\w.-]*(?::[A-Za-z_][\w.-]*)?$/;
+const TEXT_KEY = '#text';
+const ATTRIBUTE_PREFIX = '@';
+
+/**
+ * Parse an XML document
+ * @param {string} text - XML source
+ * @returns {{value: Object, warnings: string[]}} - `{rootName: content}` and conversion notes
+ * @throws {Error} - Syntax error with `position`, `line` and `column`
+ */
+export function parseXml(text) {
+  const parser = new XmlParser(text);
+  const value = parser.parseDocument();
+  return { value, warnings: [...parser.warnings] };
+}
+
+/**
+ * Small non-validating XML parser
+ */
+class XmlParser {
+  constructor(text) {
+    this.text = text.replace(/^\ufeff/, '');
+    this.pos = 0;
+    this.warnings = new Set();
+  }
+
+  fail(message, position = this.pos) {
+    const { line, column } = getLineColumn(this.text, position);
+    const error = new Error(message);
+    error.position = position;
+    error.line = line;
+    error.column = column;
+    throw error;
+  }
+
+  /**
+   * Skip whitespace, comments, processing instructions and the doctype
+   */
+  skipMisc() {
+    for (;;) {
+      while (/\s/.test(this.text[this.pos] || '')) this.pos++;
+
+      if (this.text.startsWith('<!--', this.pos)) {
+        this.skipPast('-->', 'Unterminated comment');
+      } else if (this.text.startsWith('<?', this.pos)) {
+        this.skipPast('?>', 'Unterminated processing instruction');
+      } else if (this.text.startsWith('<!DOCTYPE', this.pos)) {
+        this.skipDoctype();
+      } else {
+        return;
+      }
+    }
+  }
+
+  skipPast(terminator, message) {
+    const end = this.text.indexOf(terminator, this.pos);
+    if (end === -1) this.fail(message);
+    this.pos = end + terminator.length;
+  }
+
+  skipDoctype() {
+    const start = this.pos;
+    let depth = 0;
+    while (this.pos < this.text.length) {
+      const ch = this.text[this.pos++];
+      if (ch === '[') depth++;
+      if (ch === ']') depth--;
+      if (ch === '>' && depth === 0) {
+        this.warnings.add('The DOCTYPE was ignored');
+        return;
+      }
+    }
+    this.fail('Unterminated DOCTYPE', start);
+  }
+
+  parseDocument() {
+    this.skipMisc();
+    if (this.text[this.pos] !== '<') {
+      this.fail(this.pos >= this.text.length ? 'The document has no root element' : 'Text is not allowed before the root element');
+    }
+
+    const { name, value } = this.parseElement();
+    this.skipMisc();
+
+    if (this.pos < this.text.length) {
+      this.fail(this.text[this.pos] === '<'
+        ? 'Only one root element is allowed'
+        : 'Text is not allowed after the root element');
+    }
+
+    return { [name]: value };
+  }
+
+  readName() {
+    const match = this.text.slice(this.pos, this.pos + 1000).match(NAME);
+    if (!match) this.fail('Expected an element or attribute name');
+    this.pos += match[0].length;
+    return match[0];
+  }
+
+  /**
+   * Parse an element starting at '<'
+   * @returns {{name: string, value: *}}
+   */
+  parseElement() {
+    const start = this.pos++;
+    const name = this.readName();
+    const attributes = [];
+
+    for (;;) {
+      const hadSpace = /\s/.test(this.text[this.pos] || '');
+      while (/\s/.test(this.text[this.pos] || '')) this.pos++;
+
+      if (this.text.startsWith('/>', this.pos)) {
+        this.pos += 2;
+        return { name, value: this.buildValue(attributes, [], []) };
+      }
+      if (this.text[this.pos] === '>') {
+        this.pos++;
+        break;
+      }
+      if (this.pos >= this.text.length) {
+        this.fail(`Unterminated start tag <${name}>`, start);
+      }
+      if (!hadSpace) {
+        this.fail(`Expected whitespace before attribute in <${name}>`);
+      }
+
+      const attrStart = this.pos;
+      const attr = this.readName();
+      while (/\s/.test(this.text[this.pos] || '')) this.pos++;
+      if (this.text[this.pos] !== '=') this.fail(`Attribute '${attr}' needs a value`);
+      this.pos++;
+      while (/\s/.test(this.text[this.pos] || '')) this.pos++;
+
+      const quote = this.text[this.pos];
+      if (quote !== '"' && quote !== "'") this.fail(`Attribute '${attr}' value must be quoted`);
+      const end = this.text.indexOf(quote, this.pos + 1);
+      if (end === -1) this.fail(`Unterminated value for attribute '${attr}'`);
+
+      if (attributes.some(([existing]) => existing === attr)) {
+        this.fail(`Duplicate attribute '${attr}'`, attrStart);
+      }
+      attributes.push([attr, this.decode(this.text.slice(this.pos + 1, end), this.pos + 1)]);
+      this.pos = end + 1;
+    }
+
+    // Content
+    const children = [];
+    const text = [];
+
+    for (;;) {
+      if (this.pos >= this.text.length) {
+        this.fail(`Unclosed element <${name}>`, start);
+      }
+
+      if (this.text.startsWith('</', this.pos)) {
+        const closeStart = this.pos;
+        this.pos += 2;
+        const closing = this.readName();
+        while (/\s/.test(this.text[this.pos] || '')) this.pos++;
+        if (closing !== name) {
+          this.fail(`Mismatched closing tag: expected </${name}> but found </${closing}>`, closeStart);
+        }
+        if (this.text[this.pos] !== '>') this.fail(`Expected '>' to close </${name}>`);
+        this.pos++;
+        return { name, value: this.buildValue(attributes, children, text) };
+      }
+
+      if (this.text.startsWith('<!--', this.pos)) {
+        this.skipPast('-->', 'Unterminated comment');
+      } else if (this.text.startsWith('<![CDATA[', this.pos)) {
+        const end = this.text.indexOf(']]>', this.pos);
+        if (end === -1) this.fail('Unterminated CDATA section');
+        text.push(this.text.slice(this.pos + 9, end));
+        this.pos = end + 3;
+      } else if (this.text.startsWith('<?', this.pos)) {
+        this.skipPast('?>', 'Unterminated processing instruction');
+      } else if (this.text[this.pos] === '<') {
+        children.push(this.parseElement());
+      } else {
+        const end = this.text.indexOf('<', this.pos);
+        const stop = end === -1 ? this.text.length : end;
+        text.push(this.decode(this.text.slice(this.pos, stop), this.pos));
+        this.pos = stop;
+      }
+    }
+  }
+
+  /**
+   * Decode entity and character references
+   */
+  decode(str, offset) {
+    return str.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[A-Za-z][\w.-]*);|&/g, (match, ref, index) => {
+      if (!ref) {
+        this.fail("Unescaped '&' (write &amp;)", offset + index);
+      }
+      if (ref[0] === '#') {
+        return String.fromCodePoint(ref[1] === 'x' ? parseInt(ref.slice(2), 16) : Number(ref.slice(1)));
+      }
+      if (ref in ENTITIES) return ENTITIES[ref];
+      this.warnings.add(`Unknown entity &${ref}; was kept as text`);
+      return match;
+    });
+  }
+
+  /**
+   * JSON value of an element: a string for text-only elements, otherwise
+   * an object of attributes, children and text (mixed-content text runs
+   * are joined with a space)
+   */
+  buildValue(attributes, children, text) {
+    const trimmed = children.length
+      ? text.map(run => run.trim()).filter(Boolean).join(' ')
+      : text.join('').trim();
+
+    if (!attributes.length && !children.length) {
+      if (trimmed) this.warnings.add('XML has no data types: all values were read as strings');
+      return trimmed;
+    }
+
+    const value = {};
+    attributes.forEach(([name, attr]) => {
+      value[ATTRIBUTE_PREFIX + name] = attr;
+    });
+
+    // Element values are never arrays, so an array means a repeated element
+    children.forEach(child => {
+      if (!Object.prototype.hasOwnProperty.call(value, child.name)) {
+        value[child.name] = child.value;
+      } else if (Array.isArray(value[child.name])) {
+        value[child.name].push(child.value);
+      } else {
+        value[child.name] = [value[child.name], child.value];
+      }
+    });
+
+    if (trimmed) {
+      value[TEXT_KEY] = trimmed;
+    }
+    if (attributes.length || trimmed) {
+      this.warnings.add('XML has no data types: all values were read as strings');
+    }
+    return value;
+  }
+}
+
+function escapeText(str) {
+  return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(str) {
+  return escapeText(str).replace(/"/g, '&quot;').replace(/\n/g, '&#10;').replace(/\t/g, '&#9;');
+}
+
+/**
+ * Serialize a JSON value as an XML document
+ * @param {*} value - JSON value; a single-key object names the root element
+ * @returns {{text: string, warnings: string[]}}
+ */
+export function stringifyXml(value) {
+  const warnings = new Set();
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+
+  // Invalid keys are renamed; the first one is kept as an example for the warning
+  const renamed = new Set();
+  let example = null;
+  const elementName = (key) => {
+    if (VALID_NAME.test(key)) return key;
+    let name = String(key).replace(/[^\w.-]/g, '_').replace(/^(?=[^A-Za-z_])/, '_');
+    if (!VALID_NAME.test(name)) name = '_';
+    renamed.add(key);
+    if (!example) example = `'${key}' to '${name}'`;
+    return name;
+  };
+
+  const textOf = (v) => {
+    if (typeof v !== 'string') {
+      warnings.add('XML has no data types: numbers and booleans were written as text');
+    }
+    return String(v);
+  };
+
+  const emit = (key, v, indent) => {
+    const pad = '  '.repeat(indent);
+
+    if (Array.isArray(v)) {
+      if (!v.length) {
+        warnings.add('Empty arrays have no XML equivalent and were omitted');
+      }
+      v.forEach(item => {
+        if (Array.isArray(item)) {
+          warnings.add('Nested arrays were wrapped in <item> elements');
+          emit(key, { item }, indent);
+        } else {
+          emit(key, item, indent);
+        }
+      });
+      return;
+    }
+
+    const name = elementName(key);
+
+    if (v === null) {
+      warnings.add('null values were written as empty elements');
+      lines.push(`${pad}<${name}/>`);
+      return;
+    }
+
+    if (typeof v !== 'object') {
+      const text = textOf(v);
+      lines.push(text ? `${pad}<${name}>${escapeText(text)}</${name}>` : `${pad}<${name}/>`);
+      return;
+    }
+
+    let attributes = '';
+    let text = null;
+    const children = [];
+
+    Object.keys(v).forEach(k => {
+      const child = v[k];
+      if (k.startsWith(ATTRIBUTE_PREFIX) && k.length > 1 && (child === null || typeof child !== 'object')) {
+        attributes += ` ${elementName(k.slice(1))}="${escapeAttribute(child === null ? '' : textOf(child))}"`;
+      } else if (k === TEXT_KEY && child !== null && typeof child !== 'object') {
+        text = textOf(child);
+      } else {
+        children.push(k);
+      }
+    });
+
+    if (!children.length) {
+      lines.push(text === null || text === ''
+        ? `${pad}<${name}${attributes}/>`
+        : `${pad}<${name}${attributes}>${escapeText(text)}</${name}>`);
+      return;
+    }
+
+    lines.push(`${pad}<${name}${attributes}>`);
+    if (text !== null && text !== '') {
+      lines.push(`${pad}  ${escapeText(text)}`);
+    }
+    children.forEach(k => emit(k, v[k], indent + 1));
+    lines.push(`${pad}</${name}>`);
+  };
+
+  const keys = value !== null && typeof value === 'object' && !Array.isArray(value) ? Object.keys(value) : [];
+  const single = keys.length === 1 && !keys[0].startsWith(ATTRIBUTE_PREFIX) && keys[0] !== TEXT_KEY;
+
+  if (single && !Array.isArray(value[keys[0]])) {
+    emit(keys[0], value[keys[0]], 0);
+  } else {
+    warnings.add('The document was wrapped in a <root> element (XML needs exactly one root element)');
+    emit('root', Array.isArray(value) ? { item: value } : value, 0);
+  }
+
+  if (renamed.size) {
+    const count = renamed.size === 1 ? 'A key that is not a valid XML name was' : `${renamed.size} keys that are not valid XML names were`;
+    warnings.add(`${count} renamed (e.g. ${example})`);
+  }
+
+  return { text: `${lines.join('\n')}\n`, warnings: [...warnings] };
+}
+
+export default { parseXml, stringifyXml };
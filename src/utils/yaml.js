@@ -0,0 +1,912 @@
+/**
+ * DevToyNative - YAML Converter
+ * YAML 1.2 parser (block and flow styles, block scalars, anchors/aliases,
+ * merge keys, multiple documents) and block-style emitter
+ */
+
+import { getLineColumn } from './jsonParser.js';
+
+// Double-quoted escape sequences with a fixed meaning
+const DOUBLE_QUOTED_ESCAPES = {
+  0: '\0',
+  a: '\x07',
+  b: '\b',
+  t: '\t',
+  '\t': '\t',
+  n: '\n',
+  v: '\v',
+  f: '\f',
+  r: '\r',
+  e: '\x1b',
+  ' ': ' ',
+  '"': '"',
+  '/': '/',
+  '\\': '\\',
+  N: '\u0085',
+  _: '\u00a0',
+  L: '\u2028',
+  P: '\u2029'
+};
+
+const HEX_ESCAPE_LENGTHS = { x: 2, u: 4, U: 8 };
+
+/**
+ * Parse YAML text
+ * @param {string} text - YAML source (one or more documents)
+ * @returns {{value: *, warnings: string[]}} - Parsed value (an array for
+ *   multi-document streams) and notes about lossy conversions
+ * @throws {Error} - Syntax error with `position`, `line` and `column`
+ */
+export function parseYaml(text) {
+  const parser = new YamlParser(text);
+  const documents = parser.parseStream();
+
+  let value = null;
+  if (documents.length === 1) {
+    value = documents[0];
+  } else if (documents.length > 1) {
+    parser.warn(`${documents.length} YAML documents were combined into an array`);
+    value = documents;
+  }
+
+  return { value, warnings: [...parser.warnings] };
+}
+
+/**
+ * Recursive-descent YAML parser working directly on the source text
+ */
+class YamlParser {
+  constructor(text) {
+    this.text = text.replace(/^\ufeff/, '').replace(/\r\n?/g, '\n');
+    this.pos = 0;
+    this.anchors = new Map();
+    this.warnings = new Set();
+  }
+
+  warn(message) {
+    this.warnings.add(message);
+  }
+
+  fail(message, position = this.pos) {
+    const { line, column } = getLineColumn(this.text, position);
+    const error = new Error(message);
+    error.position = position;
+    error.line = line;
+    error.column = column;
+    throw error;
+  }
+
+  column(position = this.pos) {
+    return position - (this.text.lastIndexOf('\n', position - 1) + 1);
+  }
+
+  isBlank(ch) {
+    return ch === undefined || ch === ' ' || ch === '\t' || ch === '\n';
+  }
+
+  isSequenceEntry() {
+    return this.text[this.pos] === '-' && this.isBlank(this.text[this.pos + 1]);
+  }
+
+  isDocumentMarker(marker) {
+    return this.column() === 0 &&
+      this.text.startsWith(marker, this.pos) &&
+      this.isBlank(this.text[this.pos + 3]);
+  }
+
+  atDocumentBoundary() {
+    return this.isDocumentMarker('---') || this.isDocumentMarker('...');
+  }
+
+  skipInlineSpace() {
+    while (this.text[this.pos] === ' ' || this.text[this.pos] === '\t') this.pos++;
+  }
+
+  /**
+   * Skip whitespace, comments and blank lines up to the next token
+   * @returns {boolean} - True if a line break was crossed
+   */
+  skipToContent() {
+    let crossed = false;
+
+    for (;;) {
+      this.skipInlineSpace();
+      if (this.text[this.pos] === '#') {
+        while (this.pos < this.text.length && this.text[this.pos] !== '\n') this.pos++;
+      }
+      if (this.text[this.pos] !== '\n') break;
+      this.pos++;
+      crossed = true;
+    }
+
+    if (crossed && this.pos < this.text.length) {
+      const lineStart = this.pos - this.column();
+      if (this.text.slice(lineStart, this.pos).includes('\t')) {
+        this.fail('Tabs are not allowed for indentation', lineStart);
+      }
+    }
+
+    return crossed;
+  }
+
+  parseStream() {
+    const documents = [];
+    this.skipToContent();
+
+    // Directives (%YAML, %TAG) only affect tags we don't resolve
+    while (this.text[this.pos] === '%' && this.column() === 0) {
+      while (this.pos < this.text.length && this.text[this.pos] !== '\n') this.pos++;
+      this.skipToContent();
+    }
+
+    while (this.pos < this.text.length) {
+      const explicit = this.isDocumentMarker('---');
+      if (explicit) {
+        this.pos += 3;
+      }
+
+      const value = this.parseNode(-1);
+      documents.push(value === undefined ? null : value);
+      this.skipToContent();
+
+      if (this.isDocumentMarker('...')) {
+        this.pos += 3;
+        this.skipToContent();
+      }
+
+      if (this.pos < this.text.length && !this.isDocumentMarker('---')) {
+        this.fail(`Unexpected '${this.text[this.pos]}': expected the end of the document`);
+      }
+    }
+
+    return documents;
+  }
+
+  /**
+   * Parse the node starting at the current position
+   * @param {number} parentIndent - Indentation of the parent collection
+   * @param {Object} context
+   * @param {boolean} context.mappingValue - Node is the value of a block mapping entry
+   * @returns {*} - Parsed value, or null for an empty node
+   */
+  parseNode(parentIndent, { mappingValue = false } = {}) {
+    let crossed = this.skipToContent();
+    if (this.pos >= this.text.length || this.atDocumentBoundary()) return null;
+
+    // A mapping value may be a sequence at the same indentation as its key
+    const fitsIndent = () => this.column() > parentIndent ||
+      (mappingValue && this.column() === parentIndent && this.isSequenceEntry());
+
+    if (crossed && !fitsIndent()) return null;
+
+    // Node properties: anchor and tag
+    let anchor = null;
+    let tag = null;
+    while (this.text[this.pos] === '&' || this.text[this.pos] === '!') {
+      const match = this.text.slice(this.pos).match(/^[&!][^\s,[\]{}]*/);
+      if (match[0][0] === '&') {
+        anchor = match[0].slice(1);
+      } else {
+        tag = match[0];
+      }
+      this.pos += match[0].length;
+      this.skipInlineSpace();
+    }
+
+    if ((anchor || tag) && (this.text[this.pos] === '\n' || this.text[this.pos] === '#' || this.pos >= this.text.length)) {
+      crossed = this.skipToContent();
+      if (this.pos >= this.text.length || this.atDocumentBoundary() || !fitsIndent()) {
+        return this.finishNode(null, anchor, tag);
+      }
+    }
+
+    const ch = this.text[this.pos];
+    let value;
+
+    if (this.isSequenceEntry()) {
+      if (mappingValue && !crossed) {
+        this.fail('A block sequence cannot start on the same line as its mapping key');
+      }
+      value = this.parseBlockSequence(this.column());
+    } else if (ch === '|' || ch === '>') {
+      value = this.parseBlockScalar(parentIndent);
+    } else if (ch === '[' || ch === '{') {
+      value = this.parseFlowNode();
+    } else if (ch === '*') {
+      value = this.parseAlias();
+    } else if (ch === '?' && this.isBlank(this.text[this.pos + 1])) {
+      this.fail("Complex mapping keys ('? ') are not supported");
+    } else {
+      const keyColumn = this.column();
+      const scalar = this.parseInlineScalar();
+      this.skipInlineSpace();
+
+      if (this.text[this.pos] === ':' && this.isBlank(this.text[this.pos + 1])) {
+        if (mappingValue && !crossed) {
+          this.fail('A nested mapping cannot start on the same line as its parent key');
+        }
+        value = this.parseBlockMapping(keyColumn, scalar);
+      } else if (scalar.quoted) {
+        value = this.applyTag(scalar.value, tag, scalar.value);
+        tag = null;
+      } else {
+        const raw = this.continuePlainScalar(scalar.value, parentIndent);
+        value = this.applyTag(this.resolvePlain(raw, tag), tag, raw);
+        tag = null;
+      }
+    }
+
+    return this.finishNode(value, anchor, tag);
+  }
+
+  /**
+   * Apply the remaining tag and record the anchor
+   */
+  finishNode(value, anchor, tag) {
+    if (tag && tag !== '!!map' && tag !== '!!seq' && tag !== '!') {
+      this.warn(`Tag ${tag} was ignored`);
+    }
+    if (anchor) {
+      this.anchors.set(anchor, value);
+    }
+    return value;
+  }
+
+  /**
+   * Apply a standard tag to a scalar
+   */
+  applyTag(value, tag, raw) {
+    switch (tag) {
+      case null:
+      case '!':
+        return value;
+      case '!!str':
+        return String(raw);
+      case '!!int':
+      case '!!float':
+        return Number(raw);
+      case '!!bool':
+        return /^true$/i.test(raw);
+      case '!!null':
+        return null;
+      default:
+        this.warn(`Tag ${tag} was ignored`);
+        return value;
+    }
+  }
+
+  parseBlockSequence(indent) {
+    const result = [];
+
+    for (;;) {
+      this.pos++;
+      result.push(this.parseNode(indent));
+
+      this.skipToContent();
+      if (this.pos >= this.text.length || this.atDocumentBoundary()) break;
+
+      const column = this.column();
+      if (column < indent || (column === indent && !this.isSequenceEntry())) break;
+      if (column > indent || !this.isSequenceEntry()) {
+        this.fail('Bad indentation of a sequence entry');
+      }
+    }
+
+    return result;
+  }
+
+  parseBlockMapping(indent, firstKey) {
+    const result = {};
+    const explicitKeys = new Set();
+    let key = firstKey;
+
+    for (;;) {
+      this.pos++;
+      const value = this.parseNode(indent, { mappingValue: true });
+
+      if (key.value === '<<' && !key.quoted) {
+        this.mergeInto(result, value, explicitKeys);
+      } else {
+        const name = String(key.value);
+        if (explicitKeys.has(name)) {
+          this.warn(`Duplicate key '${name}': the last value was kept`);
+        }
+        explicitKeys.add(name);
+        assign(result, name, value);
+      }
+
+      this.skipToContent();
+      if (this.pos >= this.text.length || this.atDocumentBoundary()) break;
+
+      const column = this.column();
+      if (column < indent) break;
+      if (column > indent) {
+        this.fail('Bad indentation of a mapping entry');
+      }
+      if (this.isSequenceEntry()) {
+        this.fail('Unexpected sequence entry: expected a mapping key');
+      }
+      if (this.text[this.pos] === '?' && this.isBlank(this.text[this.pos + 1])) {
+        this.fail("Complex mapping keys ('? ') are not supported");
+      }
+
+      const keyStart = this.pos;
+      key = this.text[this.pos] === '*'
+        ? { value: this.parseAlias(), quoted: true }
+        : this.parseInlineScalar();
+      this.skipInlineSpace();
+
+      if (!(this.text[this.pos] === ':' && this.isBlank(this.text[this.pos + 1]))) {
+        this.fail(`Missing ':' after mapping key '${this.text.slice(keyStart, this.pos).trim()}'`);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Merge key (<<): copy entries that the mapping doesn't define itself
+   */
+  mergeInto(target, source, explicitKeys) {
+    const sources = Array.isArray(source) ? source : [source];
+    sources.forEach(item => {
+      if (item === null || typeof item !== 'object' || Array.isArray(item)) {
+        this.fail('Merge key (<<) values must be mappings');
+      }
+      Object.keys(item).forEach(k => {
+        if (!explicitKeys.has(k) && !Object.prototype.hasOwnProperty.call(target, k)) {
+          assign(target, k, item[k]);
+        }
+      });
+    });
+  }
+
+  parseAlias() {
+    const match = this.text.slice(this.pos).match(/^\*([^\s,[\]{}]+)/);
+    if (!match) this.fail('Invalid alias');
+    if (!this.anchors.has(match[1])) {
+      this.fail(`Unknown alias '*${match[1]}'`);
+    }
+    this.pos += match[0].length;
+    this.warn('Aliases (*name) were expanded into copies');
+    return structuredClone(this.anchors.get(match[1]));
+  }
+
+  /**
+   * Parse a quoted scalar or a single line of a plain scalar
+   * @returns {{value: string, quoted: boolean}}
+   */
+  parseInlineScalar() {
+    const ch = this.text[this.pos];
+    if (ch === '"') return { value: this.parseDoubleQuoted(), quoted: true };
+    if (ch === "'") return { value: this.parseSingleQuoted(), quoted: true };
+
+    const start = this.pos;
+    while (this.pos < this.text.length) {
+      const c = this.text[this.pos];
+      if (c === '\n') break;
+      if (c === ':' && this.isBlank(this.text[this.pos + 1])) break;
+      if (c === '#' && (this.text[this.pos - 1] === ' ' || this.text[this.pos - 1] === '\t')) break;
+      this.pos++;
+    }
+
+    const value = this.text.slice(start, this.pos).trimEnd();
+    if (this.pos < this.text.length && this.text[this.pos] !== '\n') {
+      // Keep trailing spaces outside the scalar
+      this.pos = start + value.length;
+    }
+    return { value, quoted: false };
+  }
+
+  /**
+   * Fold the continuation lines of a multi-line plain scalar
+   */
+  continuePlainScalar(first, parentIndent) {
+    let result = first;
+
+    for (;;) {
+      if (this.text[this.pos] !== '\n') return result;
+
+      // Count blank lines, then check the next line's indentation
+      let scan = this.pos;
+      let breaks = 0;
+      let lineStart;
+      let indent;
+      for (;;) {
+        scan++;
+        breaks++;
+        lineStart = scan;
+        while (this.text[scan] === ' ') scan++;
+        indent = scan - lineStart;
+        if (this.text[scan] !== '\n') break;
+      }
+
+      const ch = this.text[scan];
+      if (scan >= this.text.length || indent <= parentIndent || ch === '#' || ch === '\t') return result;
+
+      const saved = this.pos;
+      this.pos = scan;
+      if (this.atDocumentBoundary()) {
+        this.pos = saved;
+        return result;
+      }
+
+      const line = this.parseInlineScalar().value;
+      if (this.text[this.pos] === ':' || line === '') {
+        // That's a mapping key, not a continuation
+        this.pos = saved;
+        return result;
+      }
+
+      result += breaks > 1 ? '\n'.repeat(breaks - 1) : ' ';
+      result += line;
+    }
+  }
+
+  /**
+   * Resolve a plain scalar using the YAML 1.2 core schema
+   */
+  resolvePlain(raw, tag) {
+    if (tag === '!!str') return raw;
+    if (/^(?:~|null|Null|NULL|)$/.test(raw)) return null;
+    if (/^(?:true|True|TRUE)$/.test(raw)) return true;
+    if (/^(?:false|False|FALSE)$/.test(raw)) return false;
+    if (/^[-+]?[0-9]+$/.test(raw)) {
+      const value = Number(raw);
+      if (!Number.isSafeInteger(value)) {
+        this.warn(`Integer ${raw} is too large for JSON numbers and lost precision`);
+      }
+      return value;
+    }
+    if (/^0o[0-7]+$/.test(raw)) return parseInt(raw.slice(2), 8);
+    if (/^0x[0-9a-fA-F]+$/.test(raw)) return parseInt(raw.slice(2), 16);
+    if (/^[-+]?(?:\.[0-9]+|[0-9]+(?:\.[0-9]*)?)(?:[eE][-+]?[0-9]+)?$/.test(raw)) return Number(raw);
+    if (/^[-+]?\.(?:inf|Inf|INF)$/.test(raw) || /^\.(?:nan|NaN|NAN)$/.test(raw)) {
+      this.warn('.inf and .nan have no JSON equivalent and were converted to null');
+      return null;
+    }
+    return raw;
+  }
+
+  /**
+   * Fold a line break inside a quoted scalar: blank lines become newlines,
+   * a single break becomes a space
+   */
+  foldQuotedLineBreak() {
+    let breaks = 0;
+    while (this.text[this.pos] === '\n') {
+      breaks++;
+      this.pos++;
+      this.skipInlineSpace();
+    }
+    return breaks > 1 ? '\n'.repeat(breaks - 1) : ' ';
+  }
+
+  parseDoubleQuoted() {
+    const start = this.pos++;
+    let result = '';
+
+    while (this.pos < this.text.length) {
+      const ch = this.text[this.pos];
+
+      if (ch === '"') {
+        this.pos++;
+        return result;
+      }
+
+      if (ch === '\\') {
+        const next = this.text[this.pos + 1];
+        this.pos += 2;
+
+        if (next === '\n') {
+          // Escaped line break: join without a space
+          this.skipInlineSpace();
+        } else if (next in DOUBLE_QUOTED_ESCAPES) {
+          result += DOUBLE_QUOTED_ESCAPES[next];
+        } else if (next in HEX_ESCAPE_LENGTHS) {
+          const hex = this.text.substr(this.pos, HEX_ESCAPE_LENGTHS[next]);
+          if (!new RegExp(`^[0-9a-fA-F]{${HEX_ESCAPE_LENGTHS[next]}}$`).test(hex)) {
+            this.fail(`Invalid escape sequence '\\${next}${hex}'`, this.pos - 2);
+          }
+          result += String.fromCodePoint(parseInt(hex, 16));
+          this.pos += hex.length;
+        } else {
+          this.fail(`Invalid escape sequence '\\${next || ''}'`, this.pos - 2);
+        }
+        continue;
+      }
+
+      if (ch === '\n') {
+        result = result.replace(/[ \t]+$/, '') + this.foldQuotedLineBreak();
+        continue;
+      }
+
+      result += ch;
+      this.pos++;
+    }
+
+    this.fail('Unterminated double-quoted string', start);
+  }
+
+  parseSingleQuoted() {
+    const start = this.pos++;
+    let result = '';
+
+    while (this.pos < this.text.length) {
+      const ch = this.text[this.pos];
+
+      if (ch === "'") {
+        if (this.text[this.pos + 1] === "'") {
+          result += "'";
+          this.pos += 2;
+          continue;
+        }
+        this.pos++;
+        return result;
+      }
+
+      if (ch === '\n') {
+        result = result.replace(/[ \t]+$/, '') + this.foldQuotedLineBreak();
+        continue;
+      }
+
+      result += ch;
+      this.pos++;
+    }
+
+    this.fail('Unterminated single-quoted string', start);
+  }
+
+  /**
+   * Literal (|) and folded (>) block scalars
+   */
+  parseBlockScalar(parentIndent) {
+    const style = this.text[this.pos++];
+    let chomping = 'clip';
+    let indentIndicator = 0;
+
+    for (let i = 0; i < 2; i++) {
+      const ch = this.text[this.pos];
+      if (ch === '-' || ch === '+') {
+        chomping = ch === '-' ? 'strip' : 'keep';
+        this.pos++;
+      } else if (/[1-9]/.test(ch)) {
+        indentIndicator = Number(ch);
+        this.pos++;
+      }
+    }
+
+    this.skipInlineSpace();
+    if (this.text[this.pos] === '#') {
+      while (this.pos < this.text.length && this.text[this.pos] !== '\n') this.pos++;
+    }
+    if (this.pos < this.text.length && this.text[this.pos] !== '\n') {
+      this.fail('Unexpected text after block scalar indicator');
+    }
+    this.pos++;
+
+    // Content indentation: explicit, or that of the first non-empty line
+    let contentIndent = indentIndicator ? Math.max(parentIndent, 0) + indentIndicator : null;
+    if (contentIndent === null) {
+      const match = this.text.slice(this.pos).match(/^(?:[ ]*\n)*([ ]*)\S/);
+      contentIndent = match ? match[1].length : 0;
+      if (contentIndent <= parentIndent) contentIndent = parentIndent + 1;
+    }
+
+    const lines = [];
+    while (this.pos < this.text.length) {
+      const end = this.text.indexOf('\n', this.pos);
+      const lineEnd = end === -1 ? this.text.length : end;
+      const line = this.text.slice(this.pos, lineEnd);
+      const indent = line.match(/^ */)[0].length;
+
+      if (line.trim() !== '' && indent < contentIndent) break;
+
+      lines.push(line.length > contentIndent ? line.slice(contentIndent) : line.trim() === '' ? '' : line);
+      this.pos = end === -1 ? this.text.length : end + 1;
+    }
+
+    // Leave the position at the start of the next line's content
+    if (this.pos < this.text.length) {
+      this.pos = this.pos > 0 && this.text[this.pos - 1] === '\n' ? this.pos - 1 : this.pos;
+    }
+
+    let trailing = 0;
+    while (lines.length && lines[lines.length - 1] === '') {
+      lines.pop();
+      trailing++;
+    }
+
+    const body = style === '|' ? lines.join('\n') : foldLines(lines);
+    if (chomping === 'strip') return body;
+    if (chomping === 'keep') return body + '\n'.repeat(trailing + (body ? 1 : 0));
+    return body ? `${body}\n` : '';
+  }
+
+  /**
+   * Flow collections and scalars: [a, b], {a: 1}
+   */
+  parseFlowNode() {
+    this.skipFlowSpace();
+    const ch = this.text[this.pos];
+
+    if (ch === '[') return this.parseFlowSequence();
+    if (ch === '{') return this.parseFlowMapping();
+    if (ch === '"') return this.parseDoubleQuoted();
+    if (ch === "'") return this.parseSingleQuoted();
+    if (ch === '*') return this.parseAlias();
+
+    if (ch === '&' || ch === '!') {
+      const match = this.text.slice(this.pos).match(/^[&!][^\s,[\]{}]*/);
+      this.pos += match[0].length;
+      const value = this.parseFlowNode();
+      if (match[0][0] === '&') {
+        this.anchors.set(match[0].slice(1), value);
+        return value;
+      }
+      return this.applyTag(value, match[0], typeof value === 'string' ? value : JSON.stringify(value));
+    }
+
+    const start = this.pos;
+    while (this.pos < this.text.length) {
+      const c = this.text[this.pos];
+      if (c === '\n' || c === ',' || c === '[' || c === ']' || c === '{' || c === '}') break;
+      if (c === ':' && (this.isBlank(this.text[this.pos + 1]) || /[,[\]{}]/.test(this.text[this.pos + 1]))) break;
+      if (c === '#' && this.text[this.pos - 1] === ' ') break;
+      this.pos++;
+    }
+
+    if (this.pos === start) {
+      this.fail(this.pos >= this.text.length
+        ? 'Unexpected end of input inside a flow collection'
+        : `Unexpected '${this.text[this.pos]}' in a flow collection`);
+    }
+
+    return this.resolvePlain(this.text.slice(start, this.pos).trim(), null);
+  }
+
+  skipFlowSpace() {
+    for (;;) {
+      const ch = this.text[this.pos];
+      if (ch === ' ' || ch === '\t' || ch === '\n') {
+        this.pos++;
+      } else if (ch === '#') {
+        while (this.pos < this.text.length && this.text[this.pos] !== '\n') this.pos++;
+      } else {
+        return;
+      }
+    }
+  }
+
+  parseFlowSequence() {
+    const start = this.pos++;
+    const result = [];
+
+    for (;;) {
+      this.skipFlowSpace();
+      if (this.pos >= this.text.length) this.fail("Unterminated flow sequence: missing ']'", start);
+      if (this.text[this.pos] === ']') {
+        this.pos++;
+        return result;
+      }
+
+      let item = this.parseFlowNode();
+      this.skipFlowSpace();
+
+      // Single-pair mapping inside a sequence: [a: 1]
+      if (this.text[this.pos] === ':') {
+        this.pos++;
+        this.skipFlowSpace();
+        const value = /[,\]]/.test(this.text[this.pos]) ? null : this.parseFlowNode();
+        item = assign({}, String(item), value);
+        this.skipFlowSpace();
+      }
+
+      result.push(item);
+
+      if (this.text[this.pos] === ',') {
+        this.pos++;
+      } else if (this.pos >= this.text.length) {
+        this.fail("Unterminated flow sequence: missing ']'", start);
+      } else if (this.text[this.pos] !== ']') {
+        this.fail("Expected ',' or ']' in flow sequence");
+      }
+    }
+  }
+
+  parseFlowMapping() {
+    const start = this.pos++;
+    const result = {};
+
+    for (;;) {
+      this.skipFlowSpace();
+      if (this.pos >= this.text.length) this.fail("Unterminated flow mapping: missing '}'", start);
+      if (this.text[this.pos] === '}') {
+        this.pos++;
+        return result;
+      }
+
+      const key = this.parseFlowNode();
+      this.skipFlowSpace();
+
+      let value = null;
+      if (this.text[this.pos] === ':') {
+        this.pos++;
+        this.skipFlowSpace();
+        if (!/[,}]/.test(this.text[this.pos])) {
+          value = this.parseFlowNode();
+        }
+        this.skipFlowSpace();
+      }
+
+      assign(result, typeof key === 'string' ? key : JSON.stringify(key), value);
+
+      if (this.text[this.pos] === ',') {
+        this.pos++;
+      } else if (this.pos >= this.text.length) {
+        this.fail("Unterminated flow mapping: missing '}'", start);
+      } else if (this.text[this.pos] !== '}') {
+        this.fail("Expected ',' or '}' in flow mapping");
+      }
+    }
+  }
+}
+
+/**
+ * Set an own property (safe for "__proto__")
+ */
+function assign(target, key, value) {
+  Object.defineProperty(target, key, { value, writable: true, enumerable: true, configurable: true });
+  return target;
+}
+
+/**
+ * Folded block scalar: single line breaks become spaces, except around
+ * more-indented lines; blank lines become line breaks
+ */
+function foldLines(lines) {
+  let result = '';
+  let afterBlank = false;
+
+  lines.forEach((line, i) => {
+    if (i === 0) {
+      result = line;
+      return;
+    }
+    if (line === '') {
+      result += '\n';
+      afterBlank = true;
+      return;
+    }
+
+    const moreIndented = /^[ \t]/.test(line) || /^[ \t]/.test(lines[i - 1]);
+    if (!afterBlank) {
+      result += moreIndented ? '\n' : ' ';
+    } else if (moreIndented) {
+      result += '\n';
+    }
+    result += line;
+    afterBlank = false;
+  });
+
+  return result;
+}
+
+/**
+ * Check whether a string must be quoted to stay a string in YAML
+ */
+function needsQuotes(str) {
+  return str === '' ||
+    /^\s|\s$/.test(str) ||
+    /[\x00-\x1f\x7f\u0085\u2028\u2029]/.test(str) ||
+    /^[-?:,[\]{}#&*!|>'"%@`]/.test(str) ||
+    /:\s|:$|\s#/.test(str) ||
+    /^(?:~|null|true|false|yes|no|on|off|y|n|<<)$/i.test(str) ||
+    /^[-+]?(?:[0-9][0-9_]*(?:\.[0-9_]*)?|\.[0-9_]+)(?:[eE][-+]?[0-9]+)?$/.test(str) ||
+    /^(?:0x[0-9a-f_]+|0o?[0-7_]+|0b[01_]+)$/i.test(str) ||
+    /^[-+]?\.(?:inf|nan)$/i.test(str) ||
+    /^\d{4}-\d\d?-\d\d?/.test(str) ||
+    /^[0-9]+(?::[0-5]?[0-9])+(?:\.[0-9_]*)?$/.test(str);
+}
+
+/**
+ * Format a scalar for a single line
+ */
+function formatScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'string') return needsQuotes(value) ? JSON.stringify(value) : value;
+  return String(value);
+}
+
+/**
+ * Strings with line breaks are written as literal block scalars
+ */
+function isBlockString(value) {
+  return typeof value === 'string' &&
+    value.includes('\n') &&
+    !/[\x00-\x09\x0b-\x1f\x7f]/.test(value) &&
+    !/^\n/.test(value);
+}
+
+/**
+ * Header and lines of a literal block scalar
+ */
+function blockScalar(value, indent) {
+  const trailing = value.match(/\n*$/)[0].length;
+  const chomping = trailing === 0 ? '-' : trailing === 1 ? '' : '+';
+  const indicator = /^ /.test(value) ? '2' : '';
+  const content = trailing === 0 ? value : value.slice(0, -1);
+  const pad = ' '.repeat(indent);
+  const lines = content.split('\n').map(line => (line ? pad + line : ''));
+  return { header: `|${indicator}${chomping}`, lines };
+}
+
+/**
+ * Serialize a value as block-style YAML
+ * @param {*} value - JSON value
+ * @returns {{text: string, warnings: string[]}}
+ */
+export function stringifyYaml(value) {
+  const out = [];
+
+  const isNonEmpty = (v) => v !== null && typeof v === 'object' && Object.keys(v).length > 0;
+  const inline = (v) => {
+    if (Array.isArray(v)) return '[]';
+    if (v !== null && typeof v === 'object') return '{}';
+    return formatScalar(v);
+  };
+
+  // Emit a nested node after "key:" or "- "; returns the text for the same line
+  const emitChild = (v, indent, lines) => {
+    if (isNonEmpty(v)) {
+      emitBlock(v, indent, lines);
+      return '';
+    }
+    if (isBlockString(v)) {
+      const block = blockScalar(v, indent);
+      lines.push(...block.lines);
+      return ` ${block.header}`;
+    }
+    return ` ${inline(v)}`;
+  };
+
+  const emitBlock = (v, indent, lines) => {
+    const pad = ' '.repeat(indent);
+
+    if (Array.isArray(v)) {
+      v.forEach(item => {
+        if (isNonEmpty(item)) {
+          // Put the first line of a nested collection after the dash
+          const nested = [];
+          emitBlock(item, indent + 2, nested);
+          nested[0] = `${pad}- ${nested[0].slice(indent + 2)}`;
+          lines.push(...nested);
+        } else {
+          const nested = [];
+          const rest = emitChild(item, indent + 2, nested);
+          lines.push(`${pad}-${rest}`, ...nested);
+        }
+      });
+      return;
+    }
+
+    Object.keys(v).forEach(key => {
+      const nested = [];
+      const rest = emitChild(v[key], indent + 2, nested);
+      lines.push(`${pad}${formatScalar(key)}:${rest}`, ...nested);
+    });
+  };
+
+  if (isNonEmpty(value)) {
+    emitBlock(value, 0, out);
+  } else if (isBlockString(value)) {
+    const block = blockScalar(value, 2);
+    out.push(block.header, ...block.lines);
+  } else {
+    out.push(inline(value));
+  }
+
+  return { text: `${out.join('\n')}\n`, warnings: [] };
+}
+
+export default { parseYaml, stringifyYaml };
@@ -0,0 +1,39 @@
+/**
+ * DevToyNative - HMAC Secret Worker
+ * Tests an HS256/384/512 token against candidate secrets off the main thread
+ */
+
+import { hmacTarget, hmacSecretMatches } from '../utils/jws.js';
+import { WEAK_SECRETS, parseWordlist } from '../utils/weakSecrets.js';
+
+// Milliseconds between progress messages
+const PROGRESS_INTERVAL = 100;
+
+self.addEventListener('message', async (e) => {
+  const { id, token, builtIn, wordlist } = e.data;
+
+  try {
+    const target = hmacTarget(token);
+    // The wordlist File is read here, so large lists never pass through the page
+    const words = wordlist ? parseWordlist(await wordlist.text()) : [];
+    const candidates = builtIn ? [...WEAK_SECRETS, ...words] : words;
+    const total = candidates.length;
+    const encoder = new TextEncoder();
+    let reported = Date.now();
+
+    for (let i = 0; i < total; i++) {
+      if (await hmacSecretMatches(target, encoder.encode(candidates[i]))) {
+        self.postMessage({ id, done: true, secret: candidates[i], tried: i + 1, total });
+        return;
+      }
+      if (Date.now() - reported >= PROGRESS_INTERVAL) {
+        reported = Date.now();
+        self.postMessage({ id, tried: i + 1, total });
+      }
+    }
+
+    self.postMessage({ id, done: true, secret: null, tried: total, total });
+  } catch (error) {
+    self.postMessage({ id, done: true, error: error.message });
+  }
+});
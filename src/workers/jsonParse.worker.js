@@ -0,0 +1,39 @@
+/**
+ * DevToyNative - JSON Parse Worker
+ * Parses (or converts) large documents off the main thread
+ */
+
+import { parseInput, isJsonMode } from '../utils/jsonConvert.js';
+import { repairJson } from '../utils/jsonRepair.js';
+
+self.addEventListener('message', (e) => {
+  const { id, text, mode } = e.data;
+  const rawNumbers = new Map();
+
+  try {
+    const { value, warnings, lines, detected } = parseInput(text, mode, rawNumbers);
+    self.postMessage({ id, value, rawNumbers: [...rawNumbers], warnings, lines, detected });
+  } catch (error) {
+    // Errors lose their custom fields when cloned, so send a plain object
+    let repaired = null;
+    if (isJsonMode(mode)) {
+      try {
+        repaired = repairJson(text);
+        if (repaired) JSON.parse(repaired.text);
+      } catch {
+        repaired = null;
+      }
+    }
+
+    self.postMessage({
+      id,
+      error: {
+        message: error.message,
+        line: error.line,
+        column: error.column,
+        position: error.position
+      },
+      repaired
+    });
+  }
+});